@@ -0,0 +1,510 @@
+// chatBot.js - Chat control of the bot: command handling over a pluggable transport (Telegram, or a local mock)
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { getPortfolio } = require('./portfolio');
+const { getConnection, probeEndpoints, maskRpcUrl } = require('./connectionManager');
+
+const TELEGRAM_TOKEN_ENV = 'SOLBOT_TELEGRAM_TOKEN';
+const DEFAULT_TELEGRAM_API_URL = 'https://api.telegram.org';
+const TELEGRAM_POLL_TIMEOUT = 30; // seconds, long polling
+
+const DEFAULT_CHAT_BOT_CONFIG = {
+  telegramToken: null, // Bot token from @BotFather; SOLBOT_TELEGRAM_TOKEN takes precedence
+  allowedUserIds: [], // Only these chat users may issue commands
+  notifyChatIds: [], // Extra chats told about every trade result
+  confirmTimeoutSeconds: 60, // Unconfirmed trades are dropped after this long
+  maxBuySol: 1 // Largest buy accepted from chat
+};
+
+const HELP_TEXT = [
+  'Commands:',
+  '/buy <mint> <sol> - buy a token with SOL',
+  '/sell <mint> <percent> - sell a percentage of a token holding',
+  '/portfolio - SOL and token holdings valued in SOL',
+  '/status - RPC endpoint status'
+].join('\n');
+
+/**
+ * Merge the chatBot section of config.json with the defaults
+ * @param {Object} config Bot configuration
+ * @returns {Object} Chat bot settings
+ */
+function getChatBotConfig(config) {
+  const chatBot = { ...DEFAULT_CHAT_BOT_CONFIG, ...(config.chatBot || {}) };
+  if (process.env[TELEGRAM_TOKEN_ENV]) {
+    chatBot.telegramToken = process.env[TELEGRAM_TOKEN_ENV];
+  }
+  // IDs are compared as strings: Telegram sends numbers, config files often hold strings
+  chatBot.allowedUserIds = chatBot.allowedUserIds.map(String);
+  chatBot.notifyChatIds = chatBot.notifyChatIds.map(String);
+  return chatBot;
+}
+
+/*
+ * A transport delivers updates to the bot and sends its replies. Updates are
+ *   { type: 'message', chatId, userId, text }
+ *   { type: 'callback', chatId, userId, data, callbackId, messageId }  (an inline button was pressed)
+ * and a transport implements:
+ *   start(onUpdate)                           Start delivering updates; resolves once stopped
+ *   stop()                                    Stop delivering updates
+ *   sendMessage(chatId, text, { buttons })    buttons: [{ text, data }], shown inline under the message
+ *   answerCallback(callbackId, text)          Acknowledge a button press
+ *   clearButtons(chatId, messageId)           Remove the buttons of an earlier message
+ */
+
+/**
+ * Telegram Bot API transport using long polling
+ * @param {Object} options Transport options
+ * @param {string} options.token Bot token
+ * @param {string} options.apiUrl Bot API base URL
+ * @param {boolean} options.verbose Log polling errors
+ * @returns {Object} Transport
+ */
+function createTelegramTransport(options) {
+  if (!options.token) {
+    throw new Error(`No Telegram bot token - set chatBot.telegramToken in config.json or ${TELEGRAM_TOKEN_ENV}`);
+  }
+  const baseUrl = `${(options.apiUrl || DEFAULT_TELEGRAM_API_URL).replace(/\/$/, '')}/bot${options.token}`;
+  let running = false;
+  let poll = null; // AbortController of the pending getUpdates call
+
+  async function call(method, body, timeoutMs = 15000, controller = new AbortController()) {
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(`${baseUrl}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      const data = await response.json().catch(() => null);
+      if (!data || !data.ok) {
+        throw new Error(`Telegram ${method} failed: ${data && data.description ? data.description : `HTTP ${response.status}`}`);
+      }
+      return data.result;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function toUpdate(update) {
+    if (update.message && typeof update.message.text === 'string') {
+      return {
+        type: 'message',
+        chatId: String(update.message.chat.id),
+        userId: String(update.message.from.id),
+        text: update.message.text
+      };
+    }
+    if (update.callback_query && update.callback_query.message) {
+      return {
+        type: 'callback',
+        chatId: String(update.callback_query.message.chat.id),
+        userId: String(update.callback_query.from.id),
+        data: update.callback_query.data,
+        callbackId: update.callback_query.id,
+        messageId: update.callback_query.message.message_id
+      };
+    }
+    return null;
+  }
+
+  return {
+    async start(onUpdate) {
+      running = true;
+      let offset = 0;
+      while (running) {
+        let updates;
+        poll = new AbortController();
+        try {
+          updates = await call('getUpdates', {
+            offset,
+            timeout: TELEGRAM_POLL_TIMEOUT,
+            allowed_updates: ['message', 'callback_query']
+          }, (TELEGRAM_POLL_TIMEOUT + 10) * 1000, poll);
+        } catch (error) {
+          if (!running) break;
+          if (options.verbose) console.error(`Telegram polling error: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, 5000));
+          continue;
+        }
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          const normalized = toUpdate(update);
+          if (!normalized) continue;
+          // One bad update (e.g. a failed sendMessage) must not stop the bot
+          try {
+            await onUpdate(normalized);
+          } catch (error) {
+            console.error(`Telegram update ${update.update_id} failed: ${error.message}`);
+          }
+        }
+      }
+    },
+    stop() {
+      running = false;
+      if (poll) poll.abort();
+    },
+    sendMessage(chatId, text, messageOptions = {}) {
+      const body = { chat_id: chatId, text, disable_web_page_preview: true };
+      if (messageOptions.buttons) {
+        body.reply_markup = {
+          inline_keyboard: [messageOptions.buttons.map(button => ({ text: button.text, callback_data: button.data }))]
+        };
+      }
+      return call('sendMessage', body);
+    },
+    answerCallback(callbackId, text) {
+      return call('answerCallbackQuery', { callback_query_id: callbackId, text });
+    },
+    clearButtons(chatId, messageId) {
+      return call('editMessageReplyMarkup', { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: [] } });
+    }
+  };
+}
+
+/**
+ * In-memory transport for tests and local use: feed it messages and button presses, read back what was sent
+ * @param {Object} options Transport options
+ * @param {Function} options.onSend Called with every sent message ({ chatId, text, buttons, messageId })
+ * @returns {Object} Transport, plus sendText(userId, text, chatId), press(userId, data, chatId) and sent
+ */
+function createMockTransport(options = {}) {
+  const sent = [];
+  let onUpdate = null;
+  let stopped = null;
+  let nextMessageId = 1;
+
+  function deliver(update) {
+    if (!onUpdate) {
+      throw new Error('Mock transport is not started');
+    }
+    return onUpdate(update);
+  }
+
+  return {
+    sent,
+    start(handler) {
+      onUpdate = handler;
+      return new Promise(resolve => {
+        stopped = resolve;
+      });
+    },
+    stop() {
+      onUpdate = null;
+      if (stopped) stopped();
+    },
+    async sendMessage(chatId, text, messageOptions = {}) {
+      const message = { chatId: String(chatId), text, buttons: messageOptions.buttons || null, messageId: nextMessageId++ };
+      sent.push(message);
+      if (options.onSend) options.onSend(message);
+      return message;
+    },
+    async answerCallback() {},
+    async clearButtons(chatId, messageId) {
+      const message = sent.find(m => m.messageId === messageId);
+      if (message) message.buttons = null;
+    },
+    // A chat message from a user (the chat defaults to the user's private chat)
+    sendText(userId, text, chatId = userId) {
+      return deliver({ type: 'message', chatId: String(chatId), userId: String(userId), text });
+    },
+    // A press of an inline button; data is the button's data, e.g. from sent[i].buttons[0].data
+    press(userId, data, chatId = userId) {
+      const message = [...sent].reverse().find(m => m.buttons && m.buttons.some(button => button.data === data));
+      return deliver({
+        type: 'callback',
+        chatId: String(chatId),
+        userId: String(userId),
+        data,
+        callbackId: crypto.randomBytes(4).toString('hex'),
+        messageId: message ? message.messageId : null
+      });
+    }
+  };
+}
+
+/**
+ * Local stand-in for a chat app: lines typed on the terminal are messages from one user,
+ * and typing the number shown next to a button presses it
+ * @param {Object} options Transport options
+ * @param {string} options.userId User the typed messages come from
+ * @returns {Object} Transport
+ */
+function createConsoleTransport(options) {
+  const readline = require('readline');
+  let lastButtons = null;
+  const mock = createMockTransport({
+    onSend: (message) => {
+      console.log(`\n[bot] ${message.text}`);
+      if (message.buttons) {
+        lastButtons = message.buttons;
+        console.log(message.buttons.map((button, index) => `  [${index + 1}] ${button.text}`).join(''));
+      }
+    }
+  });
+  let lines = null;
+
+  return {
+    ...mock,
+    start(onUpdate) {
+      const stopped = mock.start(onUpdate);
+      lines = readline.createInterface({ input: process.stdin });
+      lines.on('line', async (line) => {
+        const text = line.trim();
+        const button = lastButtons && /^\d+$/.test(text) ? lastButtons[parseInt(text, 10) - 1] : null;
+        if (button) {
+          lastButtons = null;
+          await mock.press(options.userId, button.data);
+        } else if (text) {
+          await mock.sendText(options.userId, text);
+        }
+      });
+      lines.on('close', () => mock.stop());
+      return stopped;
+    },
+    stop() {
+      if (lines) lines.close();
+      mock.stop();
+    }
+  };
+}
+
+// Parse "/buy <mint> <sol>" or "/sell <mint> <percent>"; returns the pending trade or throws a user-facing error
+function parseTradeCommand(side, args, chatBotConfig) {
+  const usage = side === 'buy' ? 'Usage: /buy <mint> <sol>' : 'Usage: /sell <mint> <percent>';
+  if (args.length !== 2) {
+    throw new Error(usage);
+  }
+  const [mint, rawValue] = args;
+  try {
+    new PublicKey(mint);
+  } catch (error) {
+    throw new Error(`Invalid token address: ${mint}`);
+  }
+  const value = parseFloat(rawValue.replace(/%$/, ''));
+  if (!(value > 0)) {
+    throw new Error(usage);
+  }
+  if (side === 'buy' && value > chatBotConfig.maxBuySol) {
+    throw new Error(`Buys from chat are limited to ${chatBotConfig.maxBuySol} SOL (chatBot.maxBuySol)`);
+  }
+  if (side === 'sell' && value > 100) {
+    throw new Error('Percentage must be between 0 and 100');
+  }
+  return { side, mint, value };
+}
+
+function describeTrade(trade) {
+  return trade.side === 'buy'
+    ? `buy ${trade.mint} for ${trade.value} SOL`
+    : `sell ${trade.value}% of ${trade.mint}`;
+}
+
+function formatTradeResult(trade, result) {
+  if (!result.success) {
+    return `Trade failed: ${describeTrade(trade)}\nError: ${result.error}${result.txid ? `\nTransaction: ${result.txid}` : ''}`;
+  }
+  const filled = trade.side === 'buy'
+    ? `Bought ${result.amount.toLocaleString()} tokens for ${result.amountSol} SOL`
+    : `Sold ${result.soldAmount.toLocaleString()} tokens for ${result.soldAmountSol.toFixed(6)} SOL`;
+  return `Trade ${result.status || 'confirmed'}: ${filled}\nhttps://solscan.io/tx/${result.txid}`;
+}
+
+/**
+ * Create the chat bot command layer
+ * @param {Object} options Bot options
+ * @param {Object} options.transport Transport (see createTelegramTransport / createMockTransport)
+ * @param {Keypair} options.keypair Wallet the bot trades with
+ * @param {string} options.walletName Wallet name for the trade journal
+ * @param {Object} options.config Parsed config.json
+ * @param {Object} options.tradeOptions Extra buyToken/sellToken options (e.g. feeType)
+ * @param {boolean} options.verbose Verbose output
+ * @returns {{ handleUpdate: Function, start: Function, stop: Function, idle: Function }}
+ */
+function createChatBot(options) {
+  const chatBotConfig = getChatBotConfig(options.config || {});
+  if (chatBotConfig.allowedUserIds.length === 0) {
+    throw new Error('No chat users are allowed - set chatBot.allowedUserIds in config.json');
+  }
+  const transport = options.transport;
+  const pending = new Map(); // confirmation id -> { trade, userId, chatId, expiresAt }
+  let queue = Promise.resolve();
+
+  const reply = (chatId, text, buttons) => transport.sendMessage(chatId, text, buttons ? { buttons } : {});
+
+  // Trade results go to the chat that asked and to every notify chat
+  async function notify(chatId, text) {
+    const chats = new Set([String(chatId), ...chatBotConfig.notifyChatIds]);
+    for (const chat of chats) {
+      await reply(chat, text).catch(error => console.error(`Could not notify chat ${chat}: ${error.message}`));
+    }
+  }
+
+  async function executeTrade(request) {
+    const { trade, chatId } = request;
+    console.log(`Chat trade: ${describeTrade(trade)}`);
+    let result;
+    try {
+      result = trade.side === 'buy'
+        ? await buyToken(options.keypair, trade.mint, { ...options.tradeOptions, amount: trade.value, walletName: options.walletName, verbose: options.verbose })
+        : await sellToken(options.keypair, trade.mint, { ...options.tradeOptions, percentage: trade.value, walletName: options.walletName, verbose: options.verbose });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    await notify(chatId, formatTradeResult(trade, result));
+    return result;
+  }
+
+  async function handleCommand(update) {
+    const [command, ...args] = update.text.trim().split(/\s+/);
+    // Telegram appends the bot name to commands in group chats: /buy@MyBot
+    const name = command.toLowerCase().replace(/@.*$/, '');
+
+    switch (name) {
+      case '/start':
+      case '/help':
+        await reply(update.chatId, HELP_TEXT);
+        return;
+      case '/buy':
+      case '/sell': {
+        const trade = parseTradeCommand(name.slice(1), args, chatBotConfig);
+        const id = crypto.randomBytes(4).toString('hex');
+        pending.set(id, {
+          trade,
+          userId: update.userId,
+          chatId: update.chatId,
+          expiresAt: Date.now() + chatBotConfig.confirmTimeoutSeconds * 1000
+        });
+        await reply(update.chatId, `Confirm: ${describeTrade(trade)}?`, [
+          { text: 'Confirm', data: `confirm:${id}` },
+          { text: 'Cancel', data: `cancel:${id}` }
+        ]);
+        return;
+      }
+      case '/portfolio': {
+        const portfolio = await getPortfolio(getConnection(), options.keypair.publicKey);
+        const lines = [
+          `Wallet ${portfolio.owner}`,
+          `SOL: ${portfolio.solBalance.toFixed(4)}`,
+          ...portfolio.holdings.map(holding =>
+            `${holding.symbol || holding.mint}: ${holding.amount.toLocaleString()} (${holding.valueSol !== null ? `${holding.valueSol.toFixed(4)} SOL` : 'no quote'})`),
+          `Total: ${portfolio.totalValueSol.toFixed(4)} SOL`
+        ];
+        await reply(update.chatId, lines.join('\n'));
+        return;
+      }
+      case '/status': {
+        const probes = await probeEndpoints();
+        const lines = probes.map(probe => `${maskRpcUrl(probe.url)}: ${probe.error ? `error - ${probe.error}` : `ok, slot ${probe.slot}`}`);
+        await reply(update.chatId, lines.join('\n'));
+        return;
+      }
+      default:
+        await reply(update.chatId, `Unknown command ${command}\n${HELP_TEXT}`);
+    }
+  }
+
+  async function handleCallback(update) {
+    const [action, id] = String(update.data).split(':');
+    const request = pending.get(id);
+    if (!request || request.userId !== update.userId) {
+      await transport.answerCallback(update.callbackId, 'This confirmation is no longer valid');
+      return;
+    }
+    pending.delete(id);
+    if (update.messageId) {
+      await transport.clearButtons(update.chatId, update.messageId).catch(() => {});
+    }
+
+    if (action !== 'confirm') {
+      await transport.answerCallback(update.callbackId, 'Cancelled');
+      await reply(update.chatId, `Cancelled: ${describeTrade(request.trade)}`);
+      return;
+    }
+    if (Date.now() > request.expiresAt) {
+      await transport.answerCallback(update.callbackId, 'Confirmation expired');
+      await reply(update.chatId, `Confirmation expired - send the command again to ${describeTrade(request.trade)}`);
+      return;
+    }
+
+    await transport.answerCallback(update.callbackId, 'Submitting...');
+    await reply(update.chatId, `Submitting: ${describeTrade(request.trade)}`);
+    // Trades run one at a time; the result is pushed to the chat when it lands or fails
+    queue = queue.then(() => executeTrade(request)).catch(error => {
+      console.error(`Chat trade notification failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Handle one update from the transport. Updates from users who are not whitelisted are refused.
+   * @param {Object} update Normalized update
+   */
+  async function handleUpdate(update) {
+    // Drop confirmations nobody answered
+    const now = Date.now();
+    pending.forEach((request, id) => {
+      if (now > request.expiresAt) pending.delete(id);
+    });
+
+    if (!chatBotConfig.allowedUserIds.includes(String(update.userId))) {
+      console.log(`Ignoring chat ${update.type} from user ${update.userId} (not in chatBot.allowedUserIds)`);
+      if (update.type === 'callback') {
+        await transport.answerCallback(update.callbackId, 'Not authorized');
+      } else {
+        await reply(update.chatId, 'You are not authorized to use this bot.');
+      }
+      return;
+    }
+
+    try {
+      if (update.type === 'callback') {
+        await handleCallback(update);
+      } else if (update.text.startsWith('/')) {
+        await handleCommand(update);
+      }
+    } catch (error) {
+      await reply(update.chatId, `Error: ${error.message}`);
+    }
+  }
+
+  return {
+    handleUpdate,
+    start: () => transport.start(handleUpdate),
+    stop: () => transport.stop(),
+    // Resolves once every confirmed trade has finished and been reported
+    idle: () => queue
+  };
+}
+
+/**
+ * Run the chat bot until Ctrl+C
+ * @param {Object} options See createChatBot
+ */
+async function runChatBot(options) {
+  const bot = createChatBot(options);
+  const running = bot.start();
+  console.log(`Chat bot running with wallet ${options.keypair.publicKey.toString()}. Ctrl+C to stop...`);
+
+  const stop = () => {
+    console.log('\nStopping chat bot (waiting for running trades to finish)...');
+    bot.stop();
+  };
+  process.once('SIGINT', stop);
+  await running;
+  process.removeListener('SIGINT', stop);
+  await bot.idle();
+}
+
+module.exports = {
+  DEFAULT_CHAT_BOT_CONFIG,
+  getChatBotConfig,
+  createTelegramTransport,
+  createMockTransport,
+  createConsoleTransport,
+  createChatBot,
+  runChatBot
+};
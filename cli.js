@@ -0,0 +1,92 @@
+// cli.js - Exit codes and output helpers for scripted (non-interactive, JSON) use of the CLI
+
+// Process exit codes, so scripts can tell failures apart without parsing output
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // Unexpected error
+  USAGE: 2, // Missing or invalid arguments
+  INPUT_REQUIRED: 3, // A prompt was needed but --yes/--non-interactive is set
+  WALLET: 4, // Wallet missing or could not be unlocked
+  CONFIG: 5, // config.json missing or invalid
+  TRADE_FAILED: 6, // A trade was attempted and failed
+  TRADE_BLOCKED: 7 // A trade was refused by safety checks
+};
+
+/**
+ * Error for input that would have been prompted for in interactive mode
+ * @param {string} what What was needed, e.g. "Wallet passphrase"
+ * @param {string} hint How to supply it without a prompt
+ * @returns {Error} Error carrying EXIT_CODES.INPUT_REQUIRED
+ */
+function inputRequiredError(what, hint) {
+  const error = new Error(`${what} required but prompts are disabled (--yes/--non-interactive)${hint ? ` - ${hint}` : ''}`);
+  error.exitCode = EXIT_CODES.INPUT_REQUIRED;
+  return error;
+}
+
+/**
+ * Error for missing or invalid command arguments
+ * @param {string} message Error message
+ * @returns {Error} Error carrying EXIT_CODES.USAGE
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+/**
+ * Exit code for an error caught by a command
+ * @param {Error} error Caught error
+ * @returns {number} The error's exit code, or EXIT_CODES.ERROR
+ */
+function exitCodeFor(error) {
+  return (error && error.exitCode) || EXIT_CODES.ERROR;
+}
+
+/**
+ * Exit code for the results of a trade command
+ * @param {Array<Object>} results buyToken/sellToken results; targets that never traded carry their own exitCode
+ * @returns {number} EXIT_CODES.OK, TRADE_BLOCKED, TRADE_FAILED or the exitCode of a target that never traded
+ */
+function exitCodeForResults(results) {
+  if (results.some(result => result.status === 'blocked')) {
+    return EXIT_CODES.TRADE_BLOCKED;
+  }
+  const failures = results.filter(result => !result.success);
+  if (failures.length > 0 && failures.every(result => result.exitCode)) {
+    return failures[0].exitCode;
+  }
+  return results.every(result => result.success) ? EXIT_CODES.OK : EXIT_CODES.TRADE_FAILED;
+}
+
+// Keep stdout for the JSON document: everything else written through console goes to stderr
+const stdoutWrite = process.stdout.write.bind(process.stdout);
+
+/**
+ * Switch console output to stderr so stdout carries only JSON
+ */
+function enableJsonOutput() {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+}
+
+/**
+ * Write a value as a JSON document on stdout (BigInts as strings)
+ * @param {*} value Value to print
+ */
+function printJson(value) {
+  const json = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+  stdoutWrite(`${json}\n`);
+}
+
+module.exports = {
+  EXIT_CODES,
+  inputRequiredError,
+  usageError,
+  exitCodeFor,
+  exitCodeForResults,
+  enableJsonOutput,
+  printJson
+};
@@ -0,0 +1,132 @@
+// computeBudget.js - Compute unit limit and priority fee handling for swap transactions
+const { ComputeBudgetProgram, ComputeBudgetInstruction, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+
+/**
+ * Calculate the compute unit price for a fee level
+ * @param {number} computeLimit Compute unit limit selected for the fee level
+ * @param {Object} config Bot configuration
+ * @param {number} boost Extra multiplier (e.g. for large sells)
+ * @returns {number} Compute unit price in microLamports (0 when priority fees are disabled)
+ */
+function getPriorityFeeMicroLamports(computeLimit, config, boost = 1) {
+  if (!computeLimit || !(config.priorityFeeMultiplier > 1)) {
+    return 0;
+  }
+  return Math.floor((computeLimit / 10) * config.priorityFeeMultiplier * boost);
+}
+
+/**
+ * Priority fee in lamports paid for a compute budget
+ * @param {number} computeLimit Compute unit limit
+ * @param {number} microLamports Compute unit price in microLamports
+ * @returns {number} Priority fee in lamports
+ */
+function getPriorityFeeLamports(computeLimit, microLamports) {
+  if (!computeLimit || !microLamports) {
+    return 0;
+  }
+  return Math.ceil((computeLimit * microLamports) / 1000000);
+}
+
+// Build the ComputeBudget instructions for a limit and price
+function buildComputeBudgetInstructions(computeLimit, microLamports) {
+  const instructions = [];
+  if (computeLimit) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitLimit({ units: computeLimit }));
+  }
+  if (microLamports) {
+    instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+  return instructions;
+}
+
+function isComputeBudgetInstruction(instruction) {
+  return instruction.programId.equals(ComputeBudgetProgram.programId);
+}
+
+function isComputeUnitPriceInstruction(instruction) {
+  try {
+    return ComputeBudgetInstruction.decodeInstructionType(instruction) === 'SetComputeUnitPrice';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Jupiter's budget instructions that ours replace - duplicates make the transaction fail. Without a
+// price of our own, Jupiter's setComputeUnitPrice is kept so the swap still pays a priority fee.
+function isReplacedBudgetInstruction(instruction, microLamports) {
+  return isComputeBudgetInstruction(instruction) && (microLamports > 0 || !isComputeUnitPriceInstruction(instruction));
+}
+
+/**
+ * Replace the compute budget of a legacy transaction in place
+ * @param {Transaction} transaction Legacy transaction
+ * @param {number} computeLimit Compute unit limit
+ * @param {number} microLamports Compute unit price in microLamports
+ * @returns {Transaction} The same transaction
+ */
+function applyComputeBudgetToLegacy(transaction, computeLimit, microLamports) {
+  const budgetInstructions = buildComputeBudgetInstructions(computeLimit, microLamports);
+  if (budgetInstructions.length === 0) {
+    return transaction;
+  }
+
+  transaction.instructions = [
+    ...budgetInstructions,
+    ...transaction.instructions.filter(instruction => !isReplacedBudgetInstruction(instruction, microLamports))
+  ];
+  return transaction;
+}
+
+/**
+ * Rebuild a versioned (v0) transaction with our own compute budget instructions,
+ * keeping its address lookup tables and blockhash intact
+ * @param {Connection} connection Connection used to load the address lookup tables
+ * @param {VersionedTransaction} transaction Unsigned versioned transaction
+ * @param {number} computeLimit Compute unit limit
+ * @param {number} microLamports Compute unit price in microLamports
+ * @returns {Promise<VersionedTransaction>} New unsigned versioned transaction
+ */
+async function applyComputeBudgetToVersioned(connection, transaction, computeLimit, microLamports) {
+  const budgetInstructions = buildComputeBudgetInstructions(computeLimit, microLamports);
+  if (budgetInstructions.length === 0) {
+    return transaction;
+  }
+
+  const lookups = transaction.message.addressTableLookups || [];
+  const addressLookupTableAccounts = await Promise.all(lookups.map(async (lookup) => {
+    const result = await connection.getAddressLookupTable(lookup.accountKey);
+    if (!result || !result.value) {
+      throw new Error(`Address lookup table ${lookup.accountKey.toString()} not found`);
+    }
+    return result.value;
+  }));
+
+  const message = TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts });
+  message.instructions = [
+    ...budgetInstructions,
+    ...message.instructions.filter(instruction => !isReplacedBudgetInstruction(instruction, microLamports))
+  ];
+
+  return new VersionedTransaction(message.compileToV0Message(addressLookupTableAccounts));
+}
+
+/**
+ * Total fee actually charged for a confirmed transaction
+ * @param {Object} transaction Transaction returned by getTransaction
+ * @returns {number|null} Fee in lamports, or null when unavailable
+ */
+function getPaidFeeLamports(transaction) {
+  if (!transaction || !transaction.meta || typeof transaction.meta.fee !== 'number') {
+    return null;
+  }
+  return transaction.meta.fee;
+}
+
+module.exports = {
+  getPriorityFeeMicroLamports,
+  getPriorityFeeLamports,
+  applyComputeBudgetToLegacy,
+  applyComputeBudgetToVersioned,
+  getPaidFeeLamports
+};
@@ -0,0 +1,530 @@
+// config.js - Loading config.json: schema validation, named profiles and SOLBOT_* environment overrides
+const fs = require('fs');
+
+const { EXIT_CODES } = require('./cli');
+
+const DEFAULT_CONFIG_PATH = 'config.json';
+const ENV_PREFIX = 'SOLBOT_';
+// SOLBOT_* variables that are not settings
+const RESERVED_ENV = ['SOLBOT_PROFILE', 'SOLBOT_WALLET_PASSPHRASE', 'SOLBOT_WALLET_NEW_PASSPHRASE', 'SOLBOT_API_KEY', 'SOLBOT_TELEGRAM_TOKEN'];
+
+const FEE_TYPES = ['low', 'medium', 'high', 'urgent', 'custom'];
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+const SAFETY_POLICIES = ['off', 'warn', 'block'];
+// Renamed settings: the old name is an error rather than an ignored unknown setting, so no limit is silently dropped
+const RENAMED_SETTINGS = { minOutAmount: 'minOut.sellSol' };
+
+const percent = { type: 'number', min: 0, max: 100 };
+// Object with an integer per fee level
+function feeLevelMap(required) {
+  const keys = {};
+  FEE_TYPES.forEach(level => { keys[level] = { type: 'integer', min: 0, required }; });
+  return { type: 'object', keys };
+}
+
+/*
+ * Schema of config.json. Each entry has a type (string, number, integer, boolean, url, array, object) and optionally:
+ *   required  The setting must be present
+ *   enum      Allowed values
+ *   min, max  Bounds for numbers (positive: must be > 0)
+ *   keys      Schema of an object's known keys
+ *   values    Schema applied to every value of an object used as a map
+ *   open      The object may hold keys that are not in `keys`
+ */
+const CONFIG_SCHEMA = {
+  rpcUrl: { type: 'url' },
+  rpcUrls: { type: 'array' },
+  rpcTimeoutMs: { type: 'integer', min: 1 },
+  broadcastEndpoints: { type: 'integer', min: 1 },
+  defaultBuyAmount: { type: 'number', positive: true, required: true },
+  defaultFee: { type: 'string', enum: FEE_TYPES, required: true },
+  slippage: { ...percent, required: true },
+  maxSlippage: percent,
+  slippageStep: { type: 'number', positive: true, max: 100 },
+  maxPriceImpact: percent,
+  maxSolSpend: { type: 'number', positive: true },
+  // Minimum guaranteed output after slippage, per side: tokens a buy must return, SOL a sell must return
+  minOut: {
+    type: 'object',
+    keys: {
+      buyTokens: { type: 'number', min: 0 },
+      sellSol: { type: 'number', min: 0 }
+    }
+  },
+  retry: {
+    type: 'object',
+    keys: {
+      maxAttempts: { type: 'integer', min: 1 },
+      stepSlippage: { type: 'boolean' },
+      stepFee: { type: 'boolean' },
+      feeBoostStep: { type: 'number', min: 0 },
+      maxFeeBoost: { type: 'number', min: 1 }
+    }
+  },
+  antiMEV: { type: 'boolean' },
+  confirmCommitment: { type: 'string', enum: COMMITMENTS },
+  rebroadcastIntervalMs: { type: 'integer', min: 100 },
+  dynamicFee: { type: 'boolean' },
+  priorityFeeMultiplier: { type: 'number', min: 0 },
+  // Compute unit limit per fee level; every level must be set so no fee type resolves to NaN
+  feeLevels: { ...feeLevelMap(true), required: true },
+  jupiterTriggerApiUrl: { type: 'url' },
+  jito: {
+    type: 'object',
+    keys: {
+      enabled: { type: 'boolean' },
+      blockEngineUrl: { type: 'url' },
+      tipAccounts: { type: 'array' },
+      tipLamports: feeLevelMap(false),
+      bundleTimeoutMs: { type: 'integer', min: 1 },
+      statusPollMs: { type: 'integer', min: 1 }
+    }
+  },
+  safety: {
+    type: 'object',
+    open: true,
+    keys: {
+      enabled: { type: 'boolean' },
+      policies: { type: 'object', values: { type: 'string', enum: SAFETY_POLICIES } },
+      maxSingleHolderPct: percent,
+      maxTop10HolderPct: percent,
+      maxRoundTripLossPct: percent,
+      maxTransferFeeBps: { type: 'integer', min: 0, max: 10000 }
+    }
+  },
+  sniper: { type: 'object', open: true },
+  copyTrade: { type: 'object', open: true },
+  api: {
+    type: 'object',
+    keys: {
+      host: { type: 'string' },
+      port: { type: 'integer', min: 0, max: 65535 },
+      apiKeys: { type: 'array' }
+    }
+  },
+  chatBot: { type: 'object', open: true },
+  // Named profiles: partial configs merged over the rest of the file when selected
+  profiles: { type: 'object', values: { type: 'object', open: true } }
+};
+
+// Profiles available without defining them in config.json; a profile of the same name in the file is merged over these
+const BUILTIN_PROFILES = {
+  // Public devnet RPC (Jupiter quotes and swaps only exist on mainnet)
+  devnet: {
+    rpcUrl: 'https://api.devnet.solana.com',
+    rpcUrls: [],
+    jito: { enabled: false }
+  },
+  // Land fast at the cost of fees and price
+  aggressive: {
+    defaultFee: 'urgent',
+    slippage: 3,
+    maxSlippage: 15,
+    slippageStep: 1,
+    priorityFeeMultiplier: 3,
+    retry: { maxAttempts: 5 }
+  }
+};
+
+// Process-wide selection: the --profile in use, or a config object set by library callers
+let activeProfile = null;
+let configObject = null;
+
+// Error carrying EXIT_CODES.CONFIG
+function configError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.CONFIG;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge objects recursively into new objects; arrays and other values from `override` replace those in `base`
+function deepMerge(base, override) {
+  const merged = { ...base };
+  Object.keys(override).forEach(key => {
+    merged[key] = isPlainObject(override[key])
+      ? deepMerge(isPlainObject(merged[key]) ? merged[key] : {}, override[key])
+      : override[key];
+  });
+  return merged;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Schema entry of a setting
+ * @param {string} path Dotted setting path, e.g. "retry.maxAttempts"
+ * @returns {Object|null|undefined} Schema entry; null for a key inside an open object (allowed, not described);
+ *   undefined for an unknown setting
+ */
+function getSchemaEntry(path) {
+  let entry = { type: 'object', keys: CONFIG_SCHEMA };
+  for (const key of path.split('.')) {
+    if (entry === null) return null;
+    if (entry.keys && entry.keys[key]) {
+      entry = entry.keys[key];
+    } else if (entry.values) {
+      entry = entry.values;
+    } else if (entry.open) {
+      entry = null;
+    } else {
+      return undefined;
+    }
+  }
+  return entry;
+}
+
+function checkValue(value, entry, path, problems) {
+  const type = entry.type;
+  let ok;
+  if (type === 'integer') ok = Number.isInteger(value);
+  else if (type === 'number') ok = typeof value === 'number' && Number.isFinite(value);
+  else if (type === 'url') ok = typeof value === 'string' && /^(https?|wss?):\/\/\S+$/.test(value);
+  else if (type === 'array') ok = Array.isArray(value);
+  else if (type === 'object') ok = isPlainObject(value);
+  else ok = typeof value === type;
+
+  if (!ok) {
+    problems.errors.push(`${path}: expected ${type === 'url' ? 'an http(s) URL' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (entry.enum && !entry.enum.includes(value)) {
+    problems.errors.push(`${path}: must be one of ${entry.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (entry.positive && !(value > 0)) {
+    problems.errors.push(`${path}: must be greater than 0 (got ${value})`);
+  }
+  if (entry.min !== undefined && value < entry.min) {
+    problems.errors.push(`${path}: must be at least ${entry.min} (got ${value})`);
+  }
+  if (entry.max !== undefined && value > entry.max) {
+    problems.errors.push(`${path}: must be at most ${entry.max} (got ${value})`);
+  }
+
+  if (type === 'object') {
+    const keys = entry.keys || {};
+    Object.keys(keys).forEach(key => {
+      if (keys[key].required && value[key] === undefined) {
+        problems.errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (keys[key]) {
+        checkValue(value[key], keys[key], `${path}.${key}`, problems);
+      } else if (entry.values) {
+        checkValue(value[key], entry.values, `${path}.${key}`, problems);
+      } else if (!entry.open) {
+        problems.warnings.push(`${path}.${key}: unknown setting (ignored)`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a resolved config against the schema
+ * @param {Object} config Bot configuration
+ * @returns {{ errors: Array<string>, warnings: Array<string> }} Problems, one message per setting
+ */
+function validateConfig(config) {
+  const problems = { errors: [], warnings: [] };
+  if (!isPlainObject(config)) {
+    problems.errors.push('config: expected a JSON object');
+    return problems;
+  }
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    if (CONFIG_SCHEMA[key].required && config[key] === undefined) {
+      problems.errors.push(`${key}: is required`);
+    }
+  });
+  Object.keys(config).forEach(key => {
+    if (CONFIG_SCHEMA[key]) {
+      checkValue(config[key], CONFIG_SCHEMA[key], key, problems);
+    } else if (RENAMED_SETTINGS[key]) {
+      problems.errors.push(`${key}: renamed to ${RENAMED_SETTINGS[key]}`);
+    } else {
+      problems.warnings.push(`${key}: unknown setting (ignored)`);
+    }
+  });
+
+  if (config.dynamicFee && config.priorityFeeMultiplier === undefined) {
+    problems.errors.push('priorityFeeMultiplier: is required when dynamicFee is on');
+  }
+  if (config.maxSlippage !== undefined && config.slippage !== undefined && config.maxSlippage < config.slippage) {
+    problems.warnings.push(`maxSlippage: ${config.maxSlippage} is below slippage ${config.slippage}, so slippage is never widened`);
+  }
+  return problems;
+}
+
+/**
+ * Convert a text value (environment variable or `config set` argument) to a setting's type
+ * @param {string} raw Text value
+ * @param {Object|null} entry Schema entry (null: JSON if it parses, else the text)
+ * @param {string} name Setting or variable name, for error messages
+ * @returns {*} Parsed value
+ */
+function parseSettingValue(raw, entry, name) {
+  const type = entry ? entry.type : null;
+  if (type === 'number' || type === 'integer') {
+    const number = Number(raw);
+    if (raw.trim() === '' || isNaN(number)) {
+      throw configError(`${name}: expected a number, got "${raw}"`);
+    }
+    return number;
+  }
+  if (type === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(raw)) return true;
+    if (/^(false|0|no|off)$/i.test(raw)) return false;
+    throw configError(`${name}: expected true or false, got "${raw}"`);
+  }
+  if (type === 'string' || type === 'url') {
+    return raw;
+  }
+  if (type === 'array' && !raw.trim().startsWith('[')) {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    if (type === 'array' || type === 'object') {
+      throw configError(`${name}: expected JSON, got "${raw}" (${error.message})`);
+    }
+    return raw;
+  }
+}
+
+// "retry.maxAttempts" -> "SOLBOT_RETRY__MAX_ATTEMPTS"
+function toEnvName(path) {
+  return ENV_PREFIX + path.split('.').map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('__');
+}
+
+// "RETRY__MAX_ATTEMPTS" -> "retry.maxAttempts", for keys the schema does not describe
+function fromEnvName(name) {
+  return name.slice(ENV_PREFIX.length).split('__')
+    .map(key => key.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase()))
+    .join('.');
+}
+
+// Every described setting path, for mapping environment variable names back to settings
+function listSchemaPaths(keys = CONFIG_SCHEMA, prefix = '') {
+  return Object.keys(keys).flatMap(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return [path, ...(keys[key].keys ? listSchemaPaths(keys[key].keys, path) : [])];
+  });
+}
+
+/**
+ * Apply SOLBOT_* environment overrides, e.g. SOLBOT_DEFAULT_FEE=high or SOLBOT_RETRY__MAX_ATTEMPTS=5
+ * ("__" separates nested keys). Variables that are not settings (passphrases, API keys, other tools'
+ * SOLBOT_* variables) are skipped with a warning.
+ * @param {Object} config Bot configuration (modified in place)
+ * @param {Object} env Environment variables
+ * @returns {Array<string>} Variables that were applied
+ */
+function applyEnvOverrides(config, env) {
+  const byEnvName = {};
+  listSchemaPaths().forEach(path => { byEnvName[toEnvName(path)] = path; });
+
+  const applied = [];
+  Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && !RESERVED_ENV.includes(name) && env[name] !== undefined)
+    .sort()
+    .forEach(name => {
+      const path = byEnvName[name] || fromEnvName(name);
+      const entry = getSchemaEntry(path);
+      if (entry === undefined) {
+        console.warn(`Warning: ignoring ${name} - no setting "${path}" to override`);
+        return;
+      }
+      setPath(config, path, parseSettingValue(env[name], entry, name));
+      applied.push(name);
+    });
+  return applied;
+}
+
+// Apply a profile and environment overrides to a parsed config file, without validating the result
+function mergeConfig(rawConfig, options) {
+  if (!isPlainObject(rawConfig)) {
+    throw configError(`Invalid config in ${options.source || 'config'}: expected a JSON object`);
+  }
+  const { profiles, ...base } = rawConfig;
+  const configured = isPlainObject(profiles) ? profiles : {};
+  let config = deepMerge({}, base);
+
+  if (options.profile) {
+    const profile = options.profile;
+    if (!BUILTIN_PROFILES[profile] && !isPlainObject(configured[profile])) {
+      throw configError(`Unknown profile "${profile}" - available: ${listProfiles(rawConfig).join(', ')}`);
+    }
+    config = deepMerge(deepMerge(config, BUILTIN_PROFILES[profile] || {}), configured[profile] || {});
+  }
+
+  if (options.env) {
+    applyEnvOverrides(config, options.env);
+  }
+  return config;
+}
+
+/**
+ * Resolve a config: merge the selected profile, apply environment overrides and validate
+ * @param {Object} rawConfig Parsed config.json (may contain "profiles")
+ * @param {Object} options Options
+ * @param {string} options.profile Profile to apply (built-in or from rawConfig.profiles)
+ * @param {Object} options.env Environment variables to apply SOLBOT_* overrides from
+ * @param {string} options.source Where the config came from, for error messages
+ * @returns {Object} Validated configuration
+ */
+function resolveConfig(rawConfig, options = {}) {
+  const config = mergeConfig(rawConfig, options);
+  const { errors } = validateConfig(config);
+  if (errors.length > 0) {
+    const source = options.source || 'config';
+    const from = options.profile ? `${source} with profile "${options.profile}"` : source;
+    throw configError(`Invalid config in ${from}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Validate a config file as-is and with each of its profiles
+ * @param {string} configPath Config file
+ * @param {Object} env Environment variables to apply SOLBOT_* overrides from
+ * @returns {Array<{profile: string|null, errors: Array<string>, warnings: Array<string>}>} One report per profile
+ *   (null: no profile)
+ */
+function checkConfigFile(configPath = DEFAULT_CONFIG_PATH, env = {}) {
+  const rawConfig = readConfigFile(configPath);
+  return [null, ...listProfiles(rawConfig)].map(profile => {
+    try {
+      return { profile, ...validateConfig(mergeConfig(rawConfig, { profile, env, source: configPath })) };
+    } catch (error) {
+      return { profile, errors: [error.message], warnings: [] };
+    }
+  });
+}
+
+/**
+ * Names of the profiles a config can select
+ * @param {Object} rawConfig Parsed config.json
+ * @returns {Array<string>} Built-in and configured profile names
+ */
+function listProfiles(rawConfig = {}) {
+  const configured = isPlainObject(rawConfig.profiles) ? Object.keys(rawConfig.profiles) : [];
+  return [...new Set([...Object.keys(BUILTIN_PROFILES), ...configured])];
+}
+
+/**
+ * Read config.json as written, without profiles, overrides or validation
+ * @param {string} configPath Config file
+ * @returns {Object} Parsed file
+ */
+function readConfigFile(configPath = DEFAULT_CONFIG_PATH) {
+  let text;
+  try {
+    text = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw configError(error.code === 'ENOENT'
+      ? `Config file ${configPath} not found - create one with: init`
+      : `Could not read config file ${configPath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw configError(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeConfigFile(rawConfig, configPath = DEFAULT_CONFIG_PATH) {
+  const tmpPath = `${configPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(rawConfig, null, 2));
+  fs.renameSync(tmpPath, configPath);
+}
+
+/**
+ * Select the profile used by every later loadConfig call in this process
+ * @param {string|null} profile Profile name (null: SOLBOT_PROFILE, else none)
+ */
+function selectProfile(profile) {
+  activeProfile = profile || null;
+}
+
+/**
+ * Use a config object instead of config files for every later loadConfig call (library use)
+ * @param {Object|null} config Resolved configuration, or null to read config files again
+ */
+function useConfigObject(config) {
+  configObject = config;
+}
+
+/**
+ * Load the bot configuration: config.json, then the selected profile, then SOLBOT_* overrides, validated
+ * @param {string} configPath Config file
+ * @returns {Object} Configuration
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (configObject) {
+    return configObject;
+  }
+  return resolveConfig(readConfigFile(configPath), {
+    profile: activeProfile || process.env.SOLBOT_PROFILE,
+    env: process.env,
+    source: configPath
+  });
+}
+
+/**
+ * Change one setting in config.json (or in one of its profiles), refusing changes that would not validate
+ * @param {string} path Dotted setting path
+ * @param {string} rawValue Value as text; parsed by the setting's type, JSON for undescribed settings
+ * @param {Object} options Options
+ * @param {string} options.configPath Config file
+ * @param {string} options.profile Write into profiles.<profile> instead of the top level
+ * @returns {*} The stored value
+ */
+function setConfigValue(path, rawValue, options = {}) {
+  const configPath = options.configPath || DEFAULT_CONFIG_PATH;
+  const entry = getSchemaEntry(path);
+  if (entry === undefined) {
+    throw configError(`Unknown setting "${path}"`);
+  }
+  const rawConfig = readConfigFile(configPath);
+  const target = options.profile ? `profiles.${options.profile}.${path}` : path;
+  const value = parseSettingValue(rawValue, entry, path);
+  setPath(rawConfig, target, value);
+
+  // Refuse to write a config that would no longer load
+  resolveConfig(rawConfig, { source: configPath, profile: options.profile });
+  writeConfigFile(rawConfig, configPath);
+  return value;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  CONFIG_SCHEMA,
+  BUILTIN_PROFILES,
+  validateConfig,
+  resolveConfig,
+  checkConfigFile,
+  listProfiles,
+  readConfigFile,
+  loadConfig,
+  selectProfile,
+  useConfigObject,
+  getPath,
+  getSchemaEntry,
+  toEnvName,
+  setConfigValue
+};
@@ -1,6 +1,12 @@
-// connectionManager.js - Fixed version
+// connectionManager.js - Pooled RPC connections with health tracking and failover
 const { Connection } = require('@solana/web3.js');
-const fs = require('fs');
+const { loadConfig, useConfigObject } = require('./config');
+
+const DEFAULT_RPC_URL = "https://api.mainnet-beta.solana.com";
+const DEFAULT_RPC_TIMEOUT_MS = 10000;
+const ENDPOINT_COOLDOWN_MS = 30000; // How long an endpoint is avoided after a 429/5xx/timeout
+const HEALTH_WINDOW = 50; // Number of recent requests used for the error rate
+const LATENCY_SMOOTHING = 0.2; // Weight of the newest sample in the latency moving average
 
 // Multiple connection instances based on commitment
 const connectionInstances = {
@@ -9,20 +15,192 @@ const connectionInstances = {
   finalized: null
 };
 
-// Load config
-function loadConfig(configPath = 'config.json') {
+// Endpoint pool built from config.rpcUrls (or config.rpcUrl), with per-endpoint health
+let endpointPool = null;
+
+/**
+ * Normalize the configured RPC endpoints
+ * @param {Object} config Bot configuration; rpcUrls entries are URLs or { url, weight, wsUrl }
+ * @returns {Array<{url: string, weight: number, wsUrl: string|undefined}>} Endpoints
+ */
+function getRpcEndpoints(config) {
+  const entries = Array.isArray(config.rpcUrls) && config.rpcUrls.length > 0
+    ? config.rpcUrls
+    : [config.rpcUrl || DEFAULT_RPC_URL];
+
+  return entries.map(entry => {
+    const endpoint = typeof entry === 'string' ? { url: entry } : entry;
+    if (!endpoint || !/^https?:\/\//.test(endpoint.url || '')) {
+      throw new Error(`Invalid RPC endpoint in config: ${JSON.stringify(entry)}`);
+    }
+    const weight = endpoint.weight !== undefined ? Number(endpoint.weight) : 1;
+    if (isNaN(weight) || weight <= 0) {
+      throw new Error(`Invalid weight for RPC endpoint ${endpoint.url}: ${endpoint.weight}`);
+    }
+    return { url: endpoint.url, weight, wsUrl: endpoint.wsUrl };
+  });
+}
+
+// Build the endpoint pool, keeping the health history of endpoints that are still configured
+function buildEndpointPool(config) {
+  const previous = endpointPool ? endpointPool.endpoints : [];
+  const endpoints = getRpcEndpoints(config).map(endpoint => {
+    const existing = previous.find(p => p.url === endpoint.url);
+    return {
+      ...endpoint,
+      latencyMs: existing ? existing.latencyMs : null,
+      outcomes: existing ? existing.outcomes : [],
+      requests: existing ? existing.requests : 0,
+      errors: existing ? existing.errors : 0,
+      lastError: existing ? existing.lastError : null,
+      lastErrorAt: existing ? existing.lastErrorAt : null,
+      cooldownUntil: existing ? existing.cooldownUntil : 0,
+      connections: {}
+    };
+  });
+
+  return {
+    endpoints,
+    timeoutMs: config.rpcTimeoutMs || DEFAULT_RPC_TIMEOUT_MS,
+    broadcastCount: config.broadcastEndpoints || endpoints.length
+  };
+}
+
+function getEndpointPool(configPath = 'config.json', forceRefresh = false) {
+  if (!endpointPool || forceRefresh) {
+    endpointPool = buildEndpointPool(loadConfig(configPath));
+  }
+  return endpointPool;
+}
+
+function getErrorRate(endpoint) {
+  if (endpoint.outcomes.length === 0) {
+    return 0;
+  }
+  return endpoint.outcomes.filter(ok => !ok).length / endpoint.outcomes.length;
+}
+
+// Higher is better: configured weight scaled down by error rate and latency
+function getEndpointScore(endpoint) {
+  const latency = endpoint.latencyMs !== null ? endpoint.latencyMs : 500;
+  return endpoint.weight * (1 - getErrorRate(endpoint)) * (1000 / (1000 + latency));
+}
+
+function recordEndpointResult(endpoint, latencyMs, error = null, failover = false) {
+  endpoint.requests++;
+  endpoint.outcomes.push(!error);
+  if (endpoint.outcomes.length > HEALTH_WINDOW) {
+    endpoint.outcomes.shift();
+  }
+
+  if (error) {
+    endpoint.errors++;
+    endpoint.lastError = error;
+    endpoint.lastErrorAt = Date.now();
+    if (failover) {
+      endpoint.cooldownUntil = Date.now() + ENDPOINT_COOLDOWN_MS;
+    }
+  } else {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  }
+}
+
+/**
+ * Order endpoints for the next request: a weighted pick among healthy endpoints first,
+ * then the other healthy ones by score, then those cooling down (as a last resort)
+ * @param {Object} pool Endpoint pool
+ * @returns {Array<Object>} Endpoints in the order they should be tried
+ */
+function orderEndpoints(pool) {
+  const now = Date.now();
+  const available = pool.endpoints.filter(endpoint => endpoint.cooldownUntil <= now);
+  const coolingDown = pool.endpoints
+    .filter(endpoint => endpoint.cooldownUntil > now)
+    .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+  const ranked = available.sort((a, b) => getEndpointScore(b) - getEndpointScore(a));
+  if (ranked.length > 1) {
+    // Spread load by weight, so a lower-weight endpoint still gets its share
+    const total = ranked.reduce((acc, endpoint) => acc + getEndpointScore(endpoint), 0);
+    let pick = Math.random() * total;
+    const index = ranked.findIndex(endpoint => (pick -= getEndpointScore(endpoint)) < 0);
+    if (index > 0) {
+      ranked.unshift(ranked.splice(index, 1)[0]);
+    }
+  }
+
+  return ranked.concat(coolingDown);
+}
+
+// Rate limits, server errors and timeouts are worth retrying on another endpoint
+function isFailoverStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Fetch from one endpoint with a timeout, recording the outcome
+async function fetchFromEndpoint(endpoint, init, timeoutMs) {
+  const startTime = Date.now();
+  // Drop the agent web3.js adds for its own endpoint; the global fetch keeps connections alive itself
+  const requestInit = { ...init };
+  delete requestInit.agent;
   try {
-    const configData = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configData);
+    const response = await fetch(endpoint.url, { ...requestInit, signal: AbortSignal.timeout(timeoutMs) });
+    if (isFailoverStatus(response.status)) {
+      recordEndpointResult(endpoint, Date.now() - startTime, `HTTP ${response.status}`, true);
+    } else {
+      recordEndpointResult(endpoint, Date.now() - startTime);
+    }
+    return response;
   } catch (error) {
-    console.error(`Error loading config from ${configPath}:`, error.message);
-    return { rpcUrl: "https://api.mainnet-beta.solana.com" }; // Fallback
+    const message = error.name === 'TimeoutError' ? `Timeout after ${timeoutMs}ms` : error.message;
+    recordEndpointResult(endpoint, Date.now() - startTime, message, true);
+    throw new Error(`${endpoint.url}: ${message}`);
   }
 }
 
+// fetch implementation for pooled connections: try endpoints in order until one answers
+function createPooledFetch(pool) {
+  return async (url, init) => {
+    let lastResponse = null;
+    let lastError = null;
+
+    for (const endpoint of orderEndpoints(pool)) {
+      try {
+        const response = await fetchFromEndpoint(endpoint, init, pool.timeoutMs);
+        if (!isFailoverStatus(response.status)) {
+          return response;
+        }
+        lastResponse = response;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    // Every endpoint failed: hand back the last HTTP error so web3.js reports (and backs off on) it
+    if (lastResponse) {
+      return lastResponse;
+    }
+    throw lastError;
+  };
+}
+
+function createConnection(endpoint, commitment, customFetch, disableRetryOnRateLimit = false) {
+  return new Connection(endpoint.url, {
+    commitment: commitment,
+    wsEndpoint: endpoint.wsUrl,
+    confirmTransactionInitialTimeout: 60000, // 60 seconds
+    disableRetryOnRateLimit,
+    httpAgent: false,
+    fetch: customFetch,
+    httpHeaders: { 'User-Agent': 'solana-meme-trader/1.0.0' }
+  });
+}
+
 /**
- * Get a reusable Solana connection instance
- * @param {boolean} forceRefresh Force creating a new connection
+ * Get a reusable Solana connection instance backed by the endpoint pool
+ * @param {boolean} forceRefresh Force creating a new connection (and re-reading the endpoints)
  * @param {string} configPath Path to config file
  * @param {string} commitment Commitment level ('processed', 'confirmed', 'finalized')
  * @returns {Connection} Solana connection instance
@@ -37,22 +215,148 @@ function getConnection(forceRefresh = false, configPath = 'config.json', commitm
     return connectionInstances[commitment];
   }
 
-  // Load config to get RPC URL
-  const config = loadConfig(configPath);
-  const rpcUrl = config.rpcUrl || "https://api.mainnet-beta.solana.com";
-  
-  // Create new connection with specified commitment
-  // Add additional options to improve reliability
-  connectionInstances[commitment] = new Connection(rpcUrl, {
-    commitment: commitment,
-    confirmTransactionInitialTimeout: 60000, // 60 seconds
-    disableRetryOnRateLimit: false,
-    httpHeaders: { 'User-Agent': 'solana-meme-trader/1.0.0' }
-  });
+  const pool = getEndpointPool(configPath, forceRefresh);
+  if (forceRefresh) {
+    // Connections for other commitments still point at the old pool
+    Object.keys(connectionInstances).forEach(key => { connectionInstances[key] = null; });
+  }
+
+  // Requests fail over across the pool; subscriptions use the highest-weight endpoint
+  const primary = pool.endpoints.reduce((best, endpoint) => endpoint.weight > best.weight ? endpoint : best);
+  connectionInstances[commitment] = createConnection(primary, commitment, createPooledFetch(pool));
   
   return connectionInstances[commitment];
 }
 
+/**
+ * Get a connection bound to a single endpoint of the pool (no failover)
+ * @param {string} url Endpoint URL
+ * @param {string} commitment Commitment level
+ * @param {string} configPath Path to config file
+ * @returns {Connection} Solana connection instance
+ */
+function getEndpointConnection(url, commitment = 'confirmed', configPath = 'config.json') {
+  const pool = getEndpointPool(configPath);
+  const endpoint = pool.endpoints.find(e => e.url === url);
+  if (!endpoint) {
+    throw new Error(`RPC endpoint ${url} is not in the pool`);
+  }
+
+  if (!endpoint.connections[commitment]) {
+    // No rate-limit backoff here: callers pick another endpoint instead
+    endpoint.connections[commitment] = createConnection(endpoint, commitment,
+      (requestUrl, init) => fetchFromEndpoint(endpoint, init, pool.timeoutMs), true);
+  }
+  return endpoint.connections[commitment];
+}
+
+/**
+ * Send a signed transaction to several endpoints at once
+ * @param {Buffer|Uint8Array} rawTransaction Serialized signed transaction
+ * @param {Object} sendOptions Options for sendRawTransaction
+ * @param {Object} options Broadcast options
+ * @param {number} options.count Number of endpoints to send to (defaults to config.broadcastEndpoints, else all)
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<string>} Transaction signature from the first endpoint that accepted it
+ */
+async function broadcastTransaction(rawTransaction, sendOptions = {}, options = {}) {
+  const pool = getEndpointPool();
+  const count = Math.min(options.count || pool.broadcastCount, pool.endpoints.length);
+
+  // A single target gets the pooled connection, which still fails over
+  if (count <= 1) {
+    return getConnection(false, 'config.json', 'processed').sendRawTransaction(rawTransaction, sendOptions);
+  }
+
+  const targets = orderEndpoints(pool).slice(0, count);
+  const sends = targets.map(endpoint =>
+    getEndpointConnection(endpoint.url, 'processed').sendRawTransaction(rawTransaction, sendOptions)
+      .then(signature => {
+        if (options.verbose) console.log(`Transaction accepted by ${maskRpcUrl(endpoint.url)}`);
+        return signature;
+      })
+      .catch(error => {
+        if (options.verbose) console.log(`Send via ${maskRpcUrl(endpoint.url)} failed: ${error.message}`);
+        throw error;
+      })
+  );
+
+  try {
+    return await Promise.any(sends);
+  } catch (error) {
+    // AggregateError - every endpoint rejected the transaction
+    throw error.errors[0];
+  }
+}
+
+/**
+ * Hide API keys in an RPC URL for display
+ * @param {string} url Endpoint URL
+ * @returns {string} URL with query values and long path tokens masked
+ */
+function maskRpcUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.forEach((value, key) => parsed.searchParams.set(key, '***'));
+    parsed.pathname = parsed.pathname
+      .split('/')
+      .map(segment => segment.length > 16 ? `${segment.slice(0, 4)}***` : segment)
+      .join('/');
+    return decodeURIComponent(parsed.toString());
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Health snapshot of every endpoint in the pool
+ * @param {string} configPath Path to config file
+ * @returns {Array<Object>} { url, weight, status, latencyMs, errorRate, requests, errors, lastError, score }
+ */
+function getEndpointHealth(configPath = 'config.json') {
+  const now = Date.now();
+  return getEndpointPool(configPath).endpoints.map(endpoint => {
+    const errorRate = getErrorRate(endpoint);
+    let status = 'unknown';
+    if (endpoint.cooldownUntil > now) {
+      status = 'cooling down';
+    } else if (endpoint.requests > 0) {
+      status = errorRate > 0.2 ? 'degraded' : 'healthy';
+    }
+
+    return {
+      url: endpoint.url,
+      weight: endpoint.weight,
+      status,
+      latencyMs: endpoint.latencyMs,
+      errorRate,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      lastError: endpoint.lastError,
+      score: getEndpointScore(endpoint)
+    };
+  });
+}
+
+/**
+ * Query every endpoint directly so the pool has fresh latency and error data
+ * @param {string} configPath Path to config file
+ * @returns {Promise<Array<Object>>} { url, version, slot, error } per endpoint
+ */
+async function probeEndpoints(configPath = 'config.json') {
+  const pool = getEndpointPool(configPath);
+  return Promise.all(pool.endpoints.map(async endpoint => {
+    const connection = getEndpointConnection(endpoint.url, 'confirmed', configPath);
+    try {
+      const version = await connection.getVersion();
+      const slot = await connection.getSlot();
+      return { url: endpoint.url, version: version['solana-core'], slot, error: null };
+    } catch (error) {
+      return { url: endpoint.url, version: null, slot: null, error: error.message };
+    }
+  }));
+}
+
 /**
  * Test the connection to ensure it's working
  * @param {boolean} verbose Whether to log detailed information
@@ -74,6 +378,17 @@ async function testConnection(verbose = false, commitment = 'confirmed') {
   }
 }
 
+/**
+ * Use a config object instead of config.json (library use). Connections are shared by the whole
+ * process, so this replaces the endpoints for every caller.
+ * @param {Object|null} config Bot configuration, or null to read config files again
+ */
+function setConfig(config) {
+  useConfigObject(config);
+  Object.keys(connectionInstances).forEach(key => { connectionInstances[key] = null; });
+  endpointPool = null;
+}
+
 /**
  * Reset all connection instances - useful for when switching RPC providers
  */
@@ -81,134 +396,196 @@ function resetConnections() {
   connectionInstances.processed = null;
   connectionInstances.confirmed = null;
   connectionInstances.finalized = null;
+  endpointPool = null;
   console.log('All connection instances have been reset');
 }
 
-/**
- * Helper function to verify transaction on-chain
- * @param {string} signature Transaction signature to verify
- * @param {number} maxRetries Maximum number of retries
- * @param {boolean} verbose Whether to log detailed information
- * @returns {Promise<Object>} Transaction verification result
- */
-async function verifyTransactionOnChain(signature, maxRetries = 40, verbose = false) {
-  if (verbose) console.log(`Verifying transaction ${signature} on chain...`);
-  
-  // Use finalized commitment for verification
-  const connection = getConnection(false, 'config.json', 'finalized');
-  
-  // First, wait for the transaction to be finalized
-  let retries = maxRetries;
-  let txSuccess = false;
-  let status = null;
-  
-  while (retries > 0) {
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+const DEFAULT_REBROADCAST_INTERVAL_MS = 2000;
+const BLOCKHASH_VALIDITY_BLOCKS = 150; // Blocks a blockhash stays valid for
+const SUBSCRIPTION_SAFETY_POLL_MS = 5000; // Status polling while the subscription is active
+const FALLBACK_POLL_MS = 1500; // Status polling when the subscription could not be set up
+const CONFIRMATION_DEADLINE_MS = 120000;
+
+function meetsCommitment(confirmationStatus, commitment) {
+  return COMMITMENT_LEVELS.indexOf(confirmationStatus) >= COMMITMENT_LEVELS.indexOf(commitment);
+}
+
+// Fetch the landed transaction for fee reporting; getTransaction does not accept 'processed'
+async function fetchConfirmedTransaction(connection, signature, attempts = 3) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
     try {
-      const signatureStatuses = await connection.getSignatureStatuses([signature], {searchTransactionHistory: true});
-      status = signatureStatuses && signatureStatuses.value[0];
-      
-      if (status) {
-        if (status.err) {
-          if (verbose) console.log(`Transaction ${signature} failed with error:`, status.err);
-          return { 
-            success: false, 
-            error: status.err, 
-            status: 'failed' 
-          };
-        } else if (status.confirmationStatus === 'finalized') {
-          if (verbose) console.log(`Transaction ${signature} finalized on chain`);
-          txSuccess = true;
-          break;
-        } else if (status.confirmationStatus === 'confirmed') {
-          if (verbose) console.log(`Transaction ${signature} confirmed but waiting for finalization...`);
-        }
-      } else {
-        if (verbose && retries % 5 === 0) console.log(`Transaction not found yet. Retries left: ${retries}`);
-      }
-    } catch (e) {
-      if (verbose) console.log(`Error checking status: ${e.message}. Retrying...`);
+      const tx = await connection.getTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+      if (tx) return tx;
+    } catch (error) {
+      // Retry below
     }
-    
-    retries--;
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second between retries
+    await new Promise(resolve => setTimeout(resolve, 500));
   }
-  
-  if (!txSuccess) {
-    // Double-check by trying to get the transaction directly
-    try {
-      const tx = await connection.getTransaction(signature, { 
-        maxSupportedTransactionVersion: 0,
-        commitment: 'finalized'
-      });
-      
-      if (tx && !tx.meta?.err) {
-        if (verbose) console.log(`Transaction ${signature} found on chain through direct lookup`);
-        txSuccess = true;
-      } else if (tx && tx.meta?.err) {
-        if (verbose) console.log(`Transaction ${signature} found on chain but has errors:`, tx.meta.err);
-        return { 
-          success: false, 
-          error: tx.meta.err, 
-          status: 'failed' 
-        };
-      }
-    } catch (e) {
-      if (verbose) console.log(`Error getting transaction: ${e.message}`);
-    }
+  return null;
+}
+
+/**
+ * Wait for a transaction to reach a commitment level. Listens with an onSignature subscription,
+ * polls signature statuses only as a fallback, and rebroadcasts the signed transaction until
+ * its blockhash expires.
+ * @param {string} signature Transaction signature
+ * @param {Object} options Confirmation options
+ * @param {Buffer|Uint8Array} options.rawTransaction Signed transaction to rebroadcast (optional)
+ * @param {number} options.lastValidBlockHeight Last block height at which the transaction can land
+ * @param {string} options.commitment Target commitment (defaults to config.confirmCommitment, else 'confirmed')
+ * @param {number} options.rebroadcastIntervalMs Rebroadcast interval (defaults to config.rebroadcastIntervalMs)
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} { success, status: commitment | 'failed' | 'expired' | 'landed', error, transaction };
+ *   'expired' only when the signature is not found after the blockhash expired, 'landed' when it was found
+ *   but did not reach the target commitment in time
+ */
+async function confirmTransaction(signature, options = {}) {
+  const config = loadConfig();
+  const verbose = options.verbose || false;
+  let commitment = options.commitment || config.confirmCommitment || 'confirmed';
+  if (!COMMITMENT_LEVELS.includes(commitment)) {
+    commitment = 'confirmed';
   }
+  const rebroadcastIntervalMs = options.rebroadcastIntervalMs || config.rebroadcastIntervalMs || DEFAULT_REBROADCAST_INTERVAL_MS;
+  const connection = getConnection(false, 'config.json', commitment);
 
-  // Now verify the token transfer by checking the post balances
-  if (txSuccess) {
+  let lastValidBlockHeight = options.lastValidBlockHeight || null;
+  if (!lastValidBlockHeight) {
+    // Unknown blockhash age - assume it is fresh
+    const blockHeight = await connection.getBlockHeight('confirmed').catch(() => null);
+    lastValidBlockHeight = blockHeight !== null ? blockHeight + BLOCKHASH_VALIDITY_BLOCKS : null;
+  }
+  if (verbose) console.log(`Waiting for ${commitment} confirmation of ${signature} (valid until block ${lastValidBlockHeight})`);
+
+  let outcome = null;
+  let subscriptionId = null;
+  const subscribed = new Promise(resolve => {
     try {
-      const tx = await connection.getTransaction(signature, { 
-        maxSupportedTransactionVersion: 0,
-        commitment: 'finalized'
-      });
-      
-      if (!tx) {
-        return { 
-          success: false, 
-          error: 'Transaction found but details could not be retrieved', 
-          status: 'verification_failed' 
-        };
+      subscriptionId = connection.onSignature(signature, (result) => resolve({ err: result.err }), commitment);
+    } catch (error) {
+      if (verbose) console.log(`Signature subscription failed, polling instead: ${error.message}`);
+    }
+  });
+  subscribed.then(result => {
+    if (!outcome) {
+      outcome = result;
+      if (verbose) console.log(`Subscription reported ${commitment} for ${signature}`);
+    }
+  });
+
+  const pollInterval = subscriptionId !== null ? SUBSCRIPTION_SAFETY_POLL_MS : FALLBACK_POLL_MS;
+  // Hard stop in case block heights cannot be read - a blockhash never lives this long
+  const deadline = Date.now() + CONFIRMATION_DEADLINE_MS;
+  let lastPoll = Date.now();
+  let lastSend = Date.now();
+  let expired = false;
+  let landedDeadline = null;
+
+  // Once the blockhash has expired only the full history is searched: a transaction that landed earlier
+  // may no longer be in the recent status cache
+  let landedStatus = null;
+  const pollStatus = async () => {
+    const response = await connection.getSignatureStatuses([signature], { searchTransactionHistory: expired });
+    const status = response && response.value[0];
+    if (status && status.err) {
+      return { err: status.err };
+    }
+    if (status && meetsCommitment(status.confirmationStatus, commitment)) {
+      if (verbose) console.log(`Status poll reported ${status.confirmationStatus} for ${signature}`);
+      return { err: null };
+    }
+    landedStatus = status ? status.confirmationStatus : null;
+    return null;
+  };
+
+  try {
+    while (!outcome) {
+      await Promise.race([subscribed, new Promise(resolve => setTimeout(resolve, 250))]);
+      if (outcome) break;
+      const now = Date.now();
+
+      if (options.rawTransaction && !expired && now - lastSend >= rebroadcastIntervalMs) {
+        lastSend = now;
+        broadcastTransaction(options.rawTransaction, { skipPreflight: true, maxRetries: 0 }).catch(error => {
+          if (verbose) console.log(`Rebroadcast failed: ${error.message}`);
+        });
       }
 
-      // Check for errors in transaction metadata
-      if (tx.meta && tx.meta.err) {
-        if (verbose) console.log(`Transaction has errors in metadata:`, tx.meta.err);
-        return { 
-          success: false, 
-          error: tx.meta.err, 
-          status: 'failed' 
-        };
+      if (now - lastPoll >= pollInterval && !expired) {
+        lastPoll = now;
+        try {
+          outcome = outcome || await pollStatus();
+          if (outcome) break;
+
+          const blockHeight = lastValidBlockHeight !== null ? await connection.getBlockHeight('confirmed') : null;
+          expired = blockHeight !== null ? blockHeight > lastValidBlockHeight : now > deadline;
+        } catch (error) {
+          if (verbose) console.log(`Error checking status: ${error.message}. Retrying...`);
+          expired = now > deadline;
+        }
+        if (expired) {
+          // Search the history immediately - it may have landed, even in the final valid block
+          lastPoll = 0;
+          landedDeadline = now + CONFIRMATION_DEADLINE_MS;
+        }
       }
-      
-      // At this point, we're confident the transaction succeeded and is finalized
-      return { 
-        success: true, 
-        status: 'finalized',
-        transaction: tx
-      };
-    } catch (error) {
-      if (verbose) console.error(`Error during transaction verification:`, error);
-      return { 
-        success: false, 
-        error: `Verification error: ${error.message}`, 
-        status: 'verification_error' 
-      };
+
+      if (expired && now - lastPoll >= FALLBACK_POLL_MS) {
+        lastPoll = now;
+        outcome = await pollStatus().catch(() => undefined);
+        if (outcome) break;
+        // Never landed (or the lookup failed): the transaction can no longer land
+        if (outcome === null && !landedStatus) break;
+        if (verbose && landedStatus) console.log(`Blockhash expired, but ${signature} landed (${landedStatus}) - waiting for ${commitment}`);
+        if (now > landedDeadline) break;
+      }
+    }
+  } finally {
+    if (subscriptionId !== null) {
+      connection.removeSignatureListener(subscriptionId).catch(() => {});
     }
   }
-  
-  return { 
-    success: false, 
-    error: 'Transaction not found on chain after maximum retries', 
-    status: 'not_found' 
+
+  if (!outcome && landedStatus) {
+    // Landed, so it must not be treated as expired and sent again
+    return {
+      success: false,
+      error: `Transaction landed (${landedStatus}) but did not reach ${commitment} in time`,
+      status: 'landed'
+    };
+  }
+
+  if (!outcome) {
+    return {
+      success: false,
+      error: `Blockhash expired before the transaction reached ${commitment}`,
+      status: 'expired'
+    };
+  }
+
+  if (outcome.err) {
+    if (verbose) console.log(`Transaction ${signature} failed with error:`, outcome.err);
+    return { success: false, error: outcome.err, status: 'failed' };
+  }
+
+  return {
+    success: true,
+    status: commitment,
+    transaction: await fetchConfirmedTransaction(connection, signature)
   };
 }
 
 module.exports = {
   getConnection,
+  getEndpointConnection,
+  getRpcEndpoints,
+  getEndpointHealth,
+  probeEndpoints,
+  broadcastTransaction,
+  maskRpcUrl,
   testConnection,
   resetConnections,
-  verifyTransactionOnChain
+  setConfig,
+  confirmTransaction
 };
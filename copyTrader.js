@@ -0,0 +1,297 @@
+// copyTrader.js - Mirror the swaps of a tracked (leader) wallet
+const fs = require('fs');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const { SOL_MINT } = require('./swapEngine');
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { getTokenHoldings } = require('./portfolio');
+const { getConnection } = require('./connectionManager');
+const { getBalanceDeltas } = require('./fills');
+
+const DEFAULT_COPY_STATE_PATH = 'copytrade.json';
+// SOL movements smaller than this (fees and rent excluded) are not swaps
+const MIN_SWAP_LAMPORTS = 100000;
+
+const DEFAULT_COPY_CONFIG = {
+  ratio: 0.1, // Our buy = leader's SOL spent x ratio
+  fixedSol: null, // Fixed SOL per buy; overrides ratio when set
+  minLeaderSol: 0.01, // Ignore leader buys smaller than this
+  maxPerTokenSol: 1, // Max SOL put into one token through copying
+  maxDailySol: 5, // Max SOL spent on copied buys per UTC day
+  delayMs: 0,
+  copySells: true,
+  blacklist: []
+};
+
+/**
+ * Merge the copyTrade section of config.json with the defaults
+ * @param {Object} config Bot configuration
+ * @returns {Object} Copy-trading settings
+ */
+function getCopyConfig(config) {
+  return { ...DEFAULT_COPY_CONFIG, ...(config.copyTrade || {}) };
+}
+
+function loadCopyState(statePath = DEFAULT_COPY_STATE_PATH) {
+  if (!fs.existsSync(statePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+function saveCopyState(state, statePath = DEFAULT_COPY_STATE_PATH) {
+  const tmpPath = `${statePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * Work out the swap a wallet made in a transaction from its balance changes
+ * @param {Object} transaction Parsed transaction (getParsedTransaction)
+ * @param {string} wallet Wallet address
+ * @returns {Object|null} { side, mint, solAmount, rawAmount, decimals, preRaw, fraction } or null if it is not a SOL swap
+ */
+function parseSwap(transaction, wallet) {
+  if (!transaction || !transaction.meta || transaction.meta.err) {
+    return null;
+  }
+  const deltas = getBalanceDeltas(transaction, wallet);
+  if (!deltas) {
+    return null;
+  }
+  const solDelta = deltas.solLamports;
+  const tokenDeltas = Object.entries(deltas.tokens)
+    .filter(([, token]) => token.delta !== 0n)
+    .map(([mint, token]) => ({ mint, delta: token.delta, before: token.pre, decimals: token.decimals }));
+
+  if (tokenDeltas.length !== 1) {
+    // No token moved, or a token-to-token route
+    return null;
+  }
+  const [token] = tokenDeltas;
+  const solLamports = solDelta < 0n ? -solDelta : solDelta;
+  if (solLamports < BigInt(MIN_SWAP_LAMPORTS)) {
+    return null;
+  }
+
+  if (token.delta > 0n && solDelta < 0n) {
+    return {
+      side: 'buy',
+      mint: token.mint,
+      solAmount: Number(solLamports) / LAMPORTS_PER_SOL,
+      rawAmount: token.delta.toString(),
+      decimals: token.decimals,
+      preRaw: token.before.toString(),
+      fraction: null
+    };
+  }
+  if (token.delta < 0n && solDelta > 0n) {
+    const sold = -token.delta;
+    return {
+      side: 'sell',
+      mint: token.mint,
+      solAmount: Number(solLamports) / LAMPORTS_PER_SOL,
+      rawAmount: sold.toString(),
+      decimals: token.decimals,
+      preRaw: token.before.toString(),
+      // Share of the leader's holding that was sold
+      fraction: token.before > 0n ? Number(sold * 1000000n / token.before) / 1000000 : 1
+    };
+  }
+  return null;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Decide how much to mirror of a leader swap, applying the sizing rules and limits
+ * @param {Object} swap Swap from parseSwap
+ * @param {Object} leaderState Mirrored positions and daily spend for this leader
+ * @param {Object} copyConfig Settings from getCopyConfig
+ * @returns {{action: string, amountSol: number, fraction: number, reason: string}} action is 'buy', 'sell' or 'skip'
+ */
+function planMirror(swap, leaderState, copyConfig) {
+  if (copyConfig.blacklist.includes(swap.mint)) {
+    return { action: 'skip', reason: 'Token is blacklisted' };
+  }
+  const position = leaderState.positions[swap.mint];
+
+  if (swap.side === 'sell') {
+    if (!copyConfig.copySells) {
+      return { action: 'skip', reason: 'Copying sells is disabled' };
+    }
+    if (!position || BigInt(position.rawAmount) <= 0n) {
+      return { action: 'skip', reason: 'No mirrored position in this token' };
+    }
+    return { action: 'sell', fraction: Math.min(1, swap.fraction) };
+  }
+
+  if (swap.solAmount < copyConfig.minLeaderSol) {
+    return { action: 'skip', reason: `Leader buy of ${swap.solAmount} SOL is below ${copyConfig.minLeaderSol} SOL` };
+  }
+  let amountSol = copyConfig.fixedSol ? copyConfig.fixedSol : swap.solAmount * copyConfig.ratio;
+
+  // Cap by what is left of the per-token and daily budgets
+  const tokenLeft = copyConfig.maxPerTokenSol ? copyConfig.maxPerTokenSol - (position ? position.solIn : 0) : Infinity;
+  const dailyLeft = copyConfig.maxDailySol ? copyConfig.maxDailySol - (leaderState.daily[today()] || 0) : Infinity;
+  amountSol = Math.min(amountSol, tokenLeft, dailyLeft);
+  if (amountSol < 0.001) {
+    const reason = tokenLeft <= dailyLeft ? `Per-token limit of ${copyConfig.maxPerTokenSol} SOL reached` : `Daily limit of ${copyConfig.maxDailySol} SOL reached`;
+    return { action: 'skip', reason };
+  }
+  return { action: 'buy', amountSol: Math.floor(amountSol * 1e9) / 1e9 };
+}
+
+/**
+ * Follow a leader wallet and mirror its SOL swaps until stopped
+ * @param {Keypair} keypair Our wallet
+ * @param {string} leader Leader wallet address
+ * @param {Object} options Copy options
+ * @param {Object} options.config Bot configuration (copyTrade section)
+ * @param {Object} options.overrides Per-run overrides of copyTrade settings (ratio, fixedSol, limits, delayMs, blacklist)
+ * @param {boolean} options.dryRun Log the swaps that would be mirrored without trading
+ * @param {Object} options.buyOptions Extra buyToken/sellToken options (feeType, walletName, ...)
+ * @param {string} options.statePath Mirrored position file
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} Session summary { seen, mirrored, skipped, failed }
+ */
+async function copyTrades(keypair, leader, options = {}) {
+  const leaderAddress = new PublicKey(leader).toString();
+  const copyConfig = { ...getCopyConfig(options.config || {}), ...(options.overrides || {}) };
+  const statePath = options.statePath || DEFAULT_COPY_STATE_PATH;
+  const verbose = options.verbose || false;
+  const connection = getConnection(false, 'config.json', 'confirmed');
+  const summary = { seen: 0, mirrored: 0, skipped: 0, failed: 0 };
+  const seenSignatures = new Set();
+  let queue = Promise.resolve();
+
+  const mirror = async (signature) => {
+    const transaction = await connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    });
+    const swap = parseSwap(transaction, leaderAddress);
+    if (!swap) {
+      if (verbose) console.log(`${signature}: not a SOL swap by the leader`);
+      return;
+    }
+    summary.seen++;
+
+    const state = loadCopyState(statePath);
+    const leaderState = state[leaderAddress] || { positions: {}, daily: {} };
+    const plan = planMirror(swap, leaderState, copyConfig);
+    const what = swap.side === 'buy'
+      ? `bought ${swap.mint} for ${swap.solAmount} SOL`
+      : `sold ${(swap.fraction * 100).toFixed(2)}% of ${swap.mint} for ${swap.solAmount} SOL`;
+    if (plan.action === 'skip') {
+      summary.skipped++;
+      console.log(`Leader ${what} - skipped: ${plan.reason}`);
+      return;
+    }
+
+    if (copyConfig.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, copyConfig.delayMs));
+    }
+
+    const tradeOptions = { ...(options.buyOptions || {}), verbose };
+    let position = leaderState.positions[swap.mint];
+
+    if (plan.action === 'buy') {
+      console.log(`Leader ${what} - ${options.dryRun ? 'would buy' : 'buying'} ${plan.amountSol} SOL`);
+      if (options.dryRun) return;
+
+      const result = await buyToken(keypair, swap.mint, { ...tradeOptions, amount: plan.amountSol });
+      // A buy that landed without confirming may have filled, so it still counts against the limits
+      const landed = result.status === 'landed';
+      if (!result.success && !landed) {
+        summary.failed++;
+        console.error(`Mirror buy failed: ${result.error}`);
+        return;
+      }
+      position = position || { rawAmount: '0', solIn: 0, solOut: 0, openedAt: new Date().toISOString() };
+      position.rawAmount = (BigInt(position.rawAmount) + BigInt(result.rawAmount || result.quotedRawAmount || 0)).toString();
+      position.solIn += plan.amountSol;
+      leaderState.daily[today()] = (leaderState.daily[today()] || 0) + plan.amountSol;
+      if (landed) {
+        // Counted from the quote until someone checks the transaction
+        position.unconfirmedTxids = [...(position.unconfirmedTxids || []), result.txid];
+        console.error(`Mirror buy ${result.txid} landed but was not confirmed - counted from the quote, check it on chain`);
+      }
+    } else {
+      // Sell the same share of our mirrored tokens, expressed as a share of everything we hold of the mint
+      const holding = (await getTokenHoldings(connection, keypair.publicKey))
+        .filter(h => h.mint === swap.mint)
+        .sort((a, b) => b.amount - a.amount)[0];
+      if (!holding) {
+        summary.skipped++;
+        console.log(`Leader ${what} - skipped: we no longer hold this token`);
+        delete leaderState.positions[swap.mint];
+        state[leaderAddress] = leaderState;
+        saveCopyState(state, statePath);
+        return;
+      }
+      const mirrored = BigInt(position.rawAmount) < BigInt(holding.rawAmount) ? BigInt(position.rawAmount) : BigInt(holding.rawAmount);
+      const toSell = plan.fraction >= 1 ? mirrored : mirrored * BigInt(Math.round(plan.fraction * 1000000)) / 1000000n;
+      const percentage = Math.min(100, Math.ceil(Number(toSell * 10000n) / Number(BigInt(holding.rawAmount))) / 100);
+
+      console.log(`Leader ${what} - ${options.dryRun ? 'would sell' : 'selling'} ${percentage}% of our holding`);
+      if (options.dryRun) return;
+
+      const result = await sellToken(keypair, swap.mint, { ...tradeOptions, percentage });
+      if (!result.success) {
+        summary.failed++;
+        console.error(`Mirror sell failed: ${result.error}`);
+        return;
+      }
+      position.rawAmount = (BigInt(position.rawAmount) - toSell).toString();
+      position.solOut += result.soldAmountSol || 0;
+    }
+
+    summary.mirrored++;
+    if (BigInt(position.rawAmount) > 0n) {
+      leaderState.positions[swap.mint] = position;
+    } else {
+      delete leaderState.positions[swap.mint];
+    }
+    // Reload so positions of other leaders written meanwhile are kept
+    const latest = loadCopyState(statePath);
+    latest[leaderAddress] = leaderState;
+    saveCopyState(latest, statePath);
+  };
+
+  // Every transaction that mentions the leader; only the leader's own swaps are mirrored
+  const subscriptionId = connection.onLogs(new PublicKey(leaderAddress), (logs) => {
+    if (logs.err || seenSignatures.has(logs.signature)) {
+      return;
+    }
+    seenSignatures.add(logs.signature);
+    // One swap at a time, so limits see the previous mirror
+    queue = queue.then(() => mirror(logs.signature)).catch(error => console.error(`Error mirroring ${logs.signature}: ${error.message}`));
+  }, 'confirmed');
+
+  console.log(`Copying swaps of ${leaderAddress} (${copyConfig.fixedSol ? `${copyConfig.fixedSol} SOL per buy` : `ratio ${copyConfig.ratio}`}, ` +
+    `max ${copyConfig.maxPerTokenSol} SOL per token, ${copyConfig.maxDailySol} SOL per day). Ctrl+C to stop...`);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => {
+      console.log('\nStopping copy trading...');
+      resolve();
+    });
+  });
+  await connection.removeOnLogsListener(subscriptionId).catch(() => {});
+  await queue;
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_COPY_CONFIG,
+  DEFAULT_COPY_STATE_PATH,
+  getCopyConfig,
+  loadCopyState,
+  parseSwap,
+  planMirror,
+  copyTrades
+};
@@ -0,0 +1,366 @@
+// dca.js - Dollar-cost averaging: split a buy (or a sell) into slices executed on a schedule
+const fs = require('fs');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { getTokenHoldings } = require('./portfolio');
+const { getConnection } = require('./connectionManager');
+const { getOrderPrice } = require('./limitOrders');
+
+const DEFAULT_DCA_PATH = 'dca.json';
+const MAX_SLICE_FAILURES = 3;
+const FAILURE_RETRY_MS = 60 * 1000;
+const MAX_SLEEP_MS = 30 * 1000; // Re-read the schedule file at least this often
+
+function loadSchedules(dcaPath = DEFAULT_DCA_PATH) {
+  if (!fs.existsSync(dcaPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(dcaPath, 'utf8'));
+}
+
+function saveSchedules(schedules, dcaPath = DEFAULT_DCA_PATH) {
+  const tmpPath = `${dcaPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(schedules, null, 2));
+  fs.renameSync(tmpPath, dcaPath);
+}
+
+/**
+ * Store a new DCA schedule. The first slice runs as soon as the scheduler picks it up.
+ * @param {Object} params Schedule parameters
+ * @param {string} params.side 'buy' to accumulate, 'sell' to unwind a position in slices
+ * @param {Object} params.wallet Wallet target ({ name, path })
+ * @param {string} params.walletPublicKey Wallet public key
+ * @param {string} params.mint Token mint
+ * @param {number} params.totalSol SOL to spend across all slices (buy)
+ * @param {number} params.percentage Percentage of the current holding to sell across all slices (sell)
+ * @param {number} params.intervalMs Time between slices
+ * @param {number} params.count Number of slices
+ * @param {number} params.minPrice Skip slices while the price is below this (SOL per token, optional)
+ * @param {number} params.maxPrice Skip slices while the price is above this (SOL per token, optional)
+ * @param {string} dcaPath Schedule file
+ * @returns {Object} The new schedule
+ */
+function createSchedule(params, dcaPath = DEFAULT_DCA_PATH) {
+  if (params.side !== 'buy' && params.side !== 'sell') {
+    throw new Error(`Invalid DCA side: ${params.side}`);
+  }
+  // Sell price checks and slices look up the wallet's holding by public key
+  if (!params.walletPublicKey) {
+    throw new Error('A wallet public key is required');
+  }
+  if (params.side === 'buy' && !(params.totalSol > 0)) {
+    throw new Error('A positive --total (SOL) is required');
+  }
+  if (params.side === 'sell' && !(params.percentage > 0 && params.percentage <= 100)) {
+    throw new Error('--percentage must be between 0 and 100');
+  }
+  if (!Number.isInteger(params.count) || params.count < 1) {
+    throw new Error('--count must be a positive whole number');
+  }
+  if (!(params.intervalMs > 0)) {
+    throw new Error('A positive --every interval is required, e.g. 30m or 4h');
+  }
+  if (params.minPrice && params.maxPrice && params.minPrice > params.maxPrice) {
+    throw new Error('--min-price cannot be above --max-price');
+  }
+
+  const now = Date.now();
+  const schedule = {
+    id: crypto.randomBytes(4).toString('hex'),
+    side: params.side,
+    status: 'active',
+    wallet: params.wallet,
+    walletPublicKey: params.walletPublicKey,
+    mint: params.mint,
+    totalSol: params.side === 'buy' ? params.totalSol : null,
+    sliceSol: params.side === 'buy' ? params.totalSol / params.count : null,
+    percentage: params.side === 'sell' ? params.percentage : null,
+    // Raw token amount to unwind; fixed from the holding when the first sell slice runs
+    totalRaw: null,
+    intervalMs: params.intervalMs,
+    count: params.count,
+    minPrice: params.minPrice || null,
+    maxPrice: params.maxPrice || null,
+    createdAt: new Date(now).toISOString(),
+    nextRunAt: new Date(now).toISOString(),
+    failures: 0,
+    slices: [],
+    error: null
+  };
+
+  const schedules = loadSchedules(dcaPath);
+  schedules.push(schedule);
+  saveSchedules(schedules, dcaPath);
+  return schedule;
+}
+
+/**
+ * Cancel an active schedule; slices already executed are kept
+ * @param {string} id Schedule ID
+ * @param {string} dcaPath Schedule file
+ * @returns {Object} The cancelled schedule
+ */
+function cancelSchedule(id, dcaPath = DEFAULT_DCA_PATH) {
+  const schedules = loadSchedules(dcaPath);
+  const schedule = schedules.find(s => s.id === id);
+  if (!schedule) {
+    throw new Error(`DCA schedule ${id} not found`);
+  }
+  if (schedule.status !== 'active') {
+    throw new Error(`DCA schedule ${id} is already ${schedule.status}`);
+  }
+
+  schedule.status = 'cancelled';
+  schedule.closedAt = new Date().toISOString();
+  saveSchedules(schedules, dcaPath);
+  return schedule;
+}
+
+/**
+ * Progress totals for a schedule
+ * @param {Object} schedule Schedule
+ * @returns {Object} { done, filled, skipped, failed, unconfirmed, remaining, solAmount, tokenAmount, averagePrice }
+ */
+function getScheduleProgress(schedule) {
+  const filled = schedule.slices.filter(slice => slice.status === 'filled');
+  const solAmount = filled.reduce((acc, slice) => acc + (slice.solAmount || 0), 0);
+  const tokenAmount = filled.reduce((acc, slice) => acc + (slice.tokenAmount || 0), 0);
+
+  return {
+    done: schedule.slices.length,
+    filled: filled.length,
+    skipped: schedule.slices.filter(slice => slice.status === 'skipped').length,
+    failed: schedule.slices.filter(slice => slice.status === 'failed').length,
+    unconfirmed: schedule.slices.filter(slice => slice.status === 'unconfirmed').length,
+    remaining: schedule.count - schedule.slices.length,
+    solAmount,
+    tokenAmount,
+    averagePrice: tokenAmount > 0 ? solAmount / tokenAmount : null
+  };
+}
+
+// Percentage of the current holding that one sell slice should sell
+async function getSellSlicePercentage(schedule) {
+  const holding = (await getTokenHoldings(getConnection(), new PublicKey(schedule.walletPublicKey)))
+    .filter(h => h.mint === schedule.mint)
+    .sort((a, b) => b.amount - a.amount)[0];
+  if (!holding) {
+    return { percentage: null, error: 'Wallet no longer holds this token' };
+  }
+
+  const current = BigInt(holding.rawAmount);
+  if (schedule.totalRaw === null) {
+    schedule.totalRaw = (current * BigInt(Math.round(schedule.percentage * 100)) / 10000n).toString();
+    schedule.decimals = holding.decimals;
+  }
+
+  // Spread what is left of the target over the remaining slices, so skipped slices are caught up later.
+  // Unconfirmed slices may have sold, so they count too rather than being sold again.
+  const soldRaw = schedule.slices
+    .filter(slice => slice.status === 'filled' || slice.status === 'unconfirmed')
+    .reduce((acc, slice) => acc + BigInt(slice.rawAmount || '0'), 0n);
+  const remainingSlices = BigInt(schedule.count - schedule.slices.length);
+  const targetRaw = (BigInt(schedule.totalRaw) - soldRaw) / remainingSlices;
+
+  if (remainingSlices === 1n && schedule.percentage >= 100) {
+    return { percentage: 100, rawAmount: current };
+  }
+  if (targetRaw <= 0n) {
+    return { percentage: null, error: 'Nothing left to sell' };
+  }
+  // sellToken works in hundredths of a percent; round up so slices never undershoot the target
+  const basisPoints = BigInt(Math.min(10000, Math.ceil(Number(targetRaw * 10000n) / Number(current))));
+  return { percentage: Number(basisPoints) / 100, rawAmount: current * basisPoints / 10000n };
+}
+
+function scheduleNext(schedule, delayMs) {
+  if (schedule.slices.length >= schedule.count) {
+    schedule.status = 'completed';
+    schedule.closedAt = new Date().toISOString();
+    schedule.nextRunAt = null;
+    return;
+  }
+  // Measured from now, so a schedule resumed after downtime does not fire its missed slices in a burst
+  schedule.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+}
+
+// Execute (or skip) the next slice of a schedule
+async function runSlice(schedule, keypair, options = {}) {
+  const index = schedule.slices.length + 1;
+  const label = `[${schedule.id}] Slice ${index}/${schedule.count}`;
+
+  // Schedules stored without a public key (from legacy wallet files) take it from the unlocked wallet
+  schedule.walletPublicKey = schedule.walletPublicKey || keypair.publicKey.toString();
+
+  let sell = null;
+  if (schedule.side === 'sell') {
+    sell = await getSellSlicePercentage(schedule);
+    if (sell.percentage === null) {
+      schedule.status = 'completed';
+      schedule.closedAt = new Date().toISOString();
+      schedule.nextRunAt = null;
+      schedule.error = sell.error;
+      console.log(`${label}: ${sell.error}, schedule finished`);
+      return;
+    }
+  }
+
+  // Price bands are checked with a quote for the slice's actual size
+  if (schedule.minPrice || schedule.maxPrice) {
+    const { price, error } = await getOrderPrice({
+      side: schedule.side,
+      mint: schedule.mint,
+      amountSol: schedule.sliceSol,
+      walletPublicKey: schedule.walletPublicKey,
+      percentage: sell ? sell.percentage : null
+    }, options);
+
+    const outside = price === null ||
+      (schedule.maxPrice && price > schedule.maxPrice) ||
+      (schedule.minPrice && price < schedule.minPrice);
+    if (outside) {
+      const reason = price === null ? error : `price ${price.toExponential(4)} SOL/token outside the band`;
+      schedule.slices.push({ index, status: 'skipped', at: new Date().toISOString(), price, reason });
+      console.log(`${label} skipped: ${reason}`);
+      scheduleNext(schedule, schedule.intervalMs);
+      return;
+    }
+  }
+
+  // It may have been cancelled since this pass loaded it
+  const current = loadSchedules(options.dcaPath).find(s => s.id === schedule.id);
+  if (!current || current.status !== 'active') {
+    console.log(`${label}: schedule is ${current ? current.status : 'gone'} - not executing`);
+    return;
+  }
+
+  const tradeOptions = { feeType: options.feeType, verbose: options.verbose, walletName: schedule.wallet.name };
+  const result = schedule.side === 'buy'
+    ? await buyToken(keypair, schedule.mint, { ...tradeOptions, amount: schedule.sliceSol })
+    : await sellToken(keypair, schedule.mint, { ...tradeOptions, percentage: sell.percentage });
+
+  if (result.status === 'blocked') {
+    schedule.status = 'failed';
+    schedule.closedAt = new Date().toISOString();
+    schedule.nextRunAt = null;
+    schedule.error = result.error;
+    console.error(`${label}: ${result.error}. Schedule stopped.`);
+    return;
+  }
+
+  // A slice that landed without confirming may have traded: record it and move on instead of sending it again
+  if (result.status === 'landed') {
+    const size = schedule.side === 'buy' ? { solAmount: schedule.sliceSol } : { rawAmount: sell.rawAmount.toString() };
+    schedule.slices.push({ index, status: 'unconfirmed', at: new Date().toISOString(), txid: result.txid, error: result.error, ...size });
+    schedule.failures = 0;
+    schedule.error = `Slice ${index} ${result.txid} landed but was not confirmed - check it on chain`;
+    console.error(`${label}: ${result.error}. Not retried - check ${result.txid} on chain.`);
+    scheduleNext(schedule, schedule.intervalMs);
+    return;
+  }
+
+  if (!result.success) {
+    schedule.failures++;
+    schedule.error = result.error;
+    if (schedule.failures < MAX_SLICE_FAILURES) {
+      console.error(`${label} failed: ${result.error}. Retrying in ${FAILURE_RETRY_MS / 1000}s.`);
+      schedule.nextRunAt = new Date(Date.now() + Math.min(FAILURE_RETRY_MS, schedule.intervalMs)).toISOString();
+      return;
+    }
+    schedule.slices.push({ index, status: 'failed', at: new Date().toISOString(), error: result.error });
+    schedule.failures = 0;
+    console.error(`${label} failed ${MAX_SLICE_FAILURES} times, moving on: ${result.error}`);
+    scheduleNext(schedule, schedule.intervalMs);
+    return;
+  }
+
+  const slice = schedule.side === 'buy'
+    ? { solAmount: result.amountSol, tokenAmount: result.amount, rawAmount: result.rawAmount ? String(result.rawAmount) : null }
+    : { solAmount: result.soldAmountSol, tokenAmount: result.soldAmount, rawAmount: sell.rawAmount.toString() };
+  schedule.slices.push({ index, status: 'filled', at: new Date().toISOString(), txid: result.txid, ...slice });
+  schedule.failures = 0;
+  schedule.error = null;
+  console.log(`${label} filled: ${result.txid}`);
+  scheduleNext(schedule, schedule.intervalMs);
+}
+
+/**
+ * Run due slices of all active schedules until stopped. Schedules are persisted after every slice,
+ * so a restarted scheduler resumes where the previous one left off.
+ * @param {Object} options Scheduler options
+ * @param {Function} options.getKeypair Returns the keypair for a schedule's wallet target (or null)
+ * @param {boolean} options.once Run the slices that are due now and return
+ * @param {string} options.dcaPath Schedule file
+ * @param {string} options.feeType Fee level used for executions
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<void>}
+ */
+async function runSchedules(options = {}) {
+  const dcaPath = options.dcaPath || DEFAULT_DCA_PATH;
+  let running = true;
+  let wake = null;
+
+  const stop = () => {
+    running = false;
+    console.log('\nStopping DCA scheduler...');
+    if (wake) wake();
+  };
+  if (!options.once) {
+    process.once('SIGINT', stop);
+  }
+
+  while (running) {
+    // Reload every pass so schedules created or cancelled by other processes are picked up
+    const active = loadSchedules(dcaPath).filter(s => s.status === 'active');
+    if (active.length === 0) {
+      console.log('No active DCA schedules.');
+      break;
+    }
+
+    const due = active.filter(s => new Date(s.nextRunAt).getTime() <= Date.now());
+    for (const schedule of due) {
+      if (!running) break;
+      try {
+        const keypair = options.getKeypair(schedule.wallet);
+        if (!keypair) {
+          continue;
+        }
+        await runSlice(schedule, keypair, options);
+      } catch (error) {
+        console.error(`[${schedule.id}] Error running slice: ${error.message}`);
+        schedule.nextRunAt = new Date(Date.now() + Math.min(FAILURE_RETRY_MS, schedule.intervalMs)).toISOString();
+      }
+
+      // Save after each slice, keeping cancellations made meanwhile
+      const latest = loadSchedules(dcaPath);
+      saveSchedules(latest.map(s => (s.id === schedule.id && s.status === 'active' ? schedule : s)), dcaPath);
+    }
+
+    if (options.once) break;
+
+    const nextRun = Math.min(...active.filter(s => s.status === 'active').map(s => new Date(s.nextRunAt).getTime()));
+    const delay = Math.max(1000, Math.min(MAX_SLEEP_MS, nextRun - Date.now()));
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    wake = null;
+  }
+
+  process.removeListener('SIGINT', stop);
+}
+
+module.exports = {
+  DEFAULT_DCA_PATH,
+  loadSchedules,
+  createSchedule,
+  cancelSchedule,
+  getScheduleProgress,
+  runSchedules
+};
@@ -0,0 +1,163 @@
+// fills.js - Actual swap fills from a confirmed transaction's balance changes
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const BASE_FEE_LAMPORTS_PER_SIGNATURE = 5000;
+
+// Account addresses of a parsed, legacy or versioned transaction (static keys come first in all of them)
+function getAccountAddresses(transaction) {
+  const message = transaction.transaction.message;
+  const keys = message.staticAccountKeys || message.accountKeys;
+  return keys.map(key => String(key.pubkey || key));
+}
+
+// Sum raw token balances owned by a wallet, per mint
+function sumTokenBalances(balances, owner) {
+  const totals = {};
+  (balances || [])
+    .filter(balance => balance.owner === owner)
+    .forEach(balance => {
+      const entry = totals[balance.mint] || { raw: 0n, decimals: balance.uiTokenAmount.decimals };
+      entry.raw += BigInt(balance.uiTokenAmount.amount);
+      totals[balance.mint] = entry;
+    });
+  return totals;
+}
+
+/**
+ * Balance changes of a wallet in a confirmed transaction
+ * @param {Object} transaction Transaction from getTransaction or getParsedTransaction
+ * @param {string} owner Wallet address
+ * @returns {Object|null} { solLamports, feeLamports, rentLamports, tokens } or null if the wallet is not in the transaction.
+ *   solLamports is native plus wrapped SOL, excluding the network fee and rent of accounts the transaction created;
+ *   tokens maps mint -> { pre, post, delta, decimals } in raw units
+ */
+function getBalanceDeltas(transaction, owner) {
+  if (!transaction || !transaction.meta) {
+    return null;
+  }
+  const meta = transaction.meta;
+  const index = getAccountAddresses(transaction).indexOf(owner);
+  if (index === -1) {
+    return null;
+  }
+
+  // The fee payer is always the first account
+  const feeLamports = index === 0 ? meta.fee : 0;
+  let solLamports = BigInt(meta.postBalances[index] - meta.preBalances[index] + feeLamports);
+
+  // Accounts that went from empty to funded (e.g. a new token account) were paid for by the fee payer
+  let rentLamports = 0;
+  if (index === 0) {
+    meta.preBalances.forEach((pre, i) => {
+      if (i !== 0 && pre === 0 && meta.postBalances[i] > 0) {
+        rentLamports += meta.postBalances[i];
+      }
+    });
+    solLamports += BigInt(rentLamports);
+  }
+
+  const pre = sumTokenBalances(meta.preTokenBalances, owner);
+  const post = sumTokenBalances(meta.postTokenBalances, owner);
+  const tokens = {};
+  new Set([...Object.keys(pre), ...Object.keys(post)]).forEach(mint => {
+    const before = pre[mint] ? pre[mint].raw : 0n;
+    const after = post[mint] ? post[mint].raw : 0n;
+    if (mint === SOL_MINT) {
+      solLamports += after - before;
+    } else {
+      tokens[mint] = { pre: before, post: after, delta: after - before, decimals: (post[mint] || pre[mint]).decimals };
+    }
+  });
+
+  return { solLamports, feeLamports, rentLamports, tokens };
+}
+
+// Raw amount of a mint that moved, from the owner's point of view (positive = received)
+function getMintDelta(deltas, mint) {
+  if (mint === SOL_MINT) {
+    return { raw: deltas.solLamports, decimals: 9 };
+  }
+  const token = deltas.tokens[mint];
+  return token ? { raw: token.delta, decimals: token.decimals } : { raw: 0n, decimals: null };
+}
+
+/**
+ * Actual fill of a confirmed swap, compared with its quote
+ * @param {Object} transaction Confirmed transaction (getTransaction)
+ * @param {string} owner Wallet that swapped
+ * @param {Object} quote Jupiter quote the swap was built from
+ * @returns {Object|null} Fill ({ inRaw, outRaw, inAmount, outAmount, inputDecimals, outputDecimals, networkFeeLamports,
+ *   priorityFeeLamports, rentLamports, effectivePrice, quotedPrice, realizedSlippageBps }) or null if it cannot be worked out
+ */
+function computeFill(transaction, owner, quote) {
+  const deltas = getBalanceDeltas(transaction, owner);
+  if (!deltas || !quote) {
+    return null;
+  }
+
+  const input = getMintDelta(deltas, quote.inputMint);
+  const output = getMintDelta(deltas, quote.outputMint);
+  if (input.raw >= 0n || output.raw <= 0n || input.decimals === null || output.decimals === null) {
+    return null;
+  }
+
+  const inRaw = -input.raw;
+  const outRaw = output.raw;
+  const inAmount = Number(inRaw) / Math.pow(10, input.decimals);
+  const outAmount = Number(outRaw) / Math.pow(10, output.decimals);
+  const quotedIn = Number(quote.inAmount) / Math.pow(10, input.decimals);
+  const quotedOut = Number(quote.outAmount) / Math.pow(10, output.decimals);
+
+  // Prices are quoted as SOL per token whichever way the swap went (output per input token without a SOL side)
+  const buying = quote.inputMint === SOL_MINT;
+  const effectivePrice = buying ? inAmount / outAmount : outAmount / inAmount;
+  const quotedPrice = buying ? quotedIn / quotedOut : quotedOut / quotedIn;
+
+  const signatures = transaction.transaction.signatures ? transaction.transaction.signatures.length : 1;
+  const networkFeeLamports = deltas.feeLamports;
+
+  return {
+    inRaw: inRaw.toString(),
+    outRaw: outRaw.toString(),
+    inAmount,
+    outAmount,
+    inputDecimals: input.decimals,
+    outputDecimals: output.decimals,
+    networkFeeLamports,
+    priorityFeeLamports: Math.max(0, networkFeeLamports - BASE_FEE_LAMPORTS_PER_SIGNATURE * signatures),
+    rentLamports: deltas.rentLamports,
+    effectivePrice,
+    quotedPrice,
+    // Output received versus the quote, in basis points (positive = worse than quoted)
+    realizedSlippageBps: Number((BigInt(quote.outAmount) - outRaw) * 10000n / BigInt(quote.outAmount))
+  };
+}
+
+/**
+ * Print a fill report
+ * @param {Object} fill Result of computeFill
+ * @param {string} side 'buy', 'sell' or 'swap' (token to token, priced in output per input token)
+ */
+function printFillReport(fill, side) {
+  if (side === 'swap') {
+    console.log(`Filled: swapped ${fill.inAmount.toLocaleString()} for ${fill.outAmount.toLocaleString()} tokens`);
+    console.log(`Effective rate: ${fill.effectivePrice.toExponential(6)} per input token (quoted ${fill.quotedPrice.toExponential(6)})`);
+  } else {
+    const tokens = side === 'buy' ? fill.outAmount : fill.inAmount;
+    const sol = side === 'buy' ? fill.inAmount : fill.outAmount;
+    console.log(`Filled: ${side === 'buy' ? 'bought' : 'sold'} ${tokens.toLocaleString()} tokens for ${sol.toFixed(9)} SOL`);
+    console.log(`Effective price: ${fill.effectivePrice.toExponential(6)} SOL/token (quoted ${fill.quotedPrice.toExponential(6)})`);
+  }
+  console.log(`Realized slippage vs quote: ${(fill.realizedSlippageBps / 100).toFixed(2)}%`);
+  console.log(`Network fee: ${(fill.networkFeeLamports / LAMPORTS_PER_SOL).toFixed(9)} SOL (priority ${(fill.priorityFeeLamports / LAMPORTS_PER_SOL).toFixed(9)} SOL)`);
+  if (fill.rentLamports > 0) {
+    console.log(`Account rent: ${(fill.rentLamports / LAMPORTS_PER_SOL).toFixed(9)} SOL`);
+  }
+}
+
+module.exports = {
+  getBalanceDeltas,
+  computeFill,
+  printFillReport
+};
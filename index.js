@@ -1,42 +1,254 @@
 #!/usr/bin/env node
 // index.js - Updated with status command
 const { program } = require('commander');
-const { PublicKey } = require('@solana/web3.js');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { buyToken } = require('./buyToken');
 const { sellToken } = require('./sellToken');
-const { createWallet, importWallet, loadWallet } = require('./wallet');
-const { getConnection, testConnection, resetConnections } = require('./connectionManager');
+const { swapToken } = require('./swapToken');
+const { SOL_MINT, getMintDecimals, getQuote } = require('./swapEngine');
+const { readTrades, computePnl, summarizePnl, toCsv } = require('./journal');
+const { getTokenHoldings, getPortfolio } = require('./portfolio');
+const { runSniper, replaySniperLog } = require('./sniper');
+const { copyTrades } = require('./copyTrader');
+const { runApiServer } = require('./server');
+const { DEFAULT_CONFIG } = require('./sdk');
+const {
+  getChatBotConfig,
+  createTelegramTransport,
+  createConsoleTransport,
+  runChatBot
+} = require('./chatBot');
+const {
+  parsePercentage,
+  parseLadder,
+  loadPositions,
+  openPosition,
+  closePosition,
+  watchPositions
+} = require('./positionWatcher');
+const {
+  parseDuration,
+  loadOrders,
+  createOrder,
+  placeJupiterOrder,
+  cancelOrder,
+  watchOrders
+} = require('./limitOrders');
+const {
+  loadSchedules,
+  createSchedule,
+  cancelSchedule,
+  getScheduleProgress,
+  runSchedules
+} = require('./dca');
+const { createWallet, importWallet, loadWallet, getWalletPublicKey, changePassword } = require('./wallet');
+const {
+  DEFAULT_KEYSTORE_DIR,
+  listWallets,
+  getWallet,
+  addWallet,
+  removeWallet,
+  renameWallet,
+  setDefaultWallet,
+  updateWallet,
+  resolveWalletTargets
+} = require('./keystore');
+const {
+  getConnection,
+  testConnection,
+  resetConnections,
+  getEndpointHealth,
+  probeEndpoints,
+  maskRpcUrl
+} = require('./connectionManager');
+const {
+  EXIT_CODES,
+  inputRequiredError,
+  usageError,
+  exitCodeFor,
+  exitCodeForResults,
+  enableJsonOutput,
+  printJson
+} = require('./cli');
+const {
+  loadConfig,
+  selectProfile,
+  getPath,
+  setConfigValue,
+  checkConfigFile
+} = require('./config');
 const fs = require('fs');
 const ora = require('ora');
+const Table = require('cli-table');
 
-// Function to load config - duplicated to avoid circular dependencies
-function loadConfig(configPath = 'config.json') {
+// Load the wallet for one trade target, reporting failures
+function loadWalletTarget(target, walletOptions) {
+  const keypair = loadWallet(target.path, walletOptions);
+  if (!keypair) {
+    console.error(`Failed to load wallet ${target.name}. Please check your wallet file or create a new one.`);
+    process.exitCode = EXIT_CODES.WALLET;
+    return null;
+  }
+  console.log(`Using wallet: ${target.name === target.path ? '' : `${target.name} `}${keypair.publicKey.toString()}`);
+  return keypair;
+}
+
+// Public key of a wallet target; wallet files that do not store it (legacy format) are unlocked for it
+function resolveWalletPublicKey(target, getKeypair) {
+  const publicKey = getWalletPublicKey(target.path);
+  if (publicKey) {
+    return publicKey.toString();
+  }
+  const keypair = getKeypair(target);
+  return keypair ? keypair.publicKey.toString() : null;
+}
+
+// Let the user pick one of the wallet's token holdings; returns the mint or null
+async function selectTokenFromHoldings(keypair) {
+  const promptSync = require('prompt-sync')({ sigint: true });
+
+  // Get the reusable connection from the connection manager
+  const connection = getConnection();
+  
+  // Start spinner to indicate loading
+  const spinner = ora('Fetching token holdings...').start();
+  
   try {
-    const configData = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configData);
+    // Get token holdings with balance > 0
+    const tokenHoldings = (await getTokenHoldings(connection, keypair.publicKey))
+      .map((holding, index) => ({
+        index: index + 1,
+        mint: holding.mint,
+        balance: holding.amount
+      }));
+    
+    spinner.stop();
+    
+    if (tokenHoldings.length === 0) {
+      console.log('You don\'t have any tokens with balance > 0.');
+      return null;
+    }
+    
+    // Display token holdings in a simplified format
+    console.log('\nSelect a token to sell:');
+    console.log('----------------------');
+    
+    tokenHoldings.forEach(token => {
+      console.log(`${token.index}. ${token.mint} | ${token.balance.toLocaleString()}`);
+    });
+    
+    // Prompt user to select a token
+    const selectedIndex = parseInt(promptSync('Enter number: '));
+    
+    if (isNaN(selectedIndex) || selectedIndex < 1 || selectedIndex > tokenHoldings.length) {
+      console.error('Invalid selection.');
+      return null;
+    }
+    
+    // Return the selected token address directly - no additional prompts
+    const tokenAddress = tokenHoldings[selectedIndex - 1].mint;
+    console.log(`Selected: ${tokenAddress}`);
+    return tokenAddress;
   } catch (error) {
-    console.error(`Error loading config from ${configPath}:`, error.message);
-    process.exit(1);
+    spinner.stop();
+    console.error(`Error fetching token holdings: ${error.message}`);
+    console.log('Please enter token address manually:');
+    return promptSync();
   }
 }
 
+// Print one combined table for a trade fanned out across several wallets
+function printTradeSummary(side, results) {
+  const table = new Table({
+    head: ['Wallet', 'Status', side === 'buy' ? 'SOL Spent' : 'Tokens Sold', side === 'buy' ? 'Tokens Bought' : 'SOL Received', 'Transaction / Error']
+  });
+
+  results.forEach(result => {
+    const spent = side === 'buy' ? result.amountSol : result.soldAmount;
+    const received = side === 'buy' ? result.amount : result.soldAmountSol;
+    table.push([
+      result.wallet,
+      result.success ? (result.dryRun ? 'SIMULATED' : 'OK') : 'FAILED',
+      spent !== undefined ? spent.toLocaleString() : '-',
+      received !== undefined ? received.toLocaleString() : '-',
+      result.success ? (result.dryRun ? 'dry run' : result.txid) : String(result.error)
+    ]);
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  console.log(`\nCombined ${side} results (${succeeded}/${results.length} succeeded):`);
+  console.log(table.toString());
+}
+
 // Main program
 async function main() {
   program
     .name('solana-meme-trader')
     .description('A Solana meme token trading bot')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--passphrase-fd <fd>', 'Read wallet passphrase(s) from this file descriptor, one per line')
+    .option('--keystore <dir>', 'Keystore directory for named wallets', DEFAULT_KEYSTORE_DIR)
+    .option('-y, --yes', 'Never prompt: assume yes to confirmations and fail fast on missing input')
+    .option('--non-interactive', 'Never prompt; fail fast with a distinct exit code on missing input')
+    .option('--json', 'Print command results as JSON on stdout (progress goes to stderr)')
+    .option('--profile <name>', 'Config profile to apply, e.g. devnet or aggressive (default: $SOLBOT_PROFILE)');
 
-  // Initialize the shared connection at startup
-  try {
-    const config = loadConfig();
-    // This will create the singleton connection that will be reused
-    const connection = getConnection(true, 'config.json', 'confirmed');
-    await testConnection(false); // Just test it silently
-  } catch (error) {
-    console.error('Failed to initialize connection:', error.message);
-    // Continue anyway, individual commands will retry
-  }
+  // Passphrase sources shared by every command that touches a wallet file
+  const nonInteractive = () => Boolean(program.opts().yes || program.opts().nonInteractive);
+  const walletOptions = () => ({ passphraseFd: program.opts().passphraseFd, nonInteractive: nonInteractive() });
+  const keystoreDir = () => program.opts().keystore;
+  const loadTargetWallet = (target) => loadWalletTarget(target, walletOptions());
+
+  // Load a trade target's wallet; a wallet that cannot be loaded becomes a failed result instead of aborting the other targets
+  const loadTradeWallet = (target, results) => {
+    try {
+      const keypair = loadTargetWallet(target);
+      if (keypair) {
+        return keypair;
+      }
+      results.push({ wallet: target.name, success: false, error: 'Failed to load wallet', exitCode: EXIT_CODES.WALLET });
+    } catch (error) {
+      console.error(`Failed to load wallet ${target.name}: ${error.message}`);
+      results.push({ wallet: target.name, success: false, error: error.message, exitCode: exitCodeFor(error) });
+    }
+    return null;
+  };
+
+  // Summary table, exit code and JSON document for a buy or sell across its targets
+  const reportTradeResults = (side, mint, targets, results) => {
+    if (targets.length > 1) {
+      printTradeSummary(side, results);
+    }
+    process.exitCode = exitCodeForResults(results);
+    if (program.opts().json) {
+      printJson({ command: side, mint, success: process.exitCode === EXIT_CODES.OK, results });
+    }
+  };
+
+  // Runs once the command line is parsed, before any command
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    if (program.opts().json) {
+      enableJsonOutput();
+    }
+    selectProfile(program.opts().profile);
+    // init creates the config file the connection is built from, and config commands report on it themselves
+    if (actionCommand.name() === 'init' || (actionCommand.parent && actionCommand.parent.name() === 'config')) {
+      return;
+    }
+
+    // An invalid config stops every command here with EXIT_CODES.CONFIG
+    loadConfig();
+
+    // Initialize the shared connection at startup
+    try {
+      // This will create the singleton connection that will be reused
+      const connection = getConnection(true, 'config.json', 'confirmed');
+      await testConnection(false); // Just test it silently
+    } catch (error) {
+      console.error('Failed to initialize connection:', error.message);
+      // Continue anyway, individual commands will retry
+    }
+  });
 
   // Wallet commands
   program
@@ -44,7 +256,9 @@ async function main() {
     .description('Create a new wallet')
     .option('-p, --path <path>', 'Wallet file path', 'wallet.json')
     .action(async (options) => {
-      await createWallet(options.path, true);
+      if (!(await createWallet(options.path, walletOptions()))) {
+        process.exitCode = EXIT_CODES.WALLET;
+      }
     });
 
   program
@@ -53,7 +267,144 @@ async function main() {
     .argument('<privateKey>', 'Private key to import (base58 encoded or array format)')
     .option('-p, --path <path>', 'Wallet file path', 'wallet.json')
     .action(async (privateKey, options) => {
-      await importWallet(privateKey, options.path, true);
+      if (!(await importWallet(privateKey, options.path, walletOptions()))) {
+        process.exitCode = EXIT_CODES.WALLET;
+      }
+    });
+
+  program
+    .command('change-password')
+    .description('Change the passphrase of a wallet (also migrates legacy wallet files)')
+    .option('-p, --path <path>', 'Wallet file path', 'wallet.json')
+    .action(async (options) => {
+      const changed = changePassword(options.path, walletOptions());
+      if (!changed) {
+        process.exitCode = EXIT_CODES.WALLET;
+      }
+    });
+
+  // Wallet keystore commands
+  const wallets = program
+    .command('wallets')
+    .description('Manage named wallets in the keystore');
+
+  wallets
+    .command('list')
+    .description('List keystore wallets')
+    .action(() => {
+      try {
+        const entries = listWallets(keystoreDir());
+        if (program.opts().json) {
+          printJson({ command: 'wallets list', keystore: keystoreDir(), wallets: entries });
+          return;
+        }
+        if (entries.length === 0) {
+          console.log(`No wallets in keystore ${keystoreDir()}. Add one with: wallets add <name>`);
+          return;
+        }
+
+        const table = new Table({
+          head: ['', 'Name', 'Label', 'Tags', 'Public Key']
+        });
+        entries.forEach(entry => {
+          table.push([
+            entry.isDefault ? '*' : '',
+            entry.name,
+            entry.label || '',
+            (entry.tags || []).join(', '),
+            entry.publicKey
+          ]);
+        });
+        console.log(table.toString());
+      } catch (error) {
+        console.error('Error listing wallets:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  wallets
+    .command('add')
+    .description('Add a wallet to the keystore (new, imported from a private key or from a wallet file)')
+    .argument('<name>', 'Wallet name')
+    .option('-k, --private-key <privateKey>', 'Import from private key (base58 encoded or array format)')
+    .option('--from <path>', 'Add an existing wallet file')
+    .option('-l, --label <label>', 'Wallet label')
+    .option('-t, --tags <tags>', 'Comma-separated tags, e.g. "sniper,team-a"')
+    .action((name, options) => {
+      try {
+        const entry = addWallet(name, { ...options, ...walletOptions() }, keystoreDir());
+        console.log(`Wallet "${entry.name}" added to keystore${entry.isDefault ? ' (default)' : ''}`);
+      } catch (error) {
+        console.error('Error adding wallet:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  wallets
+    .command('remove')
+    .description('Remove a wallet and its key file from the keystore')
+    .argument('<name>', 'Wallet name')
+    .option('--force', 'Do not ask for confirmation')
+    .action((name, options) => {
+      try {
+        if (!options.force) {
+          if (nonInteractive()) {
+            throw inputRequiredError('Confirmation', 'pass --force to remove the wallet');
+          }
+          const answer = require('prompt-sync')({ sigint: true })(`Permanently delete wallet "${name}"? (y/n): `).toLowerCase();
+          if (answer !== 'y') {
+            console.log('Wallet removal cancelled.');
+            return;
+          }
+        }
+        removeWallet(name, keystoreDir());
+        console.log(`Wallet "${name}" removed from keystore`);
+      } catch (error) {
+        console.error('Error removing wallet:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  wallets
+    .command('rename')
+    .description('Rename a keystore wallet')
+    .argument('<name>', 'Current wallet name')
+    .argument('<newName>', 'New wallet name')
+    .option('-l, --label <label>', 'Also change the label')
+    .option('-t, --tags <tags>', 'Also replace the tags (comma-separated)')
+    .action((name, newName, options) => {
+      try {
+        const entry = name === newName ? getWallet(name, keystoreDir()) : renameWallet(name, newName, keystoreDir());
+        if (!entry) {
+          throw new Error(`Wallet "${name}" not found in the keystore`);
+        }
+        if (options.label !== undefined || options.tags !== undefined) {
+          updateWallet(entry.name, { label: options.label, tags: options.tags }, keystoreDir());
+        }
+        console.log(`Wallet "${name}" is now "${entry.name}"`);
+      } catch (error) {
+        console.error('Error renaming wallet:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  wallets
+    .command('default')
+    .description('Show or set the default keystore wallet')
+    .argument('[name]', 'Wallet to use when --wallet is not given')
+    .action((name) => {
+      try {
+        if (!name) {
+          const entry = listWallets(keystoreDir()).find(wallet => wallet.isDefault);
+          console.log(entry ? `Default wallet: ${entry.name} (${entry.publicKey})` : 'No default wallet set');
+          return;
+        }
+        setDefaultWallet(name, keystoreDir());
+        console.log(`Default wallet set to "${name}"`);
+      } catch (error) {
+        console.error('Error setting default wallet:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
     });
 
   // Buy command - optimized
@@ -64,25 +415,58 @@ async function main() {
     .option('-a, --amount <amount>', 'Amount of SOL to spend')
     .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
     .option('-v, --verbose', 'Verbose output for debugging')
-    .option('-w, --wallet <path>', 'Path to wallet file', 'wallet.json')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Buy with every keystore wallet carrying this tag ("all" for every wallet)')
+    .option('--tp <percent>', 'Take profit: sell everything at this % gain, e.g. 100%')
+    .option('--sl <percent>', 'Stop loss: sell everything at this % loss, e.g. 30%')
+    .option('--trailing <percent>', 'Trailing stop: sell when price drops this % below its high')
+    .option('--ladder <rungs>', 'Partial take-profit ladder, e.g. "2x:50,5x:25"')
+    .option('--watch', 'Keep running and monitor the position after buying')
+    .option('--ignore-safety', 'Buy even if a safety check with a "block" policy fails')
+    .option('--max-price-impact <percent>', 'Abort if the quote\'s price impact exceeds this % (overrides config.maxPriceImpact)')
+    .option('--min-out <tokens>', 'Abort if the swap cannot guarantee at least this many tokens after slippage (overrides config.minOut.buyTokens)')
+    .option('--max-sol-spend <sol>', 'Abort if the quote spends more than this much SOL (overrides config.maxSolSpend)')
+    .option('--max-slippage <percent>', 'Widen slippage up to this % when a swap fails on slippage (overrides config.maxSlippage)')
+    .option('--max-attempts <n>', 'Attempts before giving up on slippage or expired-blockhash failures (overrides config.retry.maxAttempts)')
+    .option('--dry-run', 'Simulate the signed transaction instead of sending it')
+    .option('--commitment <level>', 'Confirmation to wait for: processed, confirmed or finalized')
+    .option('--jito', 'Submit as a Jito bundle with a tip (overrides config.jito.enabled)')
+    .option('--no-jito', 'Send through RPC even if config.jito.enabled is set')
     .action(async (tokenAddress, options) => {
       try {
-        // Load wallet first for efficiency
-        const keypair = loadWallet(options.wallet);
-        if (!keypair) {
-          console.error('Failed to load wallet. Please check your wallet file or create a new one.');
-          return;
-        }
+        const targets = resolveWalletTargets(options, keystoreDir());
+        const keypairs = {};
 
-        console.log(`Using wallet: ${keypair.publicKey.toString()}`);
+        // Validate exit rules before spending anything
+        const exits = {
+          takeProfit: parsePercentage(options.tp, 'take-profit'),
+          stopLoss: parsePercentage(options.sl, 'stop-loss'),
+          trailingStop: parsePercentage(options.trailing, 'trailing stop'),
+          ladder: parseLadder(options.ladder)
+        };
+        const hasExits = exits.takeProfit || exits.stopLoss || exits.trailingStop || exits.ladder.length > 0;
+        const results = [];
+
+        // Load a single wallet first for efficiency
+        if (targets.length === 1) {
+          keypairs[targets[0].path] = loadTradeWallet(targets[0], results);
+          if (!keypairs[targets[0].path]) {
+            reportTradeResults('buy', tokenAddress || null, targets, results);
+            return;
+          }
+        }
         
         // If tokenAddress is not provided, prompt the user with a simple message
         if (!tokenAddress) {
+          if (nonInteractive()) {
+            throw usageError('Token address is required');
+          }
           const promptSync = require('prompt-sync')({ sigint: true });
           tokenAddress = promptSync('Enter token address: ');
           
           if (!tokenAddress || tokenAddress.trim() === '') {
             console.error('Token address is required.');
+            process.exitCode = EXIT_CODES.USAGE;
             return;
           }
           tokenAddress = tokenAddress.trim();
@@ -92,27 +476,70 @@ async function main() {
         const amountDisplay = options.amount ? `${options.amount} SOL` : 'default amount';
         console.log(`Buying token: ${tokenAddress}`);
         console.log(`Amount: ${amountDisplay}`);
-        
-        const result = await buyToken(keypair, tokenAddress, options);
-        
-        if (result.success) {
-          console.log('\nBuy transaction succeeded!');
-          if (result.amount) {
-            console.log(`Tokens purchased: ${result.amount.toLocaleString()}`);
+
+        for (const target of targets) {
+          const keypair = keypairs[target.path] || loadTradeWallet(target, results);
+          if (!keypair) {
+            continue;
           }
-          console.log(`SOL spent: ${result.amountSol}`);
-          console.log(`Transaction ID: ${result.txid}`);
-          console.log(`\nExplorer URL: https://solscan.io/tx/${result.txid}`);
-        } else {
-          console.error('\nBuy transaction failed!');
-          console.error(`Error: ${result.error}`);
-          if (result.txid) {
+
+          keypairs[target.path] = keypair;
+
+          const result = await buyToken(keypair, tokenAddress, { ...options, walletName: target.name });
+          results.push({ wallet: target.name, ...result });
+
+          if (result.dryRun) {
+            // The simulation report was printed by buyToken; no position is opened for a dry run
+            continue;
+          }
+        
+          if (result.success) {
+            console.log('\nBuy transaction succeeded!');
+            if (result.amount) {
+              console.log(`Tokens purchased: ${result.amount.toLocaleString()}`);
+            }
+            console.log(`SOL spent: ${result.amountSol}`);
             console.log(`Transaction ID: ${result.txid}`);
-            console.log(`Explorer URL: https://solscan.io/tx/${result.txid}`);
+            console.log(`\nExplorer URL: https://solscan.io/tx/${result.txid}`);
+
+            if (hasExits) {
+              const position = openPosition({
+                wallet: target,
+                walletPublicKey: keypair.publicKey.toString(),
+                mint: tokenAddress,
+                rawAmount: result.rawAmount,
+                decimals: result.decimals !== null ? result.decimals : await getMintDecimals(getConnection(), tokenAddress),
+                entrySol: result.amountSol,
+                txid: result.txid
+              }, exits);
+              console.log(`Position ${position.id} recorded - entry price ${position.entryPrice.toExponential(4)} SOL/token`);
+            }
+          } else {
+            console.error('\nBuy transaction failed!');
+            console.error(`Error: ${result.error}`);
+            if (result.txid) {
+              console.log(`Transaction ID: ${result.txid}`);
+              console.log(`Explorer URL: https://solscan.io/tx/${result.txid}`);
+            }
           }
         }
+
+        reportTradeResults('buy', tokenAddress, targets, results);
+
+        if (options.dryRun) {
+          if (hasExits) console.log('Dry run: exit rules were validated but no position was recorded.');
+        } else if (hasExits && options.watch) {
+          await watchPositions({
+            getKeypair: (wallet) => keypairs[wallet.path] || null,
+            feeType: options.feeType,
+            verbose: options.verbose
+          });
+        } else if (hasExits && results.some(result => result.success)) {
+          console.log('Run "watch" to monitor take-profit / stop-loss exits.');
+        }
       } catch (error) {
         console.error('Error executing buy command:', error.message);
+        process.exitCode = exitCodeFor(error);
       }
     });
 
@@ -123,157 +550,1005 @@ async function main() {
     .argument('[tokenAddress]', 'Token mint address')
     .option('-p, --percentage <percentage>', 'Percentage of tokens to sell (default: 100%)', '100')
     .option('-a, --all', 'Sell all tokens (same as 100%)')
+    .option('--keep-account', 'Do not close the token account after selling everything')
+    .option('--max-price-impact <percent>', 'Abort if the quote\'s price impact exceeds this % (overrides config.maxPriceImpact)')
+    .option('--min-out <sol>', 'Abort if the swap cannot guarantee at least this much SOL after slippage (overrides config.minOut.sellSol)')
+    .option('--max-slippage <percent>', 'Widen slippage up to this % when a swap fails on slippage (overrides config.maxSlippage)')
+    .option('--max-attempts <n>', 'Attempts before giving up on slippage or expired-blockhash failures (overrides config.retry.maxAttempts)')
     .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
     .option('-v, --verbose', 'Verbose output for debugging')
-    .option('-w, --wallet <path>', 'Path to wallet file', 'wallet.json')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Sell from every keystore wallet carrying this tag ("all" for every wallet)')
+    .option('--dry-run', 'Simulate the signed transaction instead of sending it')
+    .option('--commitment <level>', 'Confirmation to wait for: processed, confirmed or finalized')
+    .option('--jito', 'Submit as a Jito bundle with a tip (overrides config.jito.enabled)')
+    .option('--no-jito', 'Send through RPC even if config.jito.enabled is set')
     .action(async (tokenAddress, options) => {
       try {
-        // Load wallet first
-        const keypair = loadWallet(options.wallet);
-        if (!keypair) {
-          console.error('Failed to load wallet. Please check your wallet file or create a new one.');
-          return;
-        }
+        const targets = resolveWalletTargets(options, keystoreDir());
+        const keypairs = {};
+        const results = [];
 
-        console.log(`Using wallet: ${keypair.publicKey.toString()}`);
+        // Load a single wallet first
+        if (targets.length === 1) {
+          keypairs[targets[0].path] = loadTradeWallet(targets[0], results);
+          if (!keypairs[targets[0].path]) {
+            reportTradeResults('sell', tokenAddress || null, targets, results);
+            return;
+          }
+        }
         
         // If tokenAddress is not provided, show a simpler interactive menu
         if (!tokenAddress) {
-          // Get the reusable connection from the connection manager
-          const connection = getConnection();
-          
-          // Start spinner to indicate loading
-          const spinner = ora('Fetching token holdings...').start();
+          if (nonInteractive()) {
+            throw usageError('Token address is required');
+          }
+          if (targets.length === 1) {
+            tokenAddress = await selectTokenFromHoldings(keypairs[targets[0].path]);
+          } else {
+            // Holdings differ per wallet, so ask for the mint directly
+            tokenAddress = require('prompt-sync')({ sigint: true })('Enter token address: ');
+          }
           
-          try {
-            // Get token accounts for this public key with minimal data
-            const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
-              keypair.publicKey,
-              { programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') }
-            );
-            
-            spinner.stop();
-            
-            // Filter out accounts with zero balance
-            const tokenHoldings = tokenAccounts.value
-              .filter(account => {
-                const info = account.account.data.parsed.info;
-                return info.tokenAmount.uiAmount > 0;
-              })
-              .map((account, index) => {
-                const info = account.account.data.parsed.info;
-                return {
-                  index: index + 1,
-                  mint: info.mint,
-                  balance: info.tokenAmount.uiAmount
-                };
-              });
-            
-            if (tokenHoldings.length === 0) {
-              console.log('You don\'t have any tokens with balance > 0.');
-              return;
-            }
-            
-            // Display token holdings in a simplified format
-            console.log('\nSelect a token to sell:');
-            console.log('----------------------');
-            
-            tokenHoldings.forEach(token => {
-              console.log(`${token.index}. ${token.mint} | ${token.balance.toLocaleString()}`);
-            });
-            
-            // Prompt user to select a token with timeout
-            const promptSync = require('prompt-sync')({ sigint: true });
-            const selectedIndex = parseInt(promptSync('Enter number: '));
-            
-            if (isNaN(selectedIndex) || selectedIndex < 1 || selectedIndex > tokenHoldings.length) {
-              console.error('Invalid selection.');
-              return;
-            }
-            
-            // Set the selected token address directly - no additional prompts
-            tokenAddress = tokenHoldings[selectedIndex - 1].mint;
-            console.log(`Selected: ${tokenAddress}`);
-          } catch (error) {
-            spinner.stop();
-            console.error(`Error fetching token holdings: ${error.message}`);
-            console.log('Please enter token address manually:');
-            tokenAddress = promptSync();
-            
-            if (!tokenAddress || tokenAddress.trim() === '') {
-              console.error('Token address is required.');
-              return;
-            }
-            tokenAddress = tokenAddress.trim();
+          if (!tokenAddress || tokenAddress.trim() === '') {
+            console.error('Token address is required.');
+            process.exitCode = EXIT_CODES.USAGE;
+            return;
           }
+          tokenAddress = tokenAddress.trim();
         }
         
         // Execute sell without further prompts
         console.log(`Selling token: ${tokenAddress}`);
         console.log(`Percentage: ${options.percentage}%`);
-        const result = await sellToken(keypair, tokenAddress, options);
+
+        for (const target of targets) {
+          const keypair = keypairs[target.path] || loadTradeWallet(target, results);
+          if (!keypair) {
+            continue;
+          }
+
+          const result = await sellToken(keypair, tokenAddress, { ...options, walletName: target.name });
+          results.push({ wallet: target.name, ...result });
+
+          if (result.dryRun) {
+            continue;
+          }
         
-        if (result.success) {
-          console.log('\nSell transaction succeeded!');
-          console.log(`Tokens sold: ${result.soldAmount?.toLocaleString() || 'N/A'}`);
-          console.log(`SOL received: ${result.soldAmountSol?.toFixed(4) || 'N/A'}`);
+          if (result.success) {
+            console.log('\nSell transaction succeeded!');
+            console.log(`Tokens sold: ${result.soldAmount?.toLocaleString() || 'N/A'}`);
+            console.log(`SOL received: ${result.soldAmountSol?.toFixed(4) || 'N/A'}`);
+            console.log(`Transaction ID: ${result.txid}`);
+            console.log(`\nExplorer URL: https://solscan.io/tx/${result.txid}`);
+          } else {
+            console.error('\nSell transaction failed!');
+            console.error(`Error: ${result.error}`);
+            if (result.txid) {
+              console.log(`Transaction ID: ${result.txid}`);
+              console.log(`Explorer URL: https://solscan.io/tx/${result.txid}`);
+            }
+          }
+        }
+
+        reportTradeResults('sell', tokenAddress, targets, results);
+      } catch (error) {
+        console.error('Error executing sell command:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Swap command for any token pair
+  program
+    .command('swap')
+    .description('Swap between any two tokens')
+    .argument('<inputMint>', 'Mint address of the token to sell')
+    .argument('<outputMint>', 'Mint address of the token to buy')
+    .requiredOption('-a, --amount <amount>', 'Amount of the input token to swap')
+    .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--max-price-impact <percent>', 'Abort if the quote\'s price impact exceeds this % (overrides config.maxPriceImpact)')
+    .option('--min-out <tokens>', 'Abort if the swap cannot guarantee at least this much of the output token after slippage')
+    .option('--max-slippage <percent>', 'Widen slippage up to this % when a swap fails on slippage (overrides config.maxSlippage)')
+    .option('--max-attempts <n>', 'Attempts before giving up on slippage or expired-blockhash failures (overrides config.retry.maxAttempts)')
+    .option('--dry-run', 'Simulate the signed transaction instead of sending it')
+    .option('--commitment <level>', 'Confirmation to wait for: processed, confirmed or finalized')
+    .option('--jito', 'Submit as a Jito bundle with a tip (overrides config.jito.enabled)')
+    .option('--no-jito', 'Send through RPC even if config.jito.enabled is set')
+    .action(async (inputMint, outputMint, options) => {
+      try {
+        const [target] = resolveWalletTargets({ wallet: options.wallet }, keystoreDir());
+        const keypair = loadTargetWallet(target);
+        if (!keypair) return;
+
+        const result = await swapToken(keypair, inputMint, outputMint, { ...options, walletName: target.name });
+
+        // A dry run's simulation report was printed by swapToken
+        if (result.success && !result.dryRun) {
+          console.log('\nSwap transaction succeeded!');
+          console.log(`Tokens received: ${result.outputAmount.toLocaleString()}`);
           console.log(`Transaction ID: ${result.txid}`);
           console.log(`\nExplorer URL: https://solscan.io/tx/${result.txid}`);
-        } else {
-          console.error('\nSell transaction failed!');
+        } else if (!result.dryRun) {
+          console.error('\nSwap transaction failed!');
           console.error(`Error: ${result.error}`);
           if (result.txid) {
             console.log(`Transaction ID: ${result.txid}`);
             console.log(`Explorer URL: https://solscan.io/tx/${result.txid}`);
           }
         }
+
+        process.exitCode = exitCodeForResults([result]);
+        if (program.opts().json) {
+          printJson({ command: 'swap', inputMint, outputMint, success: result.success, results: [{ wallet: target.name, ...result }] });
+        }
       } catch (error) {
-        console.error('Error executing sell command:', error.message);
+        console.error('Error executing swap command:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Position watcher for take-profit / stop-loss exits
+  program
+    .command('watch')
+    .description('Monitor open positions and sell on take-profit / stop-loss')
+    .option('-i, --interval <seconds>', 'Seconds between price checks', '10')
+    .option('--once', 'Check every position once and exit')
+    .option('--list', 'List positions and exit')
+    .option('--close <id>', 'Stop monitoring a position without selling')
+    .option('-f, --fee-type <feeType>', 'Fee type used for exits: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (options) => {
+      try {
+        if (options.close) {
+          closePosition(options.close);
+          console.log(`Position ${options.close} closed`);
+          return;
+        }
+
+        if (options.list) {
+          const positions = loadPositions();
+          if (program.opts().json) {
+            printJson({ command: 'watch', positions });
+            return;
+          }
+          if (positions.length === 0) {
+            console.log('No positions recorded.');
+            return;
+          }
+          const table = new Table({
+            head: ['ID', 'Status', 'Wallet', 'Mint', 'Entry SOL', 'TP', 'SL', 'Trailing', 'Ladder']
+          });
+          positions.forEach(position => {
+            table.push([
+              position.id,
+              position.status,
+              position.wallet.name,
+              position.mint,
+              position.entrySol,
+              position.takeProfit ? `${position.takeProfit}%` : '-',
+              position.stopLoss ? `${position.stopLoss}%` : '-',
+              position.trailingStop ? `${position.trailingStop}%` : '-',
+              position.ladder.map(rung => `${rung.multiple}x:${rung.percentage}%${rung.done ? ' ✓' : ''}`).join(', ') || '-'
+            ]);
+          });
+          console.log(table.toString());
+          return;
+        }
+
+        // Wallets are unlocked once, the first time one of their positions is checked
+        const keypairs = {};
+        const getKeypair = (wallet) => {
+          if (keypairs[wallet.path] === undefined) {
+            keypairs[wallet.path] = loadTargetWallet(wallet);
+          }
+          return keypairs[wallet.path];
+        };
+
+        console.log(`Watching open positions every ${options.interval}s (Ctrl+C to stop)...`);
+        await watchPositions({
+          getKeypair,
+          interval: parseFloat(options.interval),
+          once: options.once,
+          feeType: options.feeType,
+          verbose: options.verbose
+        });
+      } catch (error) {
+        console.error('Error watching positions:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Limit orders
+  // Unlock each wallet once, the first time one of its orders needs it
+  const createKeypairCache = () => {
+    const keypairs = {};
+    return (wallet) => {
+      if (keypairs[wallet.path] === undefined) {
+        keypairs[wallet.path] = loadTargetWallet(wallet);
+      }
+      return keypairs[wallet.path];
+    };
+  };
+
+  const runOrderWatcher = async (options) => {
+    console.log(`Watching open limit orders every ${options.interval}s (Ctrl+C to stop)...`);
+    await watchOrders({
+      getKeypair: createKeypairCache(),
+      interval: parseFloat(options.interval),
+      once: options.once,
+      feeType: options.feeType,
+      verbose: options.verbose
+    });
+  };
+
+  const placeLimitOrders = async (side, tokenAddress, options) => {
+    const targets = resolveWalletTargets(options, keystoreDir());
+    const params = {
+      side,
+      mint: new PublicKey(tokenAddress).toString(),
+      price: parseFloat(options.price),
+      amountSol: side === 'buy' ? parseFloat(options.amount) : undefined,
+      percentage: side === 'sell' ? parseFloat(String(options.percentage).replace('%', '')) : undefined,
+      expiresInMs: parseDuration(options.expires, 'expiry')
+    };
+    const getKeypair = createKeypairCache();
+
+    for (const target of targets) {
+      let order;
+      if (options.jupiter) {
+        const keypair = getKeypair(target);
+        if (!keypair) continue;
+        const spinner = ora(`Placing ${side} order on Jupiter for ${target.name}...`).start();
+        try {
+          order = await placeJupiterOrder(keypair, {
+            ...params,
+            wallet: target,
+            walletPublicKey: keypair.publicKey.toString()
+          }, { config: loadConfig(), verbose: options.verbose });
+          spinner.succeed(`Jupiter limit order ${order.id} placed (${order.orderAccount})`);
+        } catch (error) {
+          spinner.fail(error.message);
+          process.exitCode = exitCodeFor(error);
+          continue;
+        }
+      } else {
+        // Local orders only need the public key until they execute
+        const walletPublicKey = resolveWalletPublicKey(target, getKeypair);
+        if (!walletPublicKey) continue;
+        order = createOrder({ ...params, wallet: target, walletPublicKey });
+        console.log(`Limit ${side} ${order.id} stored for ${target.name}`);
+      }
+      console.log(`  ${side === 'buy' ? `${order.amountSol} SOL` : `${order.percentage}%`} of ${order.mint} at ${order.price} SOL/token` +
+        (order.expiresAt ? `, expires ${order.expiresAt}` : ''));
+    }
+
+    if (!options.jupiter) {
+      if (options.watch) {
+        await runOrderWatcher({ ...options, interval: options.interval || '10' });
+      } else {
+        console.log('Run "orders watch" to execute local limit orders when their price is reached.');
+      }
+    }
+  };
+
+  program
+    .command('limit-buy')
+    .description('Buy a token once its price drops to a limit')
+    .argument('<tokenAddress>', 'Token mint address')
+    .requiredOption('--price <sol>', 'Limit price in SOL per token (buy at or below)')
+    .requiredOption('-a, --amount <sol>', 'Amount of SOL to spend')
+    .option('--expires <duration>', 'Cancel the order after this long, e.g. 30m, 4h, 2d')
+    .option('--jupiter', 'Place the order on Jupiter\'s limit order program instead of watching locally')
+    .option('--watch', 'Keep running and watch the order after placing it')
+    .option('-i, --interval <seconds>', 'Seconds between price checks when watching', '10')
+    .option('-f, --fee-type <feeType>', 'Fee type used for execution: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Place the order for every keystore wallet carrying this tag ("all" for every wallet)')
+    .action(async (tokenAddress, options) => {
+      try {
+        await placeLimitOrders('buy', tokenAddress, options);
+      } catch (error) {
+        console.error('Error placing limit buy:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command('limit-sell')
+    .description('Sell a token once its price rises to a limit')
+    .argument('<tokenAddress>', 'Token mint address')
+    .requiredOption('--price <sol>', 'Limit price in SOL per token (sell at or above)')
+    .option('-p, --percentage <percentage>', 'Percentage of the holding to sell', '100')
+    .option('--expires <duration>', 'Cancel the order after this long, e.g. 30m, 4h, 2d')
+    .option('--jupiter', 'Place the order on Jupiter\'s limit order program instead of watching locally')
+    .option('--watch', 'Keep running and watch the order after placing it')
+    .option('-i, --interval <seconds>', 'Seconds between price checks when watching', '10')
+    .option('-f, --fee-type <feeType>', 'Fee type used for execution: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Place the order for every keystore wallet carrying this tag ("all" for every wallet)')
+    .action(async (tokenAddress, options) => {
+      try {
+        await placeLimitOrders('sell', tokenAddress, options);
+      } catch (error) {
+        console.error('Error placing limit sell:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  const orders = program
+    .command('orders')
+    .description('List, cancel and watch limit orders');
+
+  orders
+    .command('list')
+    .description('List limit orders')
+    .option('--all', 'Include filled, cancelled and expired orders')
+    .action((options) => {
+      try {
+        const entries = loadOrders().filter(order => options.all || order.status === 'open');
+        if (program.opts().json) {
+          printJson({ command: 'orders list', orders: entries });
+          return;
+        }
+        if (entries.length === 0) {
+          console.log(options.all ? 'No limit orders recorded.' : 'No open limit orders. Use --all to include closed ones.');
+          return;
+        }
+
+        const table = new Table({
+          head: ['ID', 'Side', 'Status', 'Venue', 'Wallet', 'Mint', 'Limit', 'Size', 'Last Price', 'Expires']
+        });
+        entries.forEach(order => {
+          table.push([
+            order.id,
+            order.side,
+            order.status,
+            order.venue,
+            order.wallet.name,
+            order.mint,
+            order.price,
+            order.side === 'buy' ? `${order.amountSol} SOL` : `${order.percentage}%`,
+            order.lastPrice !== null && order.lastPrice !== undefined ? order.lastPrice.toExponential(4) : '-',
+            order.expiresAt || '-'
+          ]);
+        });
+        console.log(table.toString());
+      } catch (error) {
+        console.error('Error listing orders:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  orders
+    .command('cancel')
+    .description('Cancel an open limit order')
+    .argument('<id>', 'Order ID')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (id, options) => {
+      try {
+        const order = await cancelOrder(id, {
+          getKeypair: createKeypairCache(),
+          config: loadConfig(),
+          verbose: options.verbose
+        });
+        console.log(`Order ${order.id} cancelled${order.cancelTxid ? ` (${order.cancelTxid})` : ''}`);
+      } catch (error) {
+        console.error('Error cancelling order:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  orders
+    .command('watch')
+    .description('Execute local limit orders when their price condition is met')
+    .option('-i, --interval <seconds>', 'Seconds between price checks', '10')
+    .option('--once', 'Check every order once and exit')
+    .option('-f, --fee-type <feeType>', 'Fee type used for execution: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (options) => {
+      try {
+        await runOrderWatcher(options);
+      } catch (error) {
+        console.error('Error watching orders:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // DCA schedules
+  const runDcaScheduler = async (options) => {
+    console.log('Running DCA schedules (Ctrl+C to stop, "dca resume" picks up where this left off)...');
+    await runSchedules({
+      getKeypair: createKeypairCache(),
+      once: options.once,
+      feeType: options.feeType,
+      verbose: options.verbose
+    });
+  };
+
+  const dca = program
+    .command('dca')
+    .description('Buy a token in scheduled slices (or sell a position with --sell)')
+    .argument('[tokenAddress]', 'Token mint address')
+    .option('--total <sol>', 'Total SOL to spend across all slices')
+    .option('--every <interval>', 'Time between slices, e.g. 30m, 4h, 1d')
+    .option('--count <n>', 'Number of slices')
+    .option('--sell', 'Sell the position in slices instead of buying')
+    .option('-p, --percentage <percentage>', 'With --sell: percentage of the holding to sell across all slices', '100')
+    .option('--min-price <sol>', 'Skip slices while the price is below this (SOL per token)')
+    .option('--max-price <sol>', 'Skip slices while the price is above this (SOL per token)')
+    .option('--detach', 'Only store the schedule; run it later with "dca resume"')
+    .option('-f, --fee-type <feeType>', 'Fee type used for execution: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Create a schedule for every keystore wallet carrying this tag ("all" for every wallet)')
+    .action(async (tokenAddress, options) => {
+      try {
+        if (!tokenAddress) {
+          dca.help();
+        }
+        const side = options.sell ? 'sell' : 'buy';
+        const params = {
+          side,
+          mint: new PublicKey(tokenAddress).toString(),
+          totalSol: options.total !== undefined ? parseFloat(options.total) : undefined,
+          percentage: side === 'sell' ? parseFloat(String(options.percentage).replace('%', '')) : undefined,
+          intervalMs: parseDuration(options.every, '--every interval'),
+          count: options.count !== undefined ? Number(options.count) : undefined,
+          minPrice: options.minPrice !== undefined ? parseFloat(options.minPrice) : undefined,
+          maxPrice: options.maxPrice !== undefined ? parseFloat(options.maxPrice) : undefined
+        };
+
+        const targets = resolveWalletTargets(options, keystoreDir());
+        for (const target of targets) {
+          const walletPublicKey = resolveWalletPublicKey(target, loadTargetWallet);
+          if (!walletPublicKey) continue;
+          const schedule = createSchedule({ ...params, wallet: target, walletPublicKey });
+          const size = side === 'buy' ? `${schedule.sliceSol} SOL per slice` : `${schedule.percentage}% of the holding in total`;
+          console.log(`DCA ${side} ${schedule.id} for ${target.name}: ${schedule.count} slices every ${options.every}, ${size}`);
+        }
+
+        if (options.detach) {
+          console.log('Run "dca resume" to start executing the schedule.');
+          return;
+        }
+        await runDcaScheduler(options);
+      } catch (error) {
+        console.error('Error creating DCA schedule:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  dca
+    .command('status')
+    .description('Show the progress of DCA schedules')
+    .argument('[id]', 'Schedule ID (shows every slice)')
+    .option('--all', 'Include completed and cancelled schedules')
+    .action((id, options) => {
+      try {
+        const schedules = loadSchedules();
+
+        if (id) {
+          const schedule = schedules.find(s => s.id === id);
+          if (!schedule) {
+            throw new Error(`DCA schedule ${id} not found`);
+          }
+          if (program.opts().json) {
+            printJson({ command: 'dca status', schedule: { ...schedule, progress: getScheduleProgress(schedule) } });
+            return;
+          }
+          const table = new Table({ head: ['#', 'Status', 'Time', 'SOL', 'Tokens', 'Details'] });
+          schedule.slices.forEach(slice => {
+            table.push([
+              slice.index,
+              slice.status,
+              slice.at,
+              slice.solAmount !== undefined ? slice.solAmount.toFixed(6) : '-',
+              slice.tokenAmount !== undefined ? slice.tokenAmount.toLocaleString() : '-',
+              slice.txid || slice.reason || slice.error || '-'
+            ]);
+          });
+          const progress = getScheduleProgress(schedule);
+          console.log(`DCA ${schedule.side} ${schedule.id} (${schedule.status}): ${progress.done}/${schedule.count} slices, ` +
+            `${progress.filled} filled, ${progress.skipped} skipped, ${progress.failed} failed` +
+            (progress.unconfirmed > 0 ? `, ${progress.unconfirmed} unconfirmed` : ''));
+          if (progress.averagePrice !== null) {
+            console.log(`Average price: ${progress.averagePrice.toExponential(4)} SOL/token`);
+          }
+          if (schedule.nextRunAt) console.log(`Next slice: ${schedule.nextRunAt}`);
+          if (schedule.error) console.log(`Last error: ${schedule.error}`);
+          if (schedule.slices.length > 0) console.log(table.toString());
+          return;
+        }
+
+        const entries = schedules.filter(s => options.all || s.status === 'active');
+        if (program.opts().json) {
+          printJson({ command: 'dca status', schedules: entries.map(schedule => ({ ...schedule, progress: getScheduleProgress(schedule) })) });
+          return;
+        }
+        if (entries.length === 0) {
+          console.log(options.all ? 'No DCA schedules recorded.' : 'No active DCA schedules. Use --all to include finished ones.');
+          return;
+        }
+
+        const table = new Table({
+          head: ['ID', 'Side', 'Status', 'Wallet', 'Mint', 'Progress', 'Skipped', 'SOL', 'Tokens', 'Avg Price', 'Next Slice']
+        });
+        entries.forEach(schedule => {
+          const progress = getScheduleProgress(schedule);
+          table.push([
+            schedule.id,
+            schedule.side,
+            schedule.status,
+            schedule.wallet.name,
+            schedule.mint,
+            `${progress.done}/${schedule.count}`,
+            progress.skipped,
+            schedule.side === 'buy' ? `${progress.solAmount.toFixed(4)}/${schedule.totalSol}` : progress.solAmount.toFixed(4),
+            progress.tokenAmount.toLocaleString(),
+            progress.averagePrice !== null ? progress.averagePrice.toExponential(4) : '-',
+            schedule.nextRunAt || '-'
+          ]);
+        });
+        console.log(table.toString());
+      } catch (error) {
+        console.error('Error showing DCA status:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  dca
+    .command('resume')
+    .description('Run all active DCA schedules, e.g. after a restart')
+    .option('--once', 'Run the slices that are due now and exit')
+    .option('-f, --fee-type <feeType>', 'Fee type used for execution: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (options) => {
+      try {
+        await runDcaScheduler(options);
+      } catch (error) {
+        console.error('Error running DCA schedules:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  dca
+    .command('cancel')
+    .description('Cancel a DCA schedule')
+    .argument('<id>', 'Schedule ID')
+    .action((id) => {
+      try {
+        const schedule = cancelSchedule(id);
+        const progress = getScheduleProgress(schedule);
+        console.log(`DCA schedule ${schedule.id} cancelled after ${progress.done}/${schedule.count} slices`);
+      } catch (error) {
+        console.error('Error cancelling DCA schedule:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // New pool sniper
+  program
+    .command('snipe')
+    .description('Watch for newly created pools and buy the ones that pass the sniper filters')
+    .option('-a, --amount <sol>', 'SOL to spend per pool (overrides config.sniper.amountSol)')
+    .option('--max-spend <sol>', 'Stop after spending this much SOL in the session (overrides config.sniper.maxSessionSpendSol)')
+    .option('--min-liquidity <sol>', 'Minimum initial pool liquidity in SOL (overrides config.sniper.minLiquiditySol)')
+    .option('--sources <sources>', 'Comma-separated pool sources: raydium-amm, pumpfun (overrides config.sniper.sources)')
+    .option('--record <file>', 'Append every detected pool event to this file for replay')
+    .option('--replay <file>', 'Run detection and filters over a recorded file instead of live logs; nothing is bought')
+    .option('--dry-run', 'Simulate the buys instead of sending them')
+    .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--jito', 'Submit buys as Jito bundles with a tip (overrides config.jito.enabled)')
+    .option('--no-jito', 'Send through RPC even if config.jito.enabled is set')
+    .action(async (options) => {
+      try {
+        const sniperOptions = {
+          config: loadConfig(),
+          amountSol: options.amount !== undefined ? parseFloat(options.amount) : undefined,
+          maxSpendSol: options.maxSpend !== undefined ? parseFloat(options.maxSpend) : undefined,
+          minLiquiditySol: options.minLiquidity !== undefined ? parseFloat(options.minLiquidity) : undefined,
+          sources: options.sources ? options.sources.split(',').map(source => source.trim()) : undefined,
+          verbose: options.verbose
+        };
+
+        let summary;
+        if (options.replay) {
+          summary = await replaySniperLog(options.replay, sniperOptions);
+        } else {
+          const [target] = resolveWalletTargets({ wallet: options.wallet }, keystoreDir());
+          const keypair = loadTargetWallet(target);
+          if (!keypair) return;
+
+          summary = await runSniper(keypair, {
+            ...sniperOptions,
+            record: options.record,
+            buyOptions: {
+              feeType: options.feeType,
+              dryRun: options.dryRun,
+              jito: options.jito,
+              walletName: target.name
+            }
+          });
+        }
+
+        console.log(`\nPools detected: ${summary.detected}, passed filters: ${summary.passed}`);
+        if (summary.buys.length > 0) {
+          const table = new Table({ head: ['Mint', options.replay ? 'Would Buy' : 'Result', 'Transaction / Error'] });
+          summary.buys.forEach(buy => {
+            table.push([buy.mint, buy.success ? 'yes' : 'failed', buy.txid || buy.error || '-']);
+          });
+          console.log(table.toString());
+        }
+        console.log(`${options.replay ? 'Would have spent' : 'Spent'}: ${summary.spentSol} SOL`);
+      } catch (error) {
+        console.error('Error running sniper:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Copy trading
+  program
+    .command('copy')
+    .description('Mirror the swaps of another wallet')
+    .argument('<walletAddress>', 'Wallet to copy')
+    .option('--ratio <ratio>', 'Buy this fraction of the leader\'s SOL size (overrides config.copyTrade.ratio)')
+    .option('--fixed <sol>', 'Buy a fixed SOL amount per copied buy (overrides config.copyTrade.fixedSol)')
+    .option('--max-per-token <sol>', 'Max SOL put into one token (overrides config.copyTrade.maxPerTokenSol)')
+    .option('--max-daily <sol>', 'Max SOL spent on copied buys per day (overrides config.copyTrade.maxDailySol)')
+    .option('--delay <duration>', 'Wait this long before mirroring a swap, e.g. 5s')
+    .option('--blacklist <mints>', 'Comma-separated mints never to copy (added to config.copyTrade.blacklist)')
+    .option('--no-sells', 'Only mirror buys')
+    .option('--dry-run', 'Log the swaps that would be mirrored without trading')
+    .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .action(async (walletAddress, options) => {
+      try {
+        const config = loadConfig();
+        const overrides = {};
+        if (options.ratio !== undefined) overrides.ratio = parseFloat(options.ratio);
+        if (options.fixed !== undefined) overrides.fixedSol = parseFloat(options.fixed);
+        if (options.maxPerToken !== undefined) overrides.maxPerTokenSol = parseFloat(options.maxPerToken);
+        if (options.maxDaily !== undefined) overrides.maxDailySol = parseFloat(options.maxDaily);
+        if (options.delay !== undefined) overrides.delayMs = parseDuration(options.delay, '--delay');
+        if (options.blacklist) {
+          const configured = (config.copyTrade && config.copyTrade.blacklist) || [];
+          overrides.blacklist = [...configured, ...options.blacklist.split(',').map(mint => mint.trim())];
+        }
+        if (options.sells === false) overrides.copySells = false;
+
+        const [target] = resolveWalletTargets({ wallet: options.wallet }, keystoreDir());
+        const keypair = loadTargetWallet(target);
+        if (!keypair) return;
+        if (keypair.publicKey.toString() === walletAddress) {
+          throw new Error('Cannot copy your own wallet');
+        }
+
+        const summary = await copyTrades(keypair, walletAddress, {
+          config,
+          overrides,
+          dryRun: options.dryRun,
+          buyOptions: { feeType: options.feeType, walletName: target.name },
+          verbose: options.verbose
+        });
+        console.log(`Leader swaps seen: ${summary.seen}, mirrored: ${summary.mirrored}, skipped: ${summary.skipped}, failed: ${summary.failed}`);
+      } catch (error) {
+        console.error('Error copy trading:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Local HTTP/JSON API
+  program
+    .command('serve')
+    .description('Start a local authenticated HTTP/JSON API for trading')
+    .option('--host <host>', 'Address to listen on (overrides config.api.host)')
+    .option('--port <port>', 'Port to listen on (overrides config.api.port)')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--wallets <tag>', 'Serve every keystore wallet carrying this tag ("all" for every wallet)')
+    .option('-v, --verbose', 'Log every request and verbose trade output')
+    .action(async (options) => {
+      try {
+        const config = loadConfig();
+        // Wallets are unlocked once at startup; requests pick one by name
+        const keypairs = new Map();
+        for (const target of resolveWalletTargets(options, keystoreDir())) {
+          const keypair = loadTargetWallet(target);
+          if (!keypair) return;
+          keypairs.set(target.name, keypair);
+        }
+
+        await runApiServer({
+          keypairs,
+          config,
+          host: options.host,
+          port: options.port !== undefined ? parseInt(options.port, 10) : undefined,
+          verbose: options.verbose
+        });
+      } catch (error) {
+        console.error('Error running API server:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Chat control
+  program
+    .command('bot')
+    .description('Control the bot from chat: /buy, /sell, /portfolio and /status with confirm buttons')
+    .option('--local', 'Chat from this terminal instead of Telegram (as the first of config.chatBot.allowedUserIds)')
+    .option('-f, --fee-type <feeType>', 'Fee type: low, medium, high, urgent, custom')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (options) => {
+      try {
+        const config = loadConfig();
+        const chatBotConfig = getChatBotConfig(config);
+        const transport = options.local
+          ? createConsoleTransport({ userId: chatBotConfig.allowedUserIds[0] })
+          : createTelegramTransport({ token: chatBotConfig.telegramToken, verbose: options.verbose });
+
+        const [target] = resolveWalletTargets({ wallet: options.wallet }, keystoreDir());
+        const keypair = loadTargetWallet(target);
+        if (!keypair) return;
+
+        await runChatBot({
+          transport,
+          keypair,
+          walletName: target.name,
+          config,
+          tradeOptions: { feeType: options.feeType },
+          verbose: options.verbose
+        });
+      } catch (error) {
+        console.error('Error running chat bot:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Trade journal reports
+  program
+    .command('history')
+    .description('Show trades recorded in the local journal')
+    .option('-w, --wallet <wallet>', 'Only trades of this wallet (name or public key)')
+    .option('-m, --mint <mint>', 'Only trades of this token')
+    .option('-n, --limit <count>', 'Show only the most recent trades', '50')
+    .option('--csv <path>', 'Export the trades to a CSV file')
+    .action((options) => {
+      try {
+        const trades = readTrades({ wallet: options.wallet, mint: options.mint });
+
+        if (options.csv) {
+          fs.writeFileSync(options.csv, toCsv(trades));
+          console.log(`Exported ${trades.length} trades to ${options.csv}`);
+          if (program.opts().json) {
+            printJson({ command: 'history', csv: options.csv, count: trades.length });
+          }
+          return;
+        }
+
+        if (program.opts().json) {
+          printJson({ command: 'history', trades: trades.slice(-parseInt(options.limit, 10)) });
+          return;
+        }
+
+        if (trades.length === 0) {
+          console.log('No trades recorded yet.');
+          return;
+        }
+
+        const table = new Table({
+          head: ['Time', 'Wallet', 'Side', 'Mint', 'SOL', 'Tokens', 'Fee (SOL)', 'Transaction']
+        });
+        trades.slice(-parseInt(options.limit, 10)).forEach(trade => {
+          table.push([
+            trade.timestamp.replace('T', ' ').slice(0, 19),
+            trade.wallet,
+            trade.side,
+            trade.mint,
+            trade.solAmount.toFixed(4),
+            trade.tokenAmount.toLocaleString(),
+            trade.feeLamports !== null && trade.feeLamports !== undefined ? (trade.feeLamports / LAMPORTS_PER_SOL).toFixed(6) : '-',
+            trade.txid
+          ]);
+        });
+        console.log(table.toString());
+      } catch (error) {
+        console.error('Error reading trade history:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  program
+    .command('pnl')
+    .description('Report realized and unrealized PnL from the trade journal')
+    .option('-w, --wallet <wallet>', 'Only this wallet (name or public key)')
+    .option('-m, --mint <mint>', 'Only this token')
+    .option('--no-prices', 'Skip Jupiter quotes for unrealized PnL')
+    .option('--csv <path>', 'Export the PnL report to a CSV file')
+    .action(async (options) => {
+      try {
+        const entries = computePnl(readTrades({ wallet: options.wallet, mint: options.mint }));
+        if (entries.length === 0 && !program.opts().json) {
+          console.log('No trades recorded yet.');
+          return;
+        }
+
+        // Value open amounts with a sell quote
+        if (options.prices) {
+          const spinner = ora('Fetching current prices...').start();
+          for (const entry of entries) {
+            if (entry.openRawAmount < 1) continue;
+            try {
+              const quote = await getQuote({
+                inputMint: entry.mint,
+                outputMint: SOL_MINT,
+                amount: Math.floor(entry.openRawAmount)
+              });
+              entry.openValueSol = parseFloat(quote.outAmount) / LAMPORTS_PER_SOL;
+              entry.unrealizedSol = entry.openValueSol - entry.costBasisSol;
+            } catch (error) {
+              entry.unrealizedSol = null;
+            }
+          }
+          spinner.stop();
+        }
+
+        if (options.csv) {
+          fs.writeFileSync(options.csv, toCsv(entries, [
+            'wallet', 'walletPublicKey', 'mint', 'boughtTokens', 'soldTokens', 'openTokens', 'averageEntrySol',
+            'spentSol', 'receivedSol', 'realizedSol', 'costBasisSol', 'openValueSol', 'unrealizedSol', 'feesSol', 'wins', 'sells', 'winRate'
+          ]));
+          console.log(`Exported PnL for ${entries.length} positions to ${options.csv}`);
+          if (program.opts().json) {
+            printJson({ command: 'pnl', csv: options.csv, count: entries.length });
+          }
+          return;
+        }
+
+        if (program.opts().json) {
+          printJson({ command: 'pnl', entries, totals: summarizePnl(entries) });
+          return;
+        }
+
+        const formatSol = (value) => (value === null || value === undefined ? '-' : value.toFixed(4));
+        const table = new Table({
+          head: ['Wallet', 'Mint', 'Avg Entry (SOL)', 'Open Tokens', 'Realized', 'Unrealized', 'Fees', 'Win Rate']
+        });
+        entries.forEach(entry => {
+          table.push([
+            entry.wallet,
+            entry.mint,
+            entry.averageEntrySol !== null ? entry.averageEntrySol.toExponential(4) : '-',
+            entry.openTokens.toLocaleString(),
+            formatSol(entry.realizedSol),
+            formatSol(entry.unrealizedSol),
+            entry.feesSol.toFixed(6),
+            entry.winRate !== null ? `${(entry.winRate * 100).toFixed(0)}%` : '-'
+          ]);
+        });
+        console.log(table.toString());
+
+        const totals = summarizePnl(entries);
+        console.log(`\nRealized PnL: ${totals.realizedSol.toFixed(4)} SOL`);
+        if (options.prices) {
+          console.log(`Unrealized PnL: ${totals.unrealizedSol.toFixed(4)} SOL`);
+        }
+        console.log(`Total fees: ${totals.feesSol.toFixed(6)} SOL`);
+        console.log(`Win rate: ${totals.winRate !== null ? `${(totals.winRate * 100).toFixed(0)}% (${totals.wins}/${totals.sells} sells)` : 'N/A'}`);
+      } catch (error) {
+        console.error('Error computing PnL:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Portfolio overview
+  program
+    .command('portfolio')
+    .description('Show SOL and token holdings valued in SOL')
+    .option('-w, --wallet <wallet>', 'Keystore wallet name or path to wallet file')
+    .option('--address <publicKey>', 'Show any wallet address instead of a local wallet')
+    .option('--min-value <sol>', 'Hide holdings worth less than this many SOL', '0')
+    .option('-v, --verbose', 'Verbose output for debugging')
+    .action(async (options) => {
+      try {
+        let owner;
+        if (options.address) {
+          owner = new PublicKey(options.address);
+        } else {
+          // The public key is stored unencrypted, so no passphrase is needed to look at holdings
+          const [target] = resolveWalletTargets({ wallet: options.wallet }, keystoreDir());
+          owner = getWalletPublicKey(target.path);
+          if (!owner) {
+            const keypair = loadTargetWallet(target);
+            if (!keypair) return;
+            owner = keypair.publicKey;
+          }
+        }
+
+        const spinner = ora('Fetching holdings and prices...').start();
+        const portfolio = await getPortfolio(getConnection(), owner, {
+          minValue: parseFloat(options.minValue),
+          verbose: options.verbose
+        });
+        spinner.stop();
+
+        if (program.opts().json) {
+          printJson({ command: 'portfolio', ...portfolio });
+          return;
+        }
+
+        const formatShare = (share) => (share === null ? '-' : `${(share * 100).toFixed(2)}%`);
+        const table = new Table({
+          head: ['Token', 'Name', 'Mint', 'Balance', 'Value (SOL)', 'Share']
+        });
+        table.push(['SOL', 'Solana', '-', portfolio.solBalance.toLocaleString(), portfolio.solBalance.toFixed(4), formatShare(portfolio.solShare)]);
+        portfolio.holdings.forEach(holding => {
+          table.push([
+            holding.symbol || '?',
+            holding.name || '',
+            holding.mint,
+            holding.amount.toLocaleString(),
+            holding.valueSol !== null ? holding.valueSol.toFixed(4) : 'no route',
+            formatShare(holding.share)
+          ]);
+        });
+
+        console.log(`Wallet: ${portfolio.owner}`);
+        console.log(table.toString());
+        console.log(`Total value: ${portfolio.totalValueSol.toFixed(4)} SOL`);
+        if (portfolio.hiddenCount > 0) {
+          console.log(`${portfolio.hiddenCount} holding(s) below ${options.minValue} SOL hidden`);
+        }
+      } catch (error) {
+        console.error('Error fetching portfolio:', error.message);
+        process.exitCode = exitCodeFor(error);
       }
     });
 
   // Add a new command to check connection status
   program
     .command('status')
-    .description('Check connection status and RPC endpoint')
+    .description('Check connection status and the health of every RPC endpoint')
     .action(async () => {
       try {
-        const config = loadConfig();
-        console.log(`Current RPC URL: ${config.rpcUrl}`);
+        loadConfig();
         
-        const spinner = ora('Testing connection to RPC endpoint...').start();
+        const spinner = ora('Testing connection to RPC endpoints...').start();
         
-        // Force refresh the connection to ensure we're testing the current URL
+        // Force refresh the connection to ensure we're testing the current endpoints
         const connection = getConnection(true);
+
+        // Probe every endpoint directly so each one has latency and error data
+        const probes = await probeEndpoints();
+        const reachable = probes.filter(probe => !probe.error).length;
+        const report = { command: 'status', reachable, endpoints: [], version: null, slot: null, blockTime: null, error: null };
+        if (reachable === probes.length) {
+          spinner.succeed(`All ${probes.length} RPC endpoint(s) responded`);
+        } else if (reachable > 0) {
+          spinner.warn(`${reachable}/${probes.length} RPC endpoints responded - requests will fail over to the healthy ones`);
+        } else {
+          spinner.fail('No RPC endpoint responded');
+        }
         
         try {
           // Test basic connection
           const version = await connection.getVersion();
-          spinner.succeed('Connection successful!');
+          report.version = version;
           console.log(`Solana version: ${JSON.stringify(version)}`);
           
           // Test additional metrics
           spinner.text = 'Checking current slot...';
           spinner.start();
           const slot = await connection.getSlot();
+          report.slot = slot;
           spinner.succeed(`Current slot: ${slot}`);
           
-          // Calculate latency
-          spinner.text = 'Measuring RPC latency...';
-          spinner.start();
-          const startTime = Date.now();
-          await connection.getRecentBlockhash();
-          const endTime = Date.now();
-          const latency = endTime - startTime;
-          
-          if (latency < 500) {
-            spinner.succeed(`RPC Latency: ${latency}ms (Good)`);
-          } else if (latency < 1000) {
-            spinner.succeed(`RPC Latency: ${latency}ms (Acceptable)`);
-          } else {
-            spinner.warn(`RPC Latency: ${latency}ms (High - Consider upgrading RPC)`);
-          }
-          
           // Test getting block time
           try {
             spinner.text = 'Checking block time...';
@@ -281,6 +1556,7 @@ async function main() {
             const blockTime = await connection.getBlockTime(slot);
             if (blockTime) {
               const date = new Date(blockTime * 1000);
+              report.blockTime = date.toISOString();
               spinner.succeed(`Current block time: ${date.toISOString()}`);
               
               // Check if block time is recent
@@ -293,51 +1569,44 @@ async function main() {
           } catch (error) {
             spinner.fail(`Error getting block time: ${error.message}`);
           }
-          
-          // Test getting a few accounts to check account loading
-          try {
-            spinner.text = 'Testing account loading...';
-            spinner.start();
-            const startTimeAccounts = Date.now();
-            await connection.getParsedProgramAccounts(
-              new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
-              { limit: 1 }
-            );
-            const endTimeAccounts = Date.now();
-            const accountLatency = endTimeAccounts - startTimeAccounts;
-            
-            if (accountLatency < 1000) {
-              spinner.succeed(`Account loading latency: ${accountLatency}ms (Good)`);
-            } else if (accountLatency < 2000) {
-              spinner.succeed(`Account loading latency: ${accountLatency}ms (Acceptable)`);
-            } else {
-              spinner.warn(`Account loading latency: ${accountLatency}ms (High - Consider upgrading RPC)`);
-            }
-          } catch (error) {
-            spinner.fail(`Error testing account loading: ${error.message}`);
-          }
-          
-          // Summary
-          console.log('\nRPC Health Summary:');
-          if (latency < 800 && accountLatency < 1500) {
-            console.log('✅ RPC appears to be healthy and performing well');
-          } else {
-            console.log('⚠️ RPC performance could be improved - consider upgrading to a dedicated RPC provider');
-            console.log('   Recommended providers:');
-            console.log('   - QuickNode: https://www.quicknode.com/chains/sol');
-            console.log('   - Helius: https://www.helius.dev/');
-            console.log('   - Triton: https://triton.one/');
-          }
         } catch (error) {
+          report.error = error.message;
           spinner.fail(`Connection test failed: ${error.message}`);
-          console.log('Consider checking or updating your RPC URL in config.json');
-          console.log('Recommended RPC providers:');
-          console.log('- QuickNode: https://www.quicknode.com/chains/sol');
-          console.log('- Helius: https://www.helius.dev/');
-          console.log('- Triton: https://triton.one/');
+          console.log('Check the rpcUrl / rpcUrls entries in config.json');
+        }
+
+        // Health of every endpoint in the pool
+        const table = new Table({
+          head: ['Endpoint', 'Weight', 'Status', 'Latency', 'Error Rate', 'Requests', 'Slot', 'Last Error']
+        });
+        getEndpointHealth().forEach(endpoint => {
+          const probe = probes.find(p => p.url === endpoint.url) || {};
+          report.endpoints.push({
+            ...endpoint,
+            url: maskRpcUrl(endpoint.url),
+            slot: probe.slot !== undefined ? probe.slot : null,
+            probeError: probe.error || null
+          });
+          table.push([
+            maskRpcUrl(endpoint.url),
+            endpoint.weight,
+            endpoint.status,
+            endpoint.latencyMs !== null ? `${endpoint.latencyMs}ms` : '-',
+            `${(endpoint.errorRate * 100).toFixed(1)}%`,
+            endpoint.requests,
+            probe.slot !== null && probe.slot !== undefined ? probe.slot : '-',
+            endpoint.lastError ? endpoint.lastError.slice(0, 40) : '-'
+          ]);
+        });
+        console.log('\nRPC Endpoint Health:');
+        console.log(table.toString());
+
+        if (program.opts().json) {
+          printJson(report);
         }
       } catch (error) {
         console.error('Error checking connection status:', error.message);
+        process.exitCode = exitCodeFor(error);
       }
     });
 
@@ -352,6 +1621,70 @@ async function main() {
         console.log('Try checking status with: node index.js status');
       } catch (error) {
         console.error('Error resetting connections:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  // Config inspection and editing
+  const configCommand = program
+    .command('config')
+    .description('Show, change and validate settings in config.json');
+
+  configCommand
+    .command('get')
+    .description('Print the effective value of a setting (after --profile and SOLBOT_* overrides) as JSON')
+    .argument('[path]', 'Setting path, e.g. retry.maxAttempts (default: the whole config)')
+    .action((path) => {
+      try {
+        const config = loadConfig();
+        const value = path ? getPath(config, path) : config;
+        if (value === undefined) {
+          throw usageError(`Setting "${path}" is not set`);
+        }
+        printJson(value);
+      } catch (error) {
+        console.error('Error reading config:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  configCommand
+    .command('set')
+    .description('Change a setting in config.json (in the profile given with --profile); the file is only written if the result is valid')
+    .argument('<path>', 'Setting path, e.g. slippage or retry.maxAttempts')
+    .argument('<value>', 'New value (numbers, true/false, comma lists or JSON)')
+    .action((path, value) => {
+      try {
+        const profile = program.opts().profile;
+        const stored = setConfigValue(path, value, { profile });
+        console.log(`Set ${profile ? `profiles.${profile}.` : ''}${path} = ${JSON.stringify(stored)}`);
+      } catch (error) {
+        console.error('Error updating config:', error.message);
+        process.exitCode = exitCodeFor(error);
+      }
+    });
+
+  configCommand
+    .command('validate')
+    .description('Check config.json, every profile and SOLBOT_* overrides against the config schema')
+    .action(() => {
+      try {
+        const reports = checkConfigFile('config.json', process.env);
+        if (program.opts().json) {
+          printJson(reports);
+        }
+        reports.forEach(report => {
+          const name = report.profile ? `profile "${report.profile}"` : 'config.json';
+          console.log(`${report.errors.length > 0 ? '✗' : '✓'} ${name}`);
+          report.errors.forEach(error => console.log(`    error: ${error}`));
+          report.warnings.forEach(warning => console.log(`    warning: ${warning}`));
+        });
+        if (reports.some(report => report.errors.length > 0)) {
+          process.exitCode = EXIT_CODES.CONFIG;
+        }
+      } catch (error) {
+        console.error('Error validating config:', error.message);
+        process.exitCode = exitCodeFor(error);
       }
     });
 
@@ -362,28 +1695,15 @@ async function main() {
     .option('-p, --path <path>', 'Config file path', 'config.json')
     .action((options) => {
       try {
-        // Default config
-        const defaultConfig = {
-          rpcUrl: "https://api.mainnet-beta.solana.com",
-          defaultBuyAmount: 0.1,
-          defaultFee: "medium",
-          slippage: 1,
-          antiMEV: true,
-          dynamicFee: true,
-          priorityFeeMultiplier: 2,
-          feeLevels: {
-            low: 200000,
-            medium: 400000,
-            high: 800000,
-            urgent: 1200000,
-            custom: 0
-          }
-        };
-
         // Check if config already exists
         if (fs.existsSync(options.path)) {
           console.log(`Config file already exists at ${options.path}`);
-          const overwrite = require('prompt-sync')({ sigint: true })('Do you want to overwrite it? (y/n): ').toLowerCase();
+          if (!program.opts().yes && program.opts().nonInteractive) {
+            throw inputRequiredError('Confirmation', 'pass --yes to overwrite the config file');
+          }
+          const overwrite = program.opts().yes
+            ? 'y'
+            : require('prompt-sync')({ sigint: true })('Do you want to overwrite it? (y/n): ').toLowerCase();
           if (overwrite !== 'y') {
             console.log('Config creation cancelled.');
             return;
@@ -391,14 +1711,12 @@ async function main() {
         }
 
         // Write config
-        fs.writeFileSync(options.path, JSON.stringify(defaultConfig, null, 2));
+        fs.writeFileSync(options.path, JSON.stringify(DEFAULT_CONFIG, null, 2));
         console.log(`Config file created at ${options.path}`);
         console.log('You may want to customize the RPC URL and other settings.');
-        
-        // Initialize connection with the new config
-        const connection = getConnection(true);
       } catch (error) {
         console.error('Error creating config file:', error.message);
+        process.exitCode = exitCodeFor(error);
       }
     });
 
@@ -406,8 +1724,12 @@ async function main() {
   await program.parseAsync(process.argv);
 }
 
-// Execute main function
-main().catch(err => {
-  console.error('Error:', err);
-  process.exit(1);
-});
+// Execute main function when run as the CLI; require('./sdk') for library use
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.exitCode ? err.message : err);
+    process.exit(exitCodeFor(err));
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,175 @@
+// jito.js - Submit swaps as Jito bundles with a tip transaction
+const { PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+// Public mainnet tip accounts; one is picked at random per bundle to spread write-lock contention
+const DEFAULT_TIP_ACCOUNTS = [
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+const DEFAULT_JITO_CONFIG = {
+  enabled: false,
+  blockEngineUrl: 'https://mainnet.block-engine.jito.wtf',
+  tipAccounts: DEFAULT_TIP_ACCOUNTS,
+  // Tip per fee level, in lamports
+  tipLamports: {
+    low: 1000,
+    medium: 10000,
+    high: 100000,
+    urgent: 1000000,
+    custom: 10000
+  },
+  bundleTimeoutMs: 15000, // Fall back to a normal send after this long
+  statusPollMs: 1000
+};
+
+/**
+ * Merge the jito section of config.json with the defaults
+ * @param {Object} config Bot configuration
+ * @returns {Object} Jito settings
+ */
+function getJitoConfig(config) {
+  const jito = config.jito || {};
+  return {
+    ...DEFAULT_JITO_CONFIG,
+    ...jito,
+    tipLamports: { ...DEFAULT_JITO_CONFIG.tipLamports, ...(jito.tipLamports || {}) },
+    tipAccounts: jito.tipAccounts && jito.tipAccounts.length > 0 ? jito.tipAccounts : DEFAULT_TIP_ACCOUNTS
+  };
+}
+
+/**
+ * Tip for a fee level
+ * @param {Object} jitoConfig Settings from getJitoConfig
+ * @param {string} feeType Fee level name
+ * @returns {number} Tip in lamports
+ */
+function getTipLamports(jitoConfig, feeType) {
+  const tip = jitoConfig.tipLamports[feeType];
+  return tip !== undefined ? tip : jitoConfig.tipLamports.medium;
+}
+
+/**
+ * Build and sign the tip transfer that accompanies a bundle
+ * @param {Keypair} keypair Payer
+ * @param {number} tipLamports Tip amount
+ * @param {string} recentBlockhash Blockhash of the swap transaction, so both expire together
+ * @param {Object} jitoConfig Settings from getJitoConfig
+ * @returns {Transaction} Signed tip transaction
+ */
+function buildTipTransaction(keypair, tipLamports, recentBlockhash, jitoConfig) {
+  const accounts = jitoConfig.tipAccounts;
+  const tipAccount = new PublicKey(accounts[Math.floor(Math.random() * accounts.length)]);
+
+  const transaction = new Transaction().add(SystemProgram.transfer({
+    fromPubkey: keypair.publicKey,
+    toPubkey: tipAccount,
+    lamports: tipLamports
+  }));
+  transaction.recentBlockhash = recentBlockhash;
+  transaction.feePayer = keypair.publicKey;
+  transaction.sign(keypair);
+  return transaction;
+}
+
+// JSON-RPC call to the block engine
+async function blockEngineRequest(blockEngineUrl, path, method, params) {
+  const response = await fetch(`${blockEngineUrl.replace(/\/$/, '')}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`Block engine ${method} failed: HTTP ${response.status}${body && body.error ? ` ${body.error.message}` : ''}`);
+  }
+  if (body.error) {
+    throw new Error(`Block engine ${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+  }
+  return body.result;
+}
+
+/**
+ * Submit signed transactions as one bundle
+ * @param {string} blockEngineUrl Block engine base URL
+ * @param {Array<Transaction|VersionedTransaction>} transactions Signed transactions, in execution order
+ * @returns {Promise<string>} Bundle ID
+ */
+async function sendBundle(blockEngineUrl, transactions) {
+  const encoded = transactions.map(transaction => Buffer.from(transaction.serialize()).toString('base64'));
+  return blockEngineRequest(blockEngineUrl, '/api/v1/bundles', 'sendBundle', [encoded, { encoding: 'base64' }]);
+}
+
+/**
+ * Look up the status of a recently submitted bundle
+ * @param {string} blockEngineUrl Block engine base URL
+ * @param {string} bundleId Bundle ID
+ * @returns {Promise<{status: string, landedSlot: number|null}>} Status: Pending, Landed, Failed, Invalid
+ */
+async function getBundleStatus(blockEngineUrl, bundleId) {
+  const result = await blockEngineRequest(blockEngineUrl, '/api/v1/getInflightBundleStatuses', 'getInflightBundleStatuses', [[bundleId]]);
+  const entry = result && result.value && result.value[0];
+  if (!entry) {
+    return { status: 'Invalid', landedSlot: null };
+  }
+  return { status: entry.status, landedSlot: entry.landed_slot || null };
+}
+
+/**
+ * Poll a bundle until it lands, fails or times out
+ * @param {string} blockEngineUrl Block engine base URL
+ * @param {string} bundleId Bundle ID
+ * @param {Object} jitoConfig Settings from getJitoConfig
+ * @param {boolean} verbose Whether to log detailed information
+ * @returns {Promise<{status: string, landedSlot: number|null}>} Final status ('Timeout' if still pending)
+ */
+async function waitForBundle(blockEngineUrl, bundleId, jitoConfig, verbose = false) {
+  const deadline = Date.now() + jitoConfig.bundleTimeoutMs;
+  let lastStatus = { status: 'Pending', landedSlot: null };
+
+  while (Date.now() < deadline) {
+    try {
+      lastStatus = await getBundleStatus(blockEngineUrl, bundleId);
+      if (verbose) console.log(`Bundle ${bundleId}: ${lastStatus.status}`);
+      if (lastStatus.status === 'Landed' || lastStatus.status === 'Failed') {
+        return lastStatus;
+      }
+    } catch (error) {
+      if (verbose) console.log(`Error checking bundle status: ${error.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, jitoConfig.statusPollMs));
+  }
+
+  return { status: 'Timeout', landedSlot: lastStatus.landedSlot };
+}
+
+/**
+ * Signature of a signed legacy or versioned transaction
+ * @param {Transaction|VersionedTransaction} transaction Signed transaction
+ * @returns {string} Base58 signature
+ */
+function getTransactionSignature(transaction) {
+  const signature = transaction.signatures[0];
+  // Legacy transactions keep { signature, publicKey } pairs
+  return bs58.encode(signature.signature || signature);
+}
+
+module.exports = {
+  DEFAULT_JITO_CONFIG,
+  getJitoConfig,
+  getTipLamports,
+  buildTipTransaction,
+  sendBundle,
+  getBundleStatus,
+  waitForBundle,
+  getTransactionSignature
+};
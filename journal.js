@@ -0,0 +1,179 @@
+// journal.js - Local JSON-lines trade journal and PnL reporting
+const fs = require('fs');
+const crypto = require('crypto');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const DEFAULT_JOURNAL_PATH = 'trades.jsonl';
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'wallet', 'walletPublicKey', 'side', 'mint', 'solAmount', 'tokenAmount',
+  'rawTokenAmount', 'decimals', 'feeLamports', 'priorityFeeLamports', 'slippageBps', 'txid', 'status'
+];
+
+/**
+ * Append a trade to the journal. Failures are logged, never thrown - the trade itself already happened.
+ * @param {Object} trade Trade details (side, mint, solAmount, tokenAmount, rawTokenAmount, decimals, fees, txid...)
+ * @param {string} journalPath Journal file
+ * @returns {Object|null} The recorded entry, or null if it could not be written
+ */
+function recordTrade(trade, journalPath = DEFAULT_JOURNAL_PATH) {
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    timestamp: new Date().toISOString(),
+    ...trade
+  };
+  try {
+    fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+    return entry;
+  } catch (error) {
+    console.error(`Could not write trade to journal ${journalPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read trades from the journal, oldest first
+ * @param {Object} filters Optional filters (wallet name or public key, mint, since ISO date)
+ * @param {string} journalPath Journal file
+ * @returns {Array<Object>} Trades
+ */
+function readTrades(filters = {}, journalPath = DEFAULT_JOURNAL_PATH) {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(journalPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        console.error(`Skipping malformed journal line ${index + 1}`);
+        return null;
+      }
+    })
+    .filter(trade => trade !== null)
+    .filter(trade => !filters.wallet || trade.wallet === filters.wallet || trade.walletPublicKey === filters.wallet)
+    .filter(trade => !filters.mint || trade.mint === filters.mint)
+    .filter(trade => !filters.since || trade.timestamp >= filters.since);
+}
+
+/**
+ * Compute realized PnL per wallet and token using average cost
+ * @param {Array<Object>} trades Trades from readTrades
+ * @returns {Array<Object>} One entry per wallet/token pair
+ */
+function computePnl(trades) {
+  const books = {};
+
+  trades.forEach(trade => {
+    // Token-to-token swaps have no SOL leg to value
+    if (trade.side !== 'buy' && trade.side !== 'sell') {
+      return;
+    }
+    const key = `${trade.walletPublicKey}:${trade.mint}`;
+    if (!books[key]) {
+      books[key] = {
+        wallet: trade.wallet,
+        walletPublicKey: trade.walletPublicKey,
+        mint: trade.mint,
+        decimals: null,
+        boughtTokens: 0,
+        soldTokens: 0,
+        openTokens: 0,
+        openRawAmount: 0,
+        costBasisSol: 0,
+        spentSol: 0,
+        receivedSol: 0,
+        realizedSol: 0,
+        feesSol: 0,
+        wins: 0,
+        sells: 0
+      };
+    }
+
+    const book = books[key];
+    if (trade.decimals !== null && trade.decimals !== undefined) {
+      book.decimals = trade.decimals;
+    }
+    book.feesSol += (trade.feeLamports || 0) / LAMPORTS_PER_SOL;
+
+    if (trade.side === 'buy') {
+      book.boughtTokens += trade.tokenAmount;
+      book.openTokens += trade.tokenAmount;
+      book.openRawAmount += parseFloat(trade.rawTokenAmount || 0);
+      book.spentSol += trade.solAmount;
+      book.costBasisSol += trade.solAmount;
+    } else if (trade.side === 'sell') {
+      // Average cost of the tokens being sold
+      const averageCost = book.openTokens > 0 ? book.costBasisSol / book.openTokens : 0;
+      const soldTokens = Math.min(trade.tokenAmount, book.openTokens);
+      const costOfSold = averageCost * soldTokens;
+      const realized = trade.solAmount - costOfSold;
+
+      book.soldTokens += trade.tokenAmount;
+      book.openTokens -= soldTokens;
+      book.openRawAmount = Math.max(0, book.openRawAmount - parseFloat(trade.rawTokenAmount || 0));
+      book.costBasisSol -= costOfSold;
+      book.receivedSol += trade.solAmount;
+      book.realizedSol += realized;
+      book.sells++;
+      if (realized > 0) book.wins++;
+    }
+  });
+
+  return Object.values(books).map(book => ({
+    ...book,
+    averageEntrySol: book.boughtTokens > 0 ? book.spentSol / book.boughtTokens : null,
+    winRate: book.sells > 0 ? book.wins / book.sells : null
+  }));
+}
+
+/**
+ * Summarise PnL entries into totals
+ * @param {Array<Object>} entries Entries from computePnl (optionally with unrealizedSol)
+ * @returns {Object} Totals across all entries
+ */
+function summarizePnl(entries) {
+  const totals = entries.reduce((acc, entry) => {
+    acc.realizedSol += entry.realizedSol;
+    acc.unrealizedSol += entry.unrealizedSol || 0;
+    acc.feesSol += entry.feesSol;
+    acc.wins += entry.wins;
+    acc.sells += entry.sells;
+    return acc;
+  }, { realizedSol: 0, unrealizedSol: 0, feesSol: 0, wins: 0, sells: 0 });
+
+  totals.winRate = totals.sells > 0 ? totals.wins / totals.sells : null;
+  return totals;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Array<Object>} rows Rows to export
+ * @param {Array<string>} columns Columns to include (defaults to the trade columns)
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns = CSV_COLUMNS) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_PATH,
+  recordTrade,
+  readTrades,
+  computePnl,
+  summarizePnl,
+  toCsv
+};
@@ -0,0 +1,280 @@
+// keystore.js - Named wallets stored together in a keystore directory
+const fs = require('fs');
+const path = require('path');
+const { createWallet, importWallet, loadWallet } = require('./wallet');
+
+const DEFAULT_KEYSTORE_DIR = 'keystore';
+const INDEX_FILE = 'index.json';
+const WALLET_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+function indexPath(keystoreDir) {
+  return path.join(keystoreDir, INDEX_FILE);
+}
+
+// Load the keystore index, or an empty one if the keystore does not exist yet
+function loadIndex(keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const file = indexPath(keystoreDir);
+  if (!fs.existsSync(file)) {
+    return { default: null, wallets: {} };
+  }
+
+  const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    default: index.default || null,
+    wallets: index.wallets || {}
+  };
+}
+
+function saveIndex(keystoreDir, index) {
+  fs.mkdirSync(keystoreDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(indexPath(keystoreDir), JSON.stringify(index, null, 2));
+}
+
+function validateName(name) {
+  if (!WALLET_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid wallet name "${name}". Use up to 32 letters, digits, "-" or "_".`);
+  }
+}
+
+// Parse a comma-separated tag list into a clean array
+function parseTags(tags) {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  return tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+}
+
+function toEntry(keystoreDir, index, name) {
+  const entry = index.wallets[name];
+  return {
+    name,
+    ...entry,
+    path: path.join(keystoreDir, entry.file),
+    isDefault: index.default === name
+  };
+}
+
+/**
+ * List all wallets in the keystore
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Array<Object>} Wallet entries sorted by name
+ */
+function listWallets(keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const index = loadIndex(keystoreDir);
+  return Object.keys(index.wallets)
+    .sort()
+    .map(name => toEntry(keystoreDir, index, name));
+}
+
+/**
+ * Look up a single wallet by name
+ * @param {string} name Wallet name
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Object|null} Wallet entry or null if not found
+ */
+function getWallet(name, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const index = loadIndex(keystoreDir);
+  if (!index.wallets[name]) {
+    return null;
+  }
+  return toEntry(keystoreDir, index, name);
+}
+
+/**
+ * Add a wallet to the keystore - newly generated, imported from a private key
+ * or moved in from an existing wallet file
+ * @param {string} name Wallet name
+ * @param {Object} options Wallet options
+ * @param {string} options.label Human readable label
+ * @param {string|Array<string>} options.tags Tags used to select groups of wallets
+ * @param {string} options.privateKey Private key to import
+ * @param {string} options.from Existing wallet file to add
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Object} The new wallet entry
+ */
+function addWallet(name, options = {}, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  validateName(name);
+
+  const index = loadIndex(keystoreDir);
+  if (index.wallets[name]) {
+    throw new Error(`Wallet "${name}" already exists in the keystore`);
+  }
+
+  fs.mkdirSync(keystoreDir, { recursive: true, mode: 0o700 });
+  const file = `${name}.json`;
+  const walletPath = path.join(keystoreDir, file);
+
+  let keypair;
+  if (options.from) {
+    // Loading first verifies the passphrase and migrates legacy files in place
+    keypair = loadWallet(options.from, options);
+    if (keypair) {
+      fs.copyFileSync(options.from, walletPath);
+      fs.chmodSync(walletPath, 0o600);
+    }
+  } else if (options.privateKey) {
+    keypair = importWallet(options.privateKey, walletPath, options);
+  } else {
+    keypair = createWallet(walletPath, options);
+  }
+
+  if (!keypair) {
+    throw new Error(`Could not add wallet "${name}"`);
+  }
+
+  index.wallets[name] = {
+    file,
+    publicKey: keypair.publicKey.toString(),
+    label: options.label || '',
+    tags: parseTags(options.tags),
+    createdAt: new Date().toISOString()
+  };
+
+  // The first wallet becomes the default
+  if (!index.default) {
+    index.default = name;
+  }
+
+  saveIndex(keystoreDir, index);
+  return toEntry(keystoreDir, index, name);
+}
+
+/**
+ * Remove a wallet and its key file from the keystore
+ * @param {string} name Wallet name
+ * @param {string} keystoreDir Keystore directory
+ */
+function removeWallet(name, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const index = loadIndex(keystoreDir);
+  const entry = index.wallets[name];
+  if (!entry) {
+    throw new Error(`Wallet "${name}" not found in the keystore`);
+  }
+
+  const walletPath = path.join(keystoreDir, entry.file);
+  if (fs.existsSync(walletPath)) {
+    fs.unlinkSync(walletPath);
+  }
+
+  delete index.wallets[name];
+  if (index.default === name) {
+    index.default = null;
+  }
+  saveIndex(keystoreDir, index);
+}
+
+/**
+ * Rename a wallet, moving its key file along with it
+ * @param {string} oldName Current wallet name
+ * @param {string} newName New wallet name
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Object} The renamed wallet entry
+ */
+function renameWallet(oldName, newName, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  validateName(newName);
+
+  const index = loadIndex(keystoreDir);
+  const entry = index.wallets[oldName];
+  if (!entry) {
+    throw new Error(`Wallet "${oldName}" not found in the keystore`);
+  }
+  if (index.wallets[newName]) {
+    throw new Error(`Wallet "${newName}" already exists in the keystore`);
+  }
+
+  const file = `${newName}.json`;
+  fs.renameSync(path.join(keystoreDir, entry.file), path.join(keystoreDir, file));
+
+  index.wallets[newName] = { ...entry, file };
+  delete index.wallets[oldName];
+  if (index.default === oldName) {
+    index.default = newName;
+  }
+  saveIndex(keystoreDir, index);
+
+  return toEntry(keystoreDir, index, newName);
+}
+
+/**
+ * Set the wallet used when no --wallet or --wallets option is given
+ * @param {string} name Wallet name
+ * @param {string} keystoreDir Keystore directory
+ */
+function setDefaultWallet(name, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const index = loadIndex(keystoreDir);
+  if (!index.wallets[name]) {
+    throw new Error(`Wallet "${name}" not found in the keystore`);
+  }
+  index.default = name;
+  saveIndex(keystoreDir, index);
+}
+
+/**
+ * Update the label and/or tags of a wallet
+ * @param {string} name Wallet name
+ * @param {Object} updates Fields to update (label, tags)
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Object} The updated wallet entry
+ */
+function updateWallet(name, updates = {}, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  const index = loadIndex(keystoreDir);
+  if (!index.wallets[name]) {
+    throw new Error(`Wallet "${name}" not found in the keystore`);
+  }
+  if (updates.label !== undefined) {
+    index.wallets[name].label = updates.label;
+  }
+  if (updates.tags !== undefined) {
+    index.wallets[name].tags = parseTags(updates.tags);
+  }
+  saveIndex(keystoreDir, index);
+  return toEntry(keystoreDir, index, name);
+}
+
+/**
+ * Resolve the wallet(s) a trading command should run with
+ * @param {Object} options Command options
+ * @param {string} options.wallet Keystore wallet name or path to a wallet file
+ * @param {string} options.wallets Tag selecting several keystore wallets ("all" for every wallet)
+ * @param {string} keystoreDir Keystore directory
+ * @returns {Array<{name: string, path: string}>} Wallets to use
+ */
+function resolveWalletTargets(options = {}, keystoreDir = DEFAULT_KEYSTORE_DIR) {
+  if (options.wallets) {
+    const wallets = listWallets(keystoreDir).filter(wallet =>
+      options.wallets === 'all' || (wallet.tags || []).includes(options.wallets)
+    );
+    if (wallets.length === 0) {
+      throw new Error(`No keystore wallets tagged "${options.wallets}"`);
+    }
+    return wallets.map(wallet => ({ name: wallet.name, path: wallet.path }));
+  }
+
+  if (options.wallet) {
+    const entry = getWallet(options.wallet, keystoreDir);
+    if (entry) {
+      return [{ name: entry.name, path: entry.path }];
+    }
+    // Not a keystore name - treat it as a wallet file path
+    return [{ name: options.wallet, path: options.wallet }];
+  }
+
+  const index = loadIndex(keystoreDir);
+  if (index.default && index.wallets[index.default]) {
+    const entry = toEntry(keystoreDir, index, index.default);
+    return [{ name: entry.name, path: entry.path }];
+  }
+
+  return [{ name: 'wallet.json', path: 'wallet.json' }];
+}
+
+module.exports = {
+  DEFAULT_KEYSTORE_DIR,
+  listWallets,
+  getWallet,
+  addWallet,
+  removeWallet,
+  renameWallet,
+  setDefaultWallet,
+  updateWallet,
+  resolveWalletTargets
+};
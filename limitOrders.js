@@ -0,0 +1,415 @@
+// limitOrders.js - Local limit orders executed by a quote-polling watcher, or placed on Jupiter's limit order program
+const fs = require('fs');
+const crypto = require('crypto');
+const { PublicKey, LAMPORTS_PER_SOL, VersionedTransaction } = require('@solana/web3.js');
+
+const { SOL_MINT, getQuote, getMintDecimals } = require('./swapEngine');
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { getTokenHoldings } = require('./portfolio');
+const { getConnection, broadcastTransaction, confirmTransaction } = require('./connectionManager');
+
+const DEFAULT_ORDERS_PATH = 'orders.json';
+const DEFAULT_POLL_INTERVAL = 10; // seconds
+const MAX_EXECUTION_FAILURES = 3;
+const DEFAULT_TRIGGER_API_URL = 'https://lite-api.jup.ag/trigger/v1';
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a duration such as "90s", "15m", "4h" or "2d"
+ * @param {string} value Duration
+ * @param {string} name Option name, for error messages
+ * @returns {number|null} Duration in milliseconds, or null if not set
+ */
+function parseDuration(value, name = 'duration') {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new Error(`Invalid ${name}: ${value}. Use e.g. 90s, 15m, 4h or 2d.`);
+  }
+  const unit = (match[2] || 's').toLowerCase();
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[unit] * 1000);
+}
+
+function loadOrders(ordersPath = DEFAULT_ORDERS_PATH) {
+  if (!fs.existsSync(ordersPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
+}
+
+function saveOrders(orders, ordersPath = DEFAULT_ORDERS_PATH) {
+  const tmpPath = `${ordersPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(orders, null, 2));
+  fs.renameSync(tmpPath, ordersPath);
+}
+
+// Write one order's updates into the latest file contents, keeping a cancellation made meanwhile
+function saveOrder(order, ordersPath = DEFAULT_ORDERS_PATH) {
+  const latest = loadOrders(ordersPath);
+  saveOrders(latest.map(o => (o.id === order.id && o.status === 'open' ? order : o)), ordersPath);
+}
+
+/**
+ * Store a new limit order for the local watcher
+ * @param {Object} params Order parameters
+ * @param {string} params.side 'buy' or 'sell'
+ * @param {Object} params.wallet Wallet target ({ name, path })
+ * @param {string} params.walletPublicKey Wallet public key
+ * @param {string} params.mint Token mint
+ * @param {number} params.price Limit price in SOL per token (buy at or below, sell at or above)
+ * @param {number} params.amountSol SOL to spend (buy orders)
+ * @param {number} params.percentage Percentage of the holding to sell (sell orders)
+ * @param {number} params.expiresInMs Lifetime in milliseconds (optional)
+ * @param {string} ordersPath Orders file
+ * @returns {Object} The new order
+ */
+function createOrder(params, ordersPath = DEFAULT_ORDERS_PATH) {
+  if (params.side !== 'buy' && params.side !== 'sell') {
+    throw new Error(`Invalid order side: ${params.side}`);
+  }
+  // Sell price checks and slices look up the wallet's holding by public key
+  if (!params.walletPublicKey) {
+    throw new Error('A wallet public key is required');
+  }
+  if (!(params.price > 0)) {
+    throw new Error('A positive --price (SOL per token) is required');
+  }
+  if (params.side === 'buy' && !(params.amountSol > 0)) {
+    throw new Error('A positive --amount (SOL) is required for limit buys');
+  }
+  if (params.side === 'sell' && !(params.percentage > 0 && params.percentage <= 100)) {
+    throw new Error('--percentage must be between 0 and 100');
+  }
+
+  const now = Date.now();
+  const order = {
+    id: crypto.randomBytes(4).toString('hex'),
+    venue: params.venue || 'local',
+    side: params.side,
+    status: 'open',
+    wallet: params.wallet,
+    walletPublicKey: params.walletPublicKey,
+    mint: params.mint,
+    price: params.price,
+    amountSol: params.side === 'buy' ? params.amountSol : null,
+    percentage: params.side === 'sell' ? params.percentage : null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: params.expiresInMs ? new Date(now + params.expiresInMs).toISOString() : null,
+    lastPrice: null,
+    failures: 0,
+    txid: null,
+    error: null,
+    ...(params.extra || {})
+  };
+
+  const orders = loadOrders(ordersPath);
+  orders.push(order);
+  saveOrders(orders, ordersPath);
+  return order;
+}
+
+// Jupiter trigger API request
+async function triggerApiRequest(apiUrl, path, body) {
+  const response = await fetch(`${apiUrl.replace(/\/$/, '')}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000)
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data || data.error) {
+    const message = data && (data.error || data.cause) ? (data.error || data.cause) : `HTTP ${response.status}`;
+    throw new Error(`Jupiter limit order request failed: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+  }
+  return data;
+}
+
+// Sign and land a transaction returned by the trigger API
+async function sendTriggerTransaction(keypair, transactionBase64, verbose) {
+  const transaction = VersionedTransaction.deserialize(Buffer.from(transactionBase64, 'base64'));
+  transaction.sign([keypair]);
+  const rawTransaction = transaction.serialize();
+  const txid = await broadcastTransaction(rawTransaction, { preflightCommitment: 'processed', maxRetries: 5 }, { verbose });
+  const confirmation = await confirmTransaction(txid, { rawTransaction, verbose });
+  if (!confirmation.success) {
+    throw new Error(`Transaction ${txid} ${confirmation.status}: ${JSON.stringify(confirmation.error)}`);
+  }
+  return txid;
+}
+
+/**
+ * Place a limit order on Jupiter's limit order program instead of watching it locally
+ * @param {Keypair} keypair Wallet placing the order
+ * @param {Object} params Same parameters as createOrder
+ * @param {Object} options Options
+ * @param {Object} options.config Bot configuration (jupiterTriggerApiUrl)
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @param {string} ordersPath Orders file
+ * @returns {Promise<Object>} The recorded order
+ */
+async function placeJupiterOrder(keypair, params, options = {}, ordersPath = DEFAULT_ORDERS_PATH) {
+  const config = options.config || {};
+  const apiUrl = config.jupiterTriggerApiUrl || DEFAULT_TRIGGER_API_URL;
+  const connection = getConnection();
+  const decimals = await getMintDecimals(connection, params.mint);
+
+  let inputMint, outputMint, makingAmount, takingAmount;
+  if (params.side === 'buy') {
+    inputMint = SOL_MINT;
+    outputMint = params.mint;
+    makingAmount = BigInt(Math.floor(params.amountSol * LAMPORTS_PER_SOL));
+    takingAmount = BigInt(Math.floor(params.amountSol / params.price * Math.pow(10, decimals)));
+  } else {
+    const holding = (await getTokenHoldings(connection, keypair.publicKey))
+      .filter(h => h.mint === params.mint)
+      .sort((a, b) => b.amount - a.amount)[0];
+    if (!holding) {
+      throw new Error(`Wallet holds no ${params.mint}`);
+    }
+    inputMint = params.mint;
+    outputMint = SOL_MINT;
+    makingAmount = BigInt(holding.rawAmount) * BigInt(Math.round(params.percentage * 100)) / 10000n;
+    takingAmount = BigInt(Math.floor(parseFloat(makingAmount.toString()) / Math.pow(10, decimals) * params.price * LAMPORTS_PER_SOL));
+  }
+
+  const created = await triggerApiRequest(apiUrl, '/createOrder', {
+    inputMint,
+    outputMint,
+    maker: keypair.publicKey.toString(),
+    payer: keypair.publicKey.toString(),
+    params: {
+      makingAmount: makingAmount.toString(),
+      takingAmount: takingAmount.toString(),
+      ...(params.expiresInMs ? { expiredAt: String(Math.floor((Date.now() + params.expiresInMs) / 1000)) } : {})
+    },
+    computeUnitPrice: 'auto'
+  });
+  const txid = await sendTriggerTransaction(keypair, created.transaction, options.verbose);
+
+  return createOrder({
+    ...params,
+    venue: 'jupiter',
+    extra: { orderAccount: created.order, makingAmount: makingAmount.toString(), takingAmount: takingAmount.toString(), txid }
+  }, ordersPath);
+}
+
+/**
+ * Cancel an order. Local orders are marked cancelled; Jupiter orders are cancelled on chain first.
+ * @param {string} id Order ID
+ * @param {Object} options Options
+ * @param {Function} options.getKeypair Returns the keypair for the order's wallet (Jupiter orders only)
+ * @param {Object} options.config Bot configuration
+ * @param {string} ordersPath Orders file
+ * @returns {Promise<Object>} The cancelled order
+ */
+async function cancelOrder(id, options = {}, ordersPath = DEFAULT_ORDERS_PATH) {
+  const orders = loadOrders(ordersPath);
+  const order = orders.find(o => o.id === id);
+  if (!order) {
+    throw new Error(`Order ${id} not found`);
+  }
+  if (order.status !== 'open') {
+    throw new Error(`Order ${id} is already ${order.status}`);
+  }
+
+  if (order.venue === 'jupiter') {
+    const keypair = options.getKeypair(order.wallet);
+    if (!keypair) {
+      throw new Error(`Could not load wallet ${order.wallet.name} to cancel the order`);
+    }
+    const apiUrl = (options.config && options.config.jupiterTriggerApiUrl) || DEFAULT_TRIGGER_API_URL;
+    const cancel = await triggerApiRequest(apiUrl, '/cancelOrder', {
+      maker: keypair.publicKey.toString(),
+      order: order.orderAccount,
+      computeUnitPrice: 'auto'
+    });
+    order.cancelTxid = await sendTriggerTransaction(keypair, cancel.transaction, options.verbose);
+  }
+
+  order.status = 'cancelled';
+  order.closedAt = new Date().toISOString();
+  saveOrders(orders, ordersPath);
+  return order;
+}
+
+/**
+ * Current price of an order in SOL per token, quoted for the order's actual size
+ * @param {Object} order Order ({ side, mint, amountSol } for buys, { side, mint, walletPublicKey, percentage } for sells)
+ * @param {Object} options Quote options
+ * @returns {Promise<{price: number|null, error: string}>} Price, or null with an error if it cannot be quoted
+ */
+async function getOrderPrice(order, options = {}) {
+  if (order.side === 'buy') {
+    const lamports = Math.floor(order.amountSol * LAMPORTS_PER_SOL);
+    const quote = await getQuote({ inputMint: SOL_MINT, outputMint: order.mint, amount: lamports }, options);
+    const decimals = await getMintDecimals(getConnection(), order.mint);
+    const tokens = parseFloat(quote.outAmount) / Math.pow(10, decimals);
+    return { price: order.amountSol / tokens };
+  }
+
+  const holding = (await getTokenHoldings(getConnection(), new PublicKey(order.walletPublicKey)))
+    .filter(h => h.mint === order.mint)
+    .sort((a, b) => b.amount - a.amount)[0];
+  if (!holding) {
+    return { price: null, error: 'Wallet no longer holds this token' };
+  }
+  const rawAmount = BigInt(holding.rawAmount) * BigInt(Math.round(order.percentage * 100)) / 10000n;
+  const quote = await getQuote({ inputMint: order.mint, outputMint: SOL_MINT, amount: rawAmount.toString() }, options);
+  const tokens = parseFloat(rawAmount.toString()) / Math.pow(10, holding.decimals);
+  return { price: parseFloat(quote.outAmount) / LAMPORTS_PER_SOL / tokens };
+}
+
+/**
+ * Whether an order's price condition is met
+ * @param {Object} order Order
+ * @param {number} price Current price in SOL per token
+ * @returns {boolean} True when a buy is at or below, or a sell at or above, its limit
+ */
+function isTriggered(order, price) {
+  if (price === null || price === undefined || !isFinite(price)) {
+    return false;
+  }
+  return order.side === 'buy' ? price <= order.price : price >= order.price;
+}
+
+// Check one order and execute it if triggered; returns true if the order changed
+async function checkOrder(order, keypair, options = {}) {
+  if (order.expiresAt && new Date(order.expiresAt).getTime() <= Date.now()) {
+    order.status = 'expired';
+    order.closedAt = new Date().toISOString();
+    console.log(`[${order.id}] Order expired`);
+    return true;
+  }
+
+  // Orders stored without a public key (from legacy wallet files) take it from the unlocked wallet
+  order.walletPublicKey = order.walletPublicKey || keypair.publicKey.toString();
+  const { price, error } = await getOrderPrice(order, options);
+  order.lastPrice = price;
+  order.lastCheckedAt = new Date().toISOString();
+  if (error) {
+    console.log(`[${order.id}] ${error}`);
+  }
+
+  if (options.verbose && price !== null) {
+    console.log(`[${order.id}] ${order.side} ${order.mint}: ${price.toExponential(4)} SOL/token (limit ${order.price})`);
+  }
+
+  if (!isTriggered(order, price)) {
+    return true;
+  }
+
+  // It may have been cancelled (or executed by another watcher) since this pass loaded it
+  const current = loadOrders(options.ordersPath).find(o => o.id === order.id);
+  if (!current || current.status !== 'open') {
+    console.log(`[${order.id}] Limit ${order.side} triggered, but the order is ${current ? current.status : 'gone'} - not executing`);
+    return false;
+  }
+
+  console.log(`[${order.id}] Limit ${order.side} triggered at ${price.toExponential(4)} SOL/token`);
+  const tradeOptions = { feeType: options.feeType, verbose: options.verbose, walletName: order.wallet.name };
+  const result = order.side === 'buy'
+    ? await buyToken(keypair, order.mint, { ...tradeOptions, amount: order.amountSol })
+    : await sellToken(keypair, order.mint, { ...tradeOptions, percentage: order.percentage });
+
+  if (result.success) {
+    order.status = 'filled';
+    order.filledAt = new Date().toISOString();
+    order.fillPrice = price;
+    order.txid = result.txid;
+    order.error = null;
+    console.log(`[${order.id}] Order filled: ${result.txid}`);
+    return true;
+  }
+
+  order.failures++;
+  order.error = result.error;
+  // A trade that landed without confirming must not be sent again, and safety checks will block a retry too
+  if (result.status === 'landed' || result.status === 'blocked') {
+    order.status = 'failed';
+    order.closedAt = new Date().toISOString();
+    if (result.status === 'landed') {
+      order.txid = result.txid;
+      order.error = `${order.side} ${result.txid} landed but was not confirmed - check it before placing the order again`;
+    }
+    console.error(`[${order.id}] Execution failed: ${result.error}. Order closed, not retried.`);
+  } else if (order.failures >= MAX_EXECUTION_FAILURES) {
+    order.status = 'failed';
+    order.closedAt = new Date().toISOString();
+    console.error(`[${order.id}] Giving up after ${order.failures} failed attempts: ${result.error}`);
+  } else {
+    console.error(`[${order.id}] Execution failed: ${result.error}. Will retry on the next check.`);
+  }
+  return true;
+}
+
+/**
+ * Poll open local orders and execute them when their price condition is met, until stopped
+ * @param {Object} options Watcher options
+ * @param {Function} options.getKeypair Returns the keypair for an order's wallet target (or null)
+ * @param {number} options.interval Poll interval in seconds
+ * @param {boolean} options.once Run a single pass and return
+ * @param {string} options.ordersPath Orders file
+ * @param {string} options.feeType Fee level used for executions
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<void>}
+ */
+async function watchOrders(options = {}) {
+  const ordersPath = options.ordersPath || DEFAULT_ORDERS_PATH;
+  const interval = (options.interval || DEFAULT_POLL_INTERVAL) * 1000;
+  let running = true;
+
+  const stop = () => {
+    running = false;
+    console.log('\nStopping order watcher...');
+  };
+  if (!options.once) {
+    process.once('SIGINT', stop);
+  }
+
+  while (running) {
+    // Reload every pass so orders placed by other processes are picked up
+    const orders = loadOrders(ordersPath);
+    const open = orders.filter(o => o.status === 'open' && o.venue !== 'jupiter');
+
+    if (open.length === 0 && options.once) {
+      console.log('No open limit orders to watch.');
+    }
+
+    for (const order of open) {
+      if (!running) break;
+      try {
+        const keypair = options.getKeypair(order.wallet);
+        if (!keypair) {
+          continue;
+        }
+        // Saved right away, so a fill is never executed again after a crash or restart
+        if (await checkOrder(order, keypair, { ...options, ordersPath })) {
+          saveOrder(order, ordersPath);
+        }
+      } catch (error) {
+        console.error(`[${order.id}] Error checking order: ${error.message}`);
+      }
+    }
+
+    if (options.once) break;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+
+  process.removeListener('SIGINT', stop);
+}
+
+module.exports = {
+  DEFAULT_ORDERS_PATH,
+  parseDuration,
+  loadOrders,
+  createOrder,
+  placeJupiterOrder,
+  cancelOrder,
+  getOrderPrice,
+  isTriggered,
+  watchOrders
+};
@@ -0,0 +1,149 @@
+// portfolio.js - Wallet holdings with token metadata and SOL valuation
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const { SOL_MINT, getQuote } = require('./swapEngine');
+const { getParsedTokenAccounts } = require('./tokenPrograms');
+
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+/**
+ * Get the non-zero token balances of a wallet (SPL Token and Token-2022)
+ * @param {Connection} connection Connection to use
+ * @param {PublicKey} owner Wallet public key
+ * @returns {Promise<Array<Object>>} Holdings ({ mint, amount, rawAmount, decimals, tokenAccount, programId })
+ */
+async function getTokenHoldings(connection, owner) {
+  const tokenAccounts = await getParsedTokenAccounts(connection, owner);
+
+  return tokenAccounts
+    .filter(account => account.account.data.parsed.info.tokenAmount.uiAmount > 0)
+    .map(account => {
+      const info = account.account.data.parsed.info;
+      return {
+        mint: info.mint,
+        amount: info.tokenAmount.uiAmount,
+        rawAmount: info.tokenAmount.amount,
+        decimals: info.tokenAmount.decimals,
+        tokenAccount: account.pubkey.toString(),
+        programId: account.programId.toString()
+      };
+    });
+}
+
+// Read a Borsh string (u32 length prefix) and strip the null padding Metaplex uses
+function readBorshString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  const value = data.slice(offset + 4, offset + 4 + length).toString('utf8').replace(/\0/g, '').trim();
+  return { value, offset: offset + 4 + length };
+}
+
+function getMetadataAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('metadata'), METADATA_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+    METADATA_PROGRAM_ID
+  )[0];
+}
+
+/**
+ * Look up Metaplex name and symbol for several mints
+ * @param {Connection} connection Connection to use
+ * @param {Array<string>} mints Mint addresses
+ * @returns {Promise<Object>} Map of mint -> { name, symbol } (missing for mints without metadata)
+ */
+async function getTokenMetadata(connection, mints) {
+  const metadata = {};
+  if (mints.length === 0) {
+    return metadata;
+  }
+
+  // getMultipleAccountsInfo accepts at most 100 accounts per call
+  for (let start = 0; start < mints.length; start += 100) {
+    const batch = mints.slice(start, start + 100);
+    const accounts = await connection.getMultipleAccountsInfo(batch.map(getMetadataAddress));
+
+    accounts.forEach((account, index) => {
+      if (!account || !account.data) return;
+      try {
+        // key (1) + update authority (32) + mint (32), then name and symbol
+        const name = readBorshString(account.data, 65);
+        const symbol = readBorshString(account.data, name.offset);
+        metadata[batch[index]] = { name: name.value, symbol: symbol.value };
+      } catch (error) {
+        // Malformed metadata - leave the token unnamed
+      }
+    });
+  }
+
+  return metadata;
+}
+
+/**
+ * Build a valued portfolio for a wallet
+ * @param {Connection} connection Connection to use
+ * @param {PublicKey} owner Wallet public key
+ * @param {Object} options Options
+ * @param {number} options.minValue Hide holdings worth less than this many SOL
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} { owner, solBalance, holdings, totalValueSol, hiddenCount }
+ */
+async function getPortfolio(connection, owner, options = {}) {
+  const [lamports, holdings] = await Promise.all([
+    connection.getBalance(owner),
+    getTokenHoldings(connection, owner)
+  ]);
+  const solBalance = lamports / LAMPORTS_PER_SOL;
+
+  const metadata = await getTokenMetadata(connection, holdings.map(holding => holding.mint)).catch(error => {
+    if (options.verbose) console.log('Could not load token metadata:', error.message);
+    return {};
+  });
+
+  // Value each holding with a sell quote; quotes are sequential to stay within Jupiter rate limits
+  for (const holding of holdings) {
+    holding.symbol = metadata[holding.mint] ? metadata[holding.mint].symbol : null;
+    holding.name = metadata[holding.mint] ? metadata[holding.mint].name : null;
+
+    if (holding.mint === SOL_MINT) {
+      holding.valueSol = holding.amount;
+      continue;
+    }
+
+    try {
+      const quote = await getQuote({
+        inputMint: holding.mint,
+        outputMint: SOL_MINT,
+        amount: holding.rawAmount
+      });
+      holding.valueSol = parseFloat(quote.outAmount) / LAMPORTS_PER_SOL;
+    } catch (error) {
+      // No route - the token cannot currently be sold through Jupiter
+      if (options.verbose) console.log(`No quote for ${holding.mint}: ${error.message}`);
+      holding.valueSol = null;
+    }
+  }
+
+  const totalValueSol = solBalance + holdings.reduce((acc, holding) => acc + (holding.valueSol || 0), 0);
+  holdings.forEach(holding => {
+    holding.share = totalValueSol > 0 && holding.valueSol !== null ? holding.valueSol / totalValueSol : null;
+  });
+
+  const minValue = options.minValue || 0;
+  const visible = holdings
+    .filter(holding => minValue <= 0 || (holding.valueSol !== null && holding.valueSol >= minValue))
+    .sort((a, b) => (b.valueSol || 0) - (a.valueSol || 0));
+
+  return {
+    owner: owner.toString(),
+    solBalance,
+    solShare: totalValueSol > 0 ? solBalance / totalValueSol : null,
+    holdings: visible,
+    totalValueSol,
+    hiddenCount: holdings.length - visible.length
+  };
+}
+
+module.exports = {
+  getTokenHoldings,
+  getTokenMetadata,
+  getPortfolio
+};
@@ -0,0 +1,326 @@
+// positionWatcher.js - Take-profit / stop-loss monitoring for open positions
+const fs = require('fs');
+const crypto = require('crypto');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const { SOL_MINT, getQuote } = require('./swapEngine');
+const { sellToken } = require('./sellToken');
+
+const DEFAULT_POSITIONS_PATH = 'positions.json';
+const DEFAULT_POLL_INTERVAL = 10; // seconds
+const MAX_SELL_FAILURES = 5; // Consecutive failed exit sells before a position stops being retried
+
+// Parse a percentage option such as "100%" or "30"
+function parsePercentage(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const percentage = parseFloat(String(value).replace('%', ''));
+  if (isNaN(percentage) || percentage <= 0) {
+    throw new Error(`Invalid ${name} percentage: ${value}`);
+  }
+  return percentage;
+}
+
+/**
+ * Parse a take-profit ladder such as "2x:50,5x:25" (sell 50% at 2x, 25% at 5x)
+ * @param {string} value Ladder definition
+ * @returns {Array<{multiple: number, percentage: number, done: boolean}>} Ladder rungs
+ */
+function parseLadder(value) {
+  if (!value) {
+    return [];
+  }
+
+  const rungs = value.split(',').map(part => {
+    const [multipleText, percentageText] = part.trim().split(':');
+    const multiple = parseFloat((multipleText || '').replace(/x$/i, ''));
+    const percentage = parsePercentage(percentageText, 'ladder');
+    if (isNaN(multiple) || multiple <= 1 || percentage === null || percentage > 100) {
+      throw new Error(`Invalid ladder rung "${part}". Use e.g. "2x:50,5x:25".`);
+    }
+    return { multiple, percentage, done: false };
+  });
+
+  const total = rungs.reduce((acc, rung) => acc + rung.percentage, 0);
+  if (total > 100) {
+    throw new Error(`Ladder sells ${total}% of the position - it cannot exceed 100%`);
+  }
+  return rungs.sort((a, b) => a.multiple - b.multiple);
+}
+
+function loadPositions(positionsPath = DEFAULT_POSITIONS_PATH) {
+  if (!fs.existsSync(positionsPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(positionsPath, 'utf8'));
+}
+
+function savePositions(positions, positionsPath = DEFAULT_POSITIONS_PATH) {
+  const tmpPath = `${positionsPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(positions, null, 2));
+  fs.renameSync(tmpPath, positionsPath);
+}
+
+// Write one position's updates into the latest file contents, unless it was closed meanwhile
+function savePosition(position, positionsPath = DEFAULT_POSITIONS_PATH) {
+  const positions = loadPositions(positionsPath);
+  const index = positions.findIndex(p => p.id === position.id);
+  if (index !== -1 && positions[index].status === 'open') {
+    positions[index] = position;
+    savePositions(positions, positionsPath);
+  }
+}
+
+/**
+ * Record an open position after a buy
+ * @param {Object} params Position parameters
+ * @param {Object} params.wallet Wallet target ({ name, path })
+ * @param {string} params.walletPublicKey Wallet public key
+ * @param {string} params.mint Token mint
+ * @param {string} params.rawAmount Tokens bought, in raw units
+ * @param {number} params.decimals Token decimals
+ * @param {number} params.entrySol SOL spent
+ * @param {string} params.txid Buy transaction ID
+ * @param {Object} exits Exit rules
+ * @param {number} exits.takeProfit Take profit, in % gain
+ * @param {number} exits.stopLoss Stop loss, in % loss
+ * @param {number} exits.trailingStop Trailing stop, in % below the highest price seen
+ * @param {Array} exits.ladder Partial take-profit ladder from parseLadder
+ * @param {string} positionsPath Positions file
+ * @returns {Object} The new position
+ */
+function openPosition(params, exits = {}, positionsPath = DEFAULT_POSITIONS_PATH) {
+  const amount = parseFloat(params.rawAmount) / Math.pow(10, params.decimals);
+  const entryPrice = params.entrySol / amount;
+
+  const position = {
+    id: crypto.randomBytes(4).toString('hex'),
+    status: 'open',
+    wallet: params.wallet,
+    walletPublicKey: params.walletPublicKey,
+    mint: params.mint,
+    decimals: params.decimals,
+    initialRawAmount: String(params.rawAmount),
+    remainingRawAmount: String(params.rawAmount),
+    entrySol: params.entrySol,
+    entryPrice,
+    highestPrice: entryPrice,
+    takeProfit: exits.takeProfit || null,
+    stopLoss: exits.stopLoss || null,
+    trailingStop: exits.trailingStop || null,
+    ladder: exits.ladder || [],
+    openedAt: new Date().toISOString(),
+    buyTxid: params.txid || null,
+    sells: []
+  };
+
+  const positions = loadPositions(positionsPath);
+  positions.push(position);
+  savePositions(positions, positionsPath);
+  return position;
+}
+
+/**
+ * Stop monitoring a position without selling
+ * @param {string} id Position ID
+ * @param {string} positionsPath Positions file
+ */
+function closePosition(id, positionsPath = DEFAULT_POSITIONS_PATH) {
+  const positions = loadPositions(positionsPath);
+  const position = positions.find(p => p.id === id);
+  if (!position) {
+    throw new Error(`Position ${id} not found`);
+  }
+  position.status = 'closed';
+  position.closedAt = new Date().toISOString();
+  position.closeReason = 'manual';
+  savePositions(positions, positionsPath);
+}
+
+/**
+ * Decide whether a position should be (partly) sold at the current price
+ * @param {Object} position Open position (highestPrice is updated in place)
+ * @param {number} price Current price in SOL per token
+ * @returns {{reason: string, percentage: number, rawAmount: string, rung?: Object}|null} Exit to execute:
+ *   the raw amount to sell out of the position, and what share of the remaining amount that is
+ */
+function evaluateExit(position, price) {
+  const multiple = price / position.entryPrice;
+  position.highestPrice = Math.max(position.highestPrice || position.entryPrice, price);
+  const remaining = BigInt(position.remainingRawAmount);
+  const exitAll = (reason) => ({ reason, percentage: 100, rawAmount: remaining.toString() });
+
+  if (position.stopLoss && multiple <= 1 - position.stopLoss / 100) {
+    return exitAll('stop-loss');
+  }
+
+  if (position.trailingStop && price <= position.highestPrice * (1 - position.trailingStop / 100) &&
+      position.highestPrice > position.entryPrice) {
+    return exitAll('trailing-stop');
+  }
+
+  if (position.takeProfit && multiple >= 1 + position.takeProfit / 100) {
+    return exitAll('take-profit');
+  }
+
+  // Ladder rungs are defined as % of the initial position
+  const rung = (position.ladder || []).find(r => !r.done && multiple >= r.multiple);
+  if (rung) {
+    const rungRaw = BigInt(position.initialRawAmount) * BigInt(Math.round(rung.percentage * 100)) / 10000n;
+    const rawAmount = rungRaw < remaining ? rungRaw : remaining;
+    const percentage = remaining > 0n ? Number(rawAmount * 10000n / remaining) / 100 : 100;
+    return { reason: `ladder ${rung.multiple}x`, percentage, rawAmount: rawAmount.toString(), rung };
+  }
+
+  return null;
+}
+
+// Value the remaining amount of a position with a Jupiter sell quote
+async function getPositionPrice(position, options = {}) {
+  const quote = await getQuote({
+    inputMint: position.mint,
+    outputMint: SOL_MINT,
+    amount: position.remainingRawAmount
+  }, options);
+  const valueSol = parseFloat(quote.outAmount) / LAMPORTS_PER_SOL;
+  const amount = parseFloat(position.remainingRawAmount) / Math.pow(10, position.decimals);
+  return { price: valueSol / amount, valueSol };
+}
+
+// Check one position and sell if an exit is triggered; returns true if the position changed
+async function checkPosition(position, keypair, options = {}) {
+  const { price, valueSol } = await getPositionPrice(position, options);
+  const exit = evaluateExit(position, price);
+
+  if (options.verbose) {
+    console.log(`[${position.id}] ${position.mint}: ${valueSol.toFixed(4)} SOL (${(price / position.entryPrice).toFixed(2)}x)`);
+  }
+
+  if (!exit) {
+    return false;
+  }
+
+  console.log(`[${position.id}] ${exit.reason} triggered at ${(price / position.entryPrice).toFixed(2)}x - selling ${exit.percentage.toFixed(2)}%`);
+  // Sell the position's own tokens only - the wallet may hold more of this mint
+  const result = await sellToken(keypair, position.mint, {
+    rawAmount: exit.rawAmount,
+    feeType: options.feeType,
+    verbose: options.verbose,
+    walletName: position.wallet.name
+  });
+
+  position.sells.push({
+    reason: exit.reason,
+    price,
+    percentage: exit.percentage,
+    success: result.success,
+    txid: result.txid || null,
+    soldAmount: result.soldAmount || null,
+    soldAmountSol: result.soldAmountSol || null,
+    error: result.success ? null : result.error,
+    at: new Date().toISOString()
+  });
+
+  if (!result.success) {
+    const failures = position.sells.length - position.sells.map(sell => sell.success).lastIndexOf(true) - 1;
+    // A sell that landed without confirming must not be sent again
+    if (result.status === 'landed' || failures >= MAX_SELL_FAILURES) {
+      position.status = 'failed';
+      position.closedAt = new Date().toISOString();
+      position.closeReason = result.status === 'landed'
+        ? `sell ${result.txid} landed but was not confirmed - check it before selling again`
+        : `${failures} sells failed in a row: ${result.error}`;
+      console.error(`[${position.id}] Sell failed: ${result.error}. Position no longer watched (${position.closeReason}).`);
+      return true;
+    }
+    console.error(`[${position.id}] Sell failed: ${result.error}. Will retry on the next check (${failures}/${MAX_SELL_FAILURES}).`);
+    return true;
+  }
+
+  if (exit.rung) {
+    exit.rung.done = true;
+  }
+
+  // Raw units stay BigInt: floats lose precision on large amounts and can stringify as "1e+21"
+  const soldRaw = BigInt(result.fill ? result.fill.inRaw : exit.rawAmount);
+  const remaining = BigInt(position.remainingRawAmount) - soldRaw;
+  position.remainingRawAmount = exit.percentage >= 100 || remaining < 0n ? '0' : remaining.toString();
+
+  if (position.remainingRawAmount === '0') {
+    position.status = 'closed';
+    position.closedAt = new Date().toISOString();
+    position.closeReason = exit.reason;
+    console.log(`[${position.id}] Position closed (${exit.reason})`);
+  }
+  return true;
+}
+
+/**
+ * Poll open positions and execute take-profit / stop-loss exits until stopped
+ * @param {Object} options Watcher options
+ * @param {Function} options.getKeypair Returns the keypair for a position's wallet target (or null)
+ * @param {number} options.interval Poll interval in seconds
+ * @param {boolean} options.once Run a single pass and return
+ * @param {string} options.positionsPath Positions file
+ * @param {string} options.feeType Fee level used for sells
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<void>}
+ */
+async function watchPositions(options = {}) {
+  const positionsPath = options.positionsPath || DEFAULT_POSITIONS_PATH;
+  const interval = (options.interval || DEFAULT_POLL_INTERVAL) * 1000;
+  let running = true;
+
+  const stop = () => {
+    running = false;
+    console.log('\nStopping position watcher...');
+  };
+  if (!options.once) {
+    process.once('SIGINT', stop);
+  }
+
+  while (running) {
+    // Reload every pass so positions opened by other processes are picked up
+    const positions = loadPositions(positionsPath);
+    const open = positions.filter(p => p.status === 'open');
+
+    if (open.length === 0 && options.once) {
+      console.log('No open positions to watch.');
+    }
+
+    for (const position of open) {
+      if (!running) break;
+      try {
+        const keypair = options.getKeypair(position.wallet);
+        if (!keypair) {
+          continue;
+        }
+        const highestBefore = position.highestPrice;
+        const sold = await checkPosition(position, keypair, options);
+        // Saved right away, so a sell that landed is never repeated after a crash or restart
+        if (sold || position.highestPrice !== highestBefore) {
+          savePosition(position, positionsPath);
+        }
+      } catch (error) {
+        console.error(`[${position.id}] Error checking position: ${error.message}`);
+      }
+    }
+
+    if (options.once) break;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+
+  process.removeListener('SIGINT', stop);
+}
+
+module.exports = {
+  DEFAULT_POSITIONS_PATH,
+  parsePercentage,
+  parseLadder,
+  loadPositions,
+  openPosition,
+  closePosition,
+  evaluateExit,
+  watchPositions
+};
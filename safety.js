@@ -0,0 +1,214 @@
+// safety.js - Pre-trade token safety checks (authorities, holder concentration, honeypot, Token-2022 extensions)
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const { SOL_MINT, getQuote } = require('./swapEngine');
+const { getMintInfo } = require('./tokenPrograms');
+
+const POLICY_LEVELS = ['off', 'warn', 'block'];
+
+const DEFAULT_SAFETY_CONFIG = {
+  enabled: true,
+  // What to do when a check fails: off, warn or block
+  policies: {
+    mintAuthority: 'warn',
+    freezeAuthority: 'block',
+    topHolders: 'warn',
+    roundTrip: 'block',
+    transferHook: 'block',
+    permanentDelegate: 'block',
+    nonTransferable: 'block',
+    defaultFrozen: 'block',
+    transferFee: 'warn'
+  },
+  maxSingleHolderPct: 20,
+  maxTop10HolderPct: 50,
+  maxRoundTripLossPct: 10,
+  maxTransferFeeBps: 500
+};
+
+/**
+ * Merge the safety section of config.json with the defaults
+ * @param {Object} config Bot configuration
+ * @returns {Object} Safety settings
+ */
+function getSafetyConfig(config) {
+  const safety = config.safety || {};
+  const merged = {
+    ...DEFAULT_SAFETY_CONFIG,
+    ...safety,
+    policies: { ...DEFAULT_SAFETY_CONFIG.policies, ...(safety.policies || {}) }
+  };
+
+  Object.entries(merged.policies).forEach(([check, policy]) => {
+    if (!POLICY_LEVELS.includes(policy)) {
+      throw new Error(`Invalid safety policy "${policy}" for ${check} - use off, warn or block`);
+    }
+  });
+  return merged;
+}
+
+function findExtension(mintInfo, name) {
+  return (mintInfo.extensions || []).find(extension => extension.extension === name);
+}
+
+// Share of supply held by the largest token accounts
+async function checkTopHolders(connection, mintInfo, safetyConfig) {
+  const supply = parseFloat(mintInfo.supply);
+  if (!supply) {
+    return { passed: false, detail: 'Token has no supply' };
+  }
+
+  const largest = await connection.getTokenLargestAccounts(new PublicKey(mintInfo.mint));
+  const shares = largest.value.map(account => parseFloat(account.amount) / supply * 100);
+  const top = shares[0] || 0;
+  const top10 = shares.slice(0, 10).reduce((acc, share) => acc + share, 0);
+
+  // Pool vaults are usually the largest accounts, so this flags concentration rather than proving a rug
+  const passed = top <= safetyConfig.maxSingleHolderPct && top10 <= safetyConfig.maxTop10HolderPct;
+  return {
+    passed,
+    detail: `Largest holder ${top.toFixed(2)}%, top 10 hold ${top10.toFixed(2)}%`,
+    data: { topHolderPct: top, top10HolderPct: top10 }
+  };
+}
+
+// Buy then sell quote for the same size: no sell route means the token cannot be sold (honeypot)
+async function checkRoundTrip(mint, amountLamports, safetyConfig, options) {
+  const buyQuote = await getQuote({ inputMint: SOL_MINT, outputMint: mint, amount: amountLamports }, options)
+    .catch(error => ({ error }));
+  if (buyQuote.error) {
+    return { passed: false, detail: `No buy route: ${buyQuote.error.message}` };
+  }
+
+  const sellQuote = await getQuote({ inputMint: mint, outputMint: SOL_MINT, amount: buyQuote.outAmount }, options)
+    .catch(error => ({ error }));
+  if (sellQuote.error) {
+    return { passed: false, detail: `No sell route - possible honeypot (${sellQuote.error.message})` };
+  }
+
+  const lossPct = (1 - parseFloat(sellQuote.outAmount) / amountLamports) * 100;
+  return {
+    passed: lossPct <= safetyConfig.maxRoundTripLossPct,
+    detail: `${amountLamports / LAMPORTS_PER_SOL} SOL round-trips to ${parseFloat(sellQuote.outAmount) / LAMPORTS_PER_SOL} SOL (${lossPct.toFixed(2)}% loss)`,
+    data: { roundTripLossPct: lossPct }
+  };
+}
+
+/**
+ * Run the pre-trade safety checks for a token
+ * @param {Connection} connection Connection to use
+ * @param {string} mint Token mint
+ * @param {Object} options Options
+ * @param {Object} options.config Bot configuration (safety section)
+ * @param {number} options.amountLamports Trade size used for the round-trip quote
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} { mint, checks: [{ id, label, passed, policy, detail }], warnings, blockers, blocked }
+ */
+async function runSafetyChecks(connection, mint, options = {}) {
+  const safetyConfig = getSafetyConfig(options.config || {});
+  const policies = safetyConfig.policies;
+  const mintInfo = await getMintInfo(connection, mint);
+  const checks = [];
+
+  const addCheck = (id, label, outcome) => {
+    checks.push({ id, label, policy: policies[id], passed: outcome.passed, detail: outcome.detail, data: outcome.data || null });
+  };
+
+  if (policies.mintAuthority !== 'off') {
+    addCheck('mintAuthority', 'Mint authority revoked', {
+      passed: !mintInfo.mintAuthority,
+      detail: mintInfo.mintAuthority ? `Supply can still be minted by ${mintInfo.mintAuthority}` : 'Supply is fixed'
+    });
+  }
+
+  if (policies.freezeAuthority !== 'off') {
+    addCheck('freezeAuthority', 'Freeze authority revoked', {
+      passed: !mintInfo.freezeAuthority,
+      detail: mintInfo.freezeAuthority ? `Token accounts can be frozen by ${mintInfo.freezeAuthority}` : 'Accounts cannot be frozen'
+    });
+  }
+
+  if (policies.topHolders !== 'off') {
+    addCheck('topHolders', 'Holder concentration', await checkTopHolders(connection, mintInfo, safetyConfig)
+      .catch(error => ({ passed: false, detail: `Could not load largest holders: ${error.message}` })));
+  }
+
+  if (policies.roundTrip !== 'off' && options.amountLamports) {
+    addCheck('roundTrip', 'Sell route (honeypot check)', await checkRoundTrip(mint, options.amountLamports, safetyConfig, options));
+  }
+
+  // Token-2022 extensions that let someone else move, block or tax your tokens
+  if (mintInfo.isToken2022) {
+    const transferHook = findExtension(mintInfo, 'transferHook');
+    if (policies.transferHook !== 'off') {
+      const hookProgram = transferHook && transferHook.state.programId;
+      addCheck('transferHook', 'No transfer hook', {
+        passed: !hookProgram,
+        detail: hookProgram ? `Every transfer calls program ${hookProgram}` : 'No transfer hook'
+      });
+    }
+
+    const permanentDelegate = findExtension(mintInfo, 'permanentDelegate');
+    if (policies.permanentDelegate !== 'off') {
+      const delegate = permanentDelegate && permanentDelegate.state.delegate;
+      addCheck('permanentDelegate', 'No permanent delegate', {
+        passed: !delegate,
+        detail: delegate ? `${delegate} can transfer or burn tokens from any holder` : 'No permanent delegate'
+      });
+    }
+
+    if (policies.nonTransferable !== 'off') {
+      const nonTransferable = Boolean(findExtension(mintInfo, 'nonTransferable'));
+      addCheck('nonTransferable', 'Transferable', {
+        passed: !nonTransferable,
+        detail: nonTransferable ? 'Token is non-transferable and cannot be sold' : 'Token is transferable'
+      });
+    }
+
+    const defaultState = findExtension(mintInfo, 'defaultAccountState');
+    if (policies.defaultFrozen !== 'off') {
+      const frozen = Boolean(defaultState && defaultState.state.accountState === 'frozen');
+      addCheck('defaultFrozen', 'New accounts not frozen', {
+        passed: !frozen,
+        detail: frozen ? 'New token accounts start frozen' : 'New token accounts start unfrozen'
+      });
+    }
+
+    if (policies.transferFee !== 'off' && mintInfo.transferFee) {
+      const basisPoints = mintInfo.transferFee.basisPoints;
+      addCheck('transferFee', 'Transfer fee', {
+        passed: basisPoints <= safetyConfig.maxTransferFeeBps,
+        detail: `${basisPoints / 100}% of every transfer is withheld`
+      });
+    }
+  }
+
+  const failed = checks.filter(check => !check.passed);
+  const blockers = failed.filter(check => check.policy === 'block');
+  const warnings = failed.filter(check => check.policy === 'warn');
+  if (options.verbose) console.log('Safety checks:', JSON.stringify(checks, null, 2));
+
+  return { mint, checks, warnings, blockers, blocked: blockers.length > 0 };
+}
+
+/**
+ * Print a safety report
+ * @param {Object} report Result of runSafetyChecks
+ */
+function printSafetyReport(report) {
+  console.log(`\nSafety report for ${report.mint}:`);
+  report.checks.forEach(check => {
+    let marker = 'PASS';
+    if (!check.passed) {
+      marker = check.policy === 'block' ? 'BLOCK' : 'WARN';
+    }
+    console.log(`  [${marker}] ${check.label}: ${check.detail}`);
+  });
+}
+
+module.exports = {
+  DEFAULT_SAFETY_CONFIG,
+  getSafetyConfig,
+  runSafetyChecks,
+  printSafetyReport
+};
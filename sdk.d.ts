@@ -0,0 +1,269 @@
+// sdk.d.ts - Type declarations for the library entry point (sdk.js)
+import { EventEmitter } from 'events';
+import { Keypair, PublicKey } from '@solana/web3.js';
+
+export type FeeType = 'low' | 'medium' | 'high' | 'urgent' | 'custom';
+export type Commitment = 'processed' | 'confirmed' | 'finalized';
+
+export interface RpcEndpointConfig {
+  url: string;
+  weight?: number;
+  wsUrl?: string;
+}
+
+/** Settings in the config.json format. Anything left out comes from DEFAULT_CONFIG. */
+export interface BotConfig {
+  rpcUrl?: string;
+  rpcUrls?: Array<string | RpcEndpointConfig>;
+  rpcTimeoutMs?: number;
+  broadcastEndpoints?: number;
+  defaultBuyAmount?: number;
+  defaultFee?: FeeType;
+  slippage?: number;
+  maxSlippage?: number;
+  slippageStep?: number;
+  maxPriceImpact?: number;
+  maxSolSpend?: number;
+  /** Minimum guaranteed output after slippage: tokens for buys, SOL for sells (overridden per trade by minOut) */
+  minOut?: { buyTokens?: number; sellSol?: number };
+  retry?: {
+    maxAttempts?: number;
+    stepSlippage?: boolean;
+    stepFee?: boolean;
+    feeBoostStep?: number;
+    maxFeeBoost?: number;
+  };
+  antiMEV?: boolean;
+  confirmCommitment?: Commitment;
+  rebroadcastIntervalMs?: number;
+  jito?: { enabled?: boolean; blockEngineUrl?: string; tipLamports?: Partial<Record<FeeType, number>>; [key: string]: unknown };
+  safety?: { enabled?: boolean; [key: string]: unknown };
+  sniper?: Record<string, unknown>;
+  copyTrade?: Record<string, unknown>;
+  api?: { host?: string; port?: number; apiKeys?: string[] };
+  chatBot?: Record<string, unknown>;
+  dynamicFee?: boolean;
+  priorityFeeMultiplier?: number;
+  feeLevels?: Partial<Record<FeeType, number>>;
+  /** Named partial configs, selected with TradingBotOptions.profile */
+  profiles?: Record<string, Partial<BotConfig>>;
+  [key: string]: unknown;
+}
+
+export const DEFAULT_CONFIG: BotConfig;
+
+export interface TradingBotOptions {
+  /** Settings in the config.json format, merged over DEFAULT_CONFIG. Invalid settings throw. */
+  config: BotConfig;
+  /** Profile to apply: 'devnet', 'aggressive' or a name from config.profiles */
+  profile?: string;
+  /** Environment variables to take SOLBOT_* overrides from, e.g. process.env (default: none) */
+  env?: Record<string, string | undefined>;
+  /** Trading wallet: a Keypair, secret key bytes or a base58 secret key. Optional for quote/portfolio/status. */
+  wallet?: Keypair | Uint8Array | number[] | string;
+  /** Wallet name recorded in the trade journal (defaults to the public key) */
+  walletName?: string;
+}
+
+interface TradeOptions {
+  feeType?: FeeType;
+  /** Simulate the signed transaction instead of sending it */
+  dryRun?: boolean;
+  commitment?: Commitment;
+  /** Submit as a Jito bundle (overrides config.jito.enabled) */
+  jito?: boolean;
+  /** Abort if the quote's price impact exceeds this percentage */
+  maxPriceImpact?: number;
+  /** Abort if the swap cannot guarantee at least this much output (tokens for buys, SOL for sells) */
+  minOut?: number;
+  /** Widen slippage up to this percentage on slippage failures */
+  maxSlippage?: number;
+  maxAttempts?: number;
+  /** Record the trade in trades.jsonl (default true) */
+  journal?: boolean;
+}
+
+export interface BuyOptions extends TradeOptions {
+  /** SOL to spend (defaults to config.defaultBuyAmount) */
+  amount?: number;
+  /** Abort if the quote spends more than this much SOL */
+  maxSolSpend?: number;
+  /** Buy even if safety checks with a "block" policy fail */
+  ignoreSafety?: boolean;
+}
+
+export interface SellOptions extends TradeOptions {
+  /** Percentage of the holding to sell (default 100) */
+  percentage?: number;
+  /** Sell exactly this many raw token units (capped at the holding) instead of a percentage */
+  rawAmount?: string | number | bigint;
+  /** Keep the token account open after selling everything */
+  keepAccount?: boolean;
+}
+
+/** Actual fill worked out from the confirmed transaction's balance changes */
+export interface Fill {
+  inRaw: string;
+  outRaw: string;
+  inAmount: number;
+  outAmount: number;
+  inputDecimals: number;
+  outputDecimals: number;
+  networkFeeLamports: number;
+  priorityFeeLamports: number;
+  rentLamports: number;
+  /** SOL per token */
+  effectivePrice: number;
+  /** SOL per token */
+  quotedPrice: number;
+  /** Output received versus the quote, in basis points (positive = worse than quoted) */
+  realizedSlippageBps: number;
+}
+
+export interface SwapAttempt {
+  attempt: number;
+  at: string;
+  slippageBps: number;
+  feeBoost: number;
+  success: boolean;
+  status: string;
+  stage: string | null;
+  failure: 'slippage' | 'blockhash' | null;
+  error: unknown;
+  txid: string | null;
+}
+
+interface TradeResultBase {
+  success: boolean;
+  error?: string;
+  txid?: string;
+  /** Commitment reached, or 'simulated', 'blocked', 'failed', 'expired', 'landed' (sent and on chain, but below the target commitment), 'not_sent' */
+  status?: string;
+  dryRun?: boolean;
+  fill?: Fill | null;
+  attempts?: SwapAttempt[];
+  fee?: Record<string, number | null>;
+  [key: string]: unknown;
+}
+
+export interface BuyResult extends TradeResultBase {
+  /** Tokens received */
+  amount?: number;
+  rawAmount?: string;
+  decimals?: number | null;
+  /** SOL spent */
+  amountSol?: number;
+  token?: string;
+}
+
+export interface SellResult extends TradeResultBase {
+  soldAmount?: number;
+  soldAmountSol?: number;
+  token?: string;
+}
+
+export type TradeSide = 'buy' | 'sell';
+
+export interface QuoteParams {
+  inputMint: string;
+  outputMint: string;
+  /** Input amount in raw (smallest unit) terms */
+  amount: string | number | bigint;
+  /** Defaults to config.slippage */
+  slippageBps?: number;
+}
+
+/** Jupiter quote response */
+export interface Quote {
+  inputMint: string;
+  outputMint: string;
+  inAmount: string;
+  outAmount: string;
+  otherAmountThreshold: string;
+  slippageBps: number;
+  priceImpactPct: string;
+  routePlan: unknown[];
+  [key: string]: unknown;
+}
+
+export interface PortfolioHolding {
+  mint: string;
+  amount: number;
+  rawAmount: string;
+  decimals: number;
+  tokenAccount: string;
+  symbol: string | null;
+  name: string | null;
+  valueSol: number | null;
+  share: number | null;
+  [key: string]: unknown;
+}
+
+export interface Portfolio {
+  owner: string;
+  solBalance: number;
+  solShare: number | null;
+  holdings: PortfolioHolding[];
+  totalValueSol: number;
+  hiddenCount: number;
+}
+
+export interface EndpointStatus {
+  /** URL with any API key masked */
+  url: string;
+  weight: number;
+  status: 'healthy' | 'degraded' | 'cooling down' | 'unknown';
+  latencyMs: number | null;
+  errorRate: number;
+  requests: number;
+  errors: number;
+  lastError: string | null;
+  score: number;
+  version: string | null;
+  slot: number | null;
+  error: string | null;
+}
+
+export interface Status {
+  /** At least one endpoint responded */
+  ok: boolean;
+  endpoints: EndpointStatus[];
+}
+
+export interface TradingBotEvents {
+  quote: { side: TradeSide | null; mint: string | null; quote: Quote };
+  signed: { side: TradeSide; mint: string };
+  sent: { side: TradeSide; mint: string; txid: string };
+  retry: { side: TradeSide; mint: string; reason: 'slippage' | 'blockhash'; attempt: number; maxAttempts: number; slippageBps: number; feeBoost: number };
+  confirmed: { side: TradeSide; mint: string; txid: string | undefined; result: BuyResult | SellResult };
+  failed: { side: TradeSide; mint: string; error: string | undefined; result: BuyResult | SellResult };
+}
+
+/**
+ * Trading bot for library use. Progress is reported through events instead of spinners and console output.
+ * RPC connections and settings are shared by the whole process: bots open at the same time must use the same
+ * config, and the constructor throws for a different config until every other bot is closed.
+ */
+export class TradingBot extends EventEmitter {
+  constructor(options: TradingBotOptions);
+
+  readonly config: BotConfig;
+  readonly keypair: Keypair | null;
+  readonly walletName: string | null;
+  readonly publicKey: PublicKey | null;
+
+  buy(mint: string, options?: BuyOptions): Promise<BuyResult>;
+  sell(mint: string, options?: SellOptions): Promise<SellResult>;
+  trade(side: 'buy', mint: string, options: BuyOptions): Promise<BuyResult>;
+  trade(side: 'sell', mint: string, options: SellOptions): Promise<SellResult>;
+  quote(params: QuoteParams): Promise<Quote>;
+  portfolio(options?: { owner?: string | PublicKey; minValue?: number }): Promise<Portfolio>;
+  status(): Promise<Status>;
+  /** Release the process-wide config so a bot with a different config can be created; the bot cannot be used afterwards */
+  close(): void;
+
+  on<E extends keyof TradingBotEvents>(event: E, listener: (payload: TradingBotEvents[E]) => void): this;
+  once<E extends keyof TradingBotEvents>(event: E, listener: (payload: TradingBotEvents[E]) => void): this;
+  off<E extends keyof TradingBotEvents>(event: E, listener: (payload: TradingBotEvents[E]) => void): this;
+  emit<E extends keyof TradingBotEvents>(event: E, payload: TradingBotEvents[E]): boolean;
+}
@@ -0,0 +1,271 @@
+// sdk.js - Library entry point: a TradingBot built from a config object that reports progress through events
+const { EventEmitter } = require('events');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { getQuote } = require('./swapEngine');
+const { getPortfolio } = require('./portfolio');
+const { getConnection, getEndpointHealth, probeEndpoints, maskRpcUrl, setConfig } = require('./connectionManager');
+const { resolveConfig } = require('./config');
+const { DEFAULT_JITO_CONFIG } = require('./jito');
+const { DEFAULT_SAFETY_CONFIG } = require('./safety');
+const { DEFAULT_SNIPER_CONFIG } = require('./sniper');
+const { DEFAULT_COPY_CONFIG } = require('./copyTrader');
+const { DEFAULT_API_CONFIG } = require('./server');
+const { DEFAULT_CHAT_BOT_CONFIG } = require('./chatBot');
+
+// Settings written by `init`, and the base every TradingBot config is merged over
+const DEFAULT_CONFIG = {
+  rpcUrl: "https://api.mainnet-beta.solana.com",
+  defaultBuyAmount: 0.1,
+  defaultFee: "medium",
+  slippage: 1,
+  maxSlippage: 5,
+  slippageStep: 0.5,
+  maxPriceImpact: 10,
+  retry: {
+    maxAttempts: 3,
+    stepSlippage: true,
+    stepFee: true,
+    feeBoostStep: 0.5,
+    maxFeeBoost: 3
+  },
+  antiMEV: true,
+  confirmCommitment: "confirmed",
+  rebroadcastIntervalMs: 2000,
+  jito: {
+    enabled: false,
+    blockEngineUrl: DEFAULT_JITO_CONFIG.blockEngineUrl,
+    tipLamports: DEFAULT_JITO_CONFIG.tipLamports
+  },
+  safety: DEFAULT_SAFETY_CONFIG,
+  sniper: DEFAULT_SNIPER_CONFIG,
+  copyTrade: DEFAULT_COPY_CONFIG,
+  api: DEFAULT_API_CONFIG,
+  chatBot: DEFAULT_CHAT_BOT_CONFIG,
+  dynamicFee: true,
+  priorityFeeMultiplier: 2,
+  feeLevels: {
+    low: 200000,
+    medium: 400000,
+    high: 800000,
+    urgent: 1200000,
+    custom: 0
+  }
+};
+
+// The RPC connection pool and loadConfig() are process-wide, so every open bot in a process shares one config
+let activeConfigKey = null;
+let openBots = 0;
+
+function claimConfig(config) {
+  const key = JSON.stringify(config);
+  if (activeConfigKey !== null && activeConfigKey !== key) {
+    throw new Error('Another TradingBot in this process uses a different config - connections and settings are ' +
+      'process-wide, so close() it first or run each config in its own process');
+  }
+  if (activeConfigKey === null) {
+    setConfig(config);
+    activeConfigKey = key;
+  }
+  openBots++;
+}
+
+function releaseConfig() {
+  openBots--;
+  if (openBots === 0) {
+    setConfig(null);
+    activeConfigKey = null;
+  }
+}
+
+// Keypair from a Keypair, a secret key byte array or a base58 secret key
+function toKeypair(wallet) {
+  if (!wallet || wallet instanceof Keypair) {
+    return wallet || null;
+  }
+  const secretKey = typeof wallet === 'string' ? bs58.decode(wallet) : Uint8Array.from(wallet);
+  return Keypair.fromSecretKey(secretKey);
+}
+
+/**
+ * Trading bot for library use. Configured with an object instead of config.json, and reports
+ * progress with events instead of spinners and console output. RPC connections and settings are
+ * process-wide: bots open at the same time must share one config, and creating a bot with a different
+ * config throws until the others are closed.
+ *   quote     { side, mint, quote }            A route was quoted (also emitted by quote())
+ *   signed    { side, mint }                   The transaction was signed
+ *   sent      { side, mint, txid }             The transaction was sent
+ *   retry     { side, mint, reason, attempt, maxAttempts, slippageBps, feeBoost }
+ *   confirmed { side, mint, txid, result }     The trade landed (or, for a dry run, simulated successfully)
+ *   failed    { side, mint, error, result }     The trade failed or was blocked
+ */
+class TradingBot extends EventEmitter {
+  /**
+   * @param {Object} options Bot options
+   * @param {Object} options.config Settings in the config.json format, merged over DEFAULT_CONFIG and validated
+   * @param {string} options.profile Profile to apply (devnet, aggressive or one from options.config.profiles)
+   * @param {Object} options.env Environment variables to take SOLBOT_* overrides from (default: none)
+   * @param {Keypair|Uint8Array|Array<number>|string} options.wallet Trading wallet (Keypair, secret key bytes or base58 secret key)
+   * @param {string} options.walletName Wallet name recorded in the trade journal
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.config || typeof options.config !== 'object') {
+      throw new Error('TradingBot needs a config object');
+    }
+    this.config = resolveConfig({ ...DEFAULT_CONFIG, ...options.config }, {
+      profile: options.profile,
+      env: options.env,
+      source: 'TradingBot config'
+    });
+    this.keypair = toKeypair(options.wallet);
+    this.walletName = options.walletName || (this.keypair ? this.keypair.publicKey.toString() : null);
+    claimConfig(this.config);
+    this.closed = false;
+  }
+
+  /**
+   * Release the process-wide config so a bot with a different config can be created. The bot cannot be used afterwards.
+   */
+  close() {
+    if (!this.closed) {
+      this.closed = true;
+      releaseConfig();
+    }
+  }
+
+  // Methods run against the process-wide config claimed in the constructor, which a closed bot no longer holds
+  assertOpen() {
+    if (this.closed) {
+      throw new Error('This TradingBot is closed');
+    }
+  }
+
+  /**
+   * Wallet public key, or null for a bot without a wallet
+   * @returns {PublicKey|null}
+   */
+  get publicKey() {
+    return this.keypair ? this.keypair.publicKey : null;
+  }
+
+  /**
+   * Buy a token with SOL
+   * @param {string} mint Token mint
+   * @param {Object} options buyToken options: amount (SOL), feeType, dryRun, commitment, jito, maxPriceImpact, minOut,
+   *   maxSolSpend, maxSlippage, maxAttempts, ignoreSafety, journal
+   * @returns {Promise<Object>} Buy result
+   */
+  buy(mint, options = {}) {
+    return this.trade('buy', mint, options);
+  }
+
+  /**
+   * Sell a percentage of a token holding for SOL
+   * @param {string} mint Token mint
+   * @param {Object} options sellToken options: percentage (default 100), feeType, dryRun, commitment, jito,
+   *   maxPriceImpact, minOut, maxSlippage, maxAttempts, keepAccount, journal
+   * @returns {Promise<Object>} Sell result
+   */
+  sell(mint, options = {}) {
+    return this.trade('sell', mint, options);
+  }
+
+  // Run a buy or sell silently, turning swap hooks and the result into events
+  async trade(side, mint, options) {
+    this.assertOpen();
+    if (!this.keypair) {
+      throw new Error(`A wallet is required to ${side}`);
+    }
+
+    const hooks = {
+      onQuote: (quote) => this.emit('quote', { side, mint, quote }),
+      onSigned: () => this.emit('signed', { side, mint }),
+      onSent: (txid) => this.emit('sent', { side, mint, txid }),
+      onRetry: (retry) => {
+        const { previous, ...details } = retry;
+        this.emit('retry', { side, mint, ...details });
+      }
+    };
+    const trade = side === 'buy' ? buyToken : sellToken;
+    const result = await trade(this.keypair, mint, {
+      ...options,
+      config: this.config,
+      walletName: this.walletName,
+      silent: true,
+      hooks
+    });
+
+    if (result.success) {
+      this.emit('confirmed', { side, mint, txid: result.txid, result });
+    } else {
+      this.emit('failed', { side, mint, error: result.error, result });
+    }
+    return result;
+  }
+
+  /**
+   * Quote a swap without trading
+   * @param {Object} params Quote parameters
+   * @param {string} params.inputMint Input mint
+   * @param {string} params.outputMint Output mint
+   * @param {string|number|bigint} params.amount Input amount in raw (smallest unit) terms
+   * @param {number} params.slippageBps Slippage in basis points (defaults to config.slippage)
+   * @returns {Promise<Object>} Jupiter quote
+   */
+  async quote(params) {
+    this.assertOpen();
+    const quote = await getQuote({
+      ...params,
+      slippageBps: params.slippageBps !== undefined ? params.slippageBps : this.config.slippage * 100
+    });
+    this.emit('quote', { side: null, mint: null, quote });
+    return quote;
+  }
+
+  /**
+   * SOL and token holdings valued in SOL
+   * @param {Object} options Options
+   * @param {string|PublicKey} options.owner Wallet to look at (defaults to the bot's wallet)
+   * @param {number} options.minValue Leave out holdings worth less than this many SOL
+   * @returns {Promise<Object>} Portfolio (see getPortfolio)
+   */
+  async portfolio(options = {}) {
+    this.assertOpen();
+    const owner = options.owner ? new PublicKey(options.owner) : this.publicKey;
+    if (!owner) {
+      throw new Error('No wallet - pass options.owner');
+    }
+    return getPortfolio(getConnection(), owner, { minValue: options.minValue });
+  }
+
+  /**
+   * Probe every RPC endpoint and report their health
+   * @returns {Promise<Object>} { ok, endpoints } with endpoint URLs masked
+   */
+  async status() {
+    this.assertOpen();
+    const probes = await probeEndpoints();
+    return {
+      ok: probes.some(probe => !probe.error),
+      endpoints: getEndpointHealth().map(endpoint => {
+        const probe = probes.find(p => p.url === endpoint.url) || {};
+        return {
+          ...endpoint,
+          url: maskRpcUrl(endpoint.url),
+          version: probe.version || null,
+          slot: probe.slot || null,
+          error: probe.error || null
+        };
+      })
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  TradingBot
+};
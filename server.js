@@ -0,0 +1,509 @@
+// server.js - Local HTTP/JSON API exposing trading operations, with API-key auth, idempotent orders and SSE progress
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const { buyToken } = require('./buyToken');
+const { sellToken } = require('./sellToken');
+const { readTrades } = require('./journal');
+const { getPortfolio } = require('./portfolio');
+const { getConnection, getEndpointHealth, probeEndpoints, maskRpcUrl } = require('./connectionManager');
+
+const DEFAULT_API_CONFIG = {
+  host: '127.0.0.1',
+  port: 8787,
+  apiKeys: []
+};
+const API_KEY_ENV = 'SOLBOT_API_KEY';
+const DEFAULT_API_ORDERS_PATH = 'api-orders.json';
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000; // Finished orders (and their keys) are kept this long
+const MAX_BODY_BYTES = 64 * 1024;
+const SSE_HEARTBEAT_MS = 15000;
+
+const FEE_TYPES = ['low', 'medium', 'high', 'urgent', 'custom'];
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+// Accepted request fields per side: field -> type ('number' values must be positive)
+const TRADE_FIELDS = {
+  common: {
+    wallet: 'string',
+    mint: 'string',
+    feeType: 'string',
+    commitment: 'string',
+    dryRun: 'boolean',
+    jito: 'boolean',
+    maxPriceImpact: 'number',
+    maxSlippage: 'number',
+    maxAttempts: 'number',
+    minOut: 'number'
+  },
+  buy: { amount: 'number', maxSolSpend: 'number', ignoreSafety: 'boolean' },
+  sell: { percentage: 'number', keepAccount: 'boolean' }
+};
+
+/**
+ * API settings from config.json's "api" section; keys from SOLBOT_API_KEY are added to the configured ones
+ * @param {Object} config Parsed config.json
+ * @returns {Object} API config
+ */
+function getApiConfig(config) {
+  const api = { ...DEFAULT_API_CONFIG, ...(config.api || {}) };
+  api.apiKeys = [...(api.apiKeys || [])];
+  if (process.env[API_KEY_ENV]) {
+    api.apiKeys.push(process.env[API_KEY_ENV]);
+  }
+  return api;
+}
+
+// Error with the HTTP status to answer with
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// JSON.stringify replacer: BigInts become strings
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body, jsonReplacer));
+}
+
+// Compare secrets without leaking their contents through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function isAuthorized(req, url, apiKeys) {
+  const header = req.headers.authorization || '';
+  let key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  // Browsers' EventSource cannot set headers, so event streams also take the key as a query parameter
+  if (!key && url.pathname.endsWith('/events')) {
+    key = url.searchParams.get('apiKey');
+  }
+  return Boolean(key) && apiKeys.some(apiKey => safeEqual(apiKey, key));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validate a buy or sell request body
+ * @param {string} side 'buy' or 'sell'
+ * @param {Object} body Parsed JSON body
+ * @param {Map<string, Object>} keypairs Unlocked wallets by name
+ * @returns {Object} { wallet, mint, params } where params are buyToken/sellToken options
+ */
+function validateTradeRequest(side, body, keypairs) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+
+  const fields = { ...TRADE_FIELDS.common, ...TRADE_FIELDS[side] };
+  const params = {};
+  Object.keys(body).forEach(field => {
+    const type = fields[field];
+    if (!type) {
+      throw httpError(400, `Unknown field "${field}" for ${side} (accepted: ${Object.keys(fields).join(', ')})`);
+    }
+    const value = body[field];
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (typeof value !== type || (type === 'number' && !(Number.isFinite(value) && value > 0))) {
+      throw httpError(400, `"${field}" must be ${type === 'number' ? 'a positive number' : `a ${type}`}`);
+    }
+    params[field] = value;
+  });
+
+  if (!params.mint) {
+    throw httpError(400, '"mint" is required');
+  }
+  try {
+    new PublicKey(params.mint);
+  } catch (error) {
+    throw httpError(400, `"mint" is not a valid address: ${params.mint}`);
+  }
+  if (params.feeType && !FEE_TYPES.includes(params.feeType)) {
+    throw httpError(400, `"feeType" must be one of ${FEE_TYPES.join(', ')}`);
+  }
+  if (params.commitment && !COMMITMENTS.includes(params.commitment)) {
+    throw httpError(400, `"commitment" must be one of ${COMMITMENTS.join(', ')}`);
+  }
+  if (params.percentage !== undefined && params.percentage > 100) {
+    throw httpError(400, '"percentage" must be between 0 and 100');
+  }
+  if (params.maxAttempts !== undefined && !Number.isInteger(params.maxAttempts)) {
+    throw httpError(400, '"maxAttempts" must be a whole number');
+  }
+
+  const wallet = params.wallet || keypairs.keys().next().value;
+  if (!keypairs.has(wallet)) {
+    throw httpError(400, `Wallet "${wallet}" is not loaded by this server (loaded: ${[...keypairs.keys()].join(', ')})`);
+  }
+
+  const mint = params.mint;
+  delete params.wallet;
+  delete params.mint;
+  return { wallet, mint, params };
+}
+
+// Same key and same request produce the same fingerprint, whatever the field order
+function fingerprintRequest(side, request) {
+  const params = Object.keys(request.params).sort().map(key => [key, request.params[key]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([side, request.wallet, request.mint, params]))
+    .digest('hex');
+}
+
+function loadApiOrders(ordersPath = DEFAULT_API_ORDERS_PATH) {
+  if (!fs.existsSync(ordersPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
+}
+
+function saveApiOrders(orders, ordersPath = DEFAULT_API_ORDERS_PATH) {
+  const tmpPath = `${ordersPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(orders, jsonReplacer, 2));
+  fs.renameSync(tmpPath, ordersPath);
+}
+
+// Public view of an order (progress events are only kept in memory)
+function toOrderView(order) {
+  const { events, ...view } = order;
+  return view;
+}
+
+/**
+ * Create the API server. Trades run one at a time, in the order they were accepted.
+ * @param {Object} options Server options
+ * @param {Map<string, Object>} options.keypairs Unlocked wallets by name; the first one is the default
+ * @param {Object} options.config Parsed config.json
+ * @param {string} options.host Address to listen on (overrides config.api.host)
+ * @param {number} options.port Port to listen on (overrides config.api.port)
+ * @param {string} options.ordersPath File recording API orders and their idempotency keys
+ * @param {boolean} options.verbose Log every request
+ * @returns {{ server: http.Server, listen: Function, close: Function }} listen() resolves with the bound address
+ */
+function createApiServer(options) {
+  const apiConfig = getApiConfig(options.config || {});
+  if (apiConfig.apiKeys.length === 0) {
+    throw new Error(`No API key configured - set api.apiKeys in config.json or ${API_KEY_ENV}`);
+  }
+  if (!options.keypairs || options.keypairs.size === 0) {
+    throw new Error('The API server needs at least one unlocked wallet');
+  }
+  const ordersPath = options.ordersPath || DEFAULT_API_ORDERS_PATH;
+  const keypairs = options.keypairs;
+
+  // Orders from a previous run: forget expired ones, and never re-run one that had not finished
+  const now = Date.now();
+  const orders = new Map();
+  loadApiOrders(ordersPath)
+    .filter(order => now - Date.parse(order.createdAt) < IDEMPOTENCY_WINDOW_MS)
+    .forEach(order => {
+      if (order.status === 'queued' || order.status === 'running') {
+        order.status = 'interrupted';
+        order.error = 'The server stopped before this order finished - check the wallet and trade history before retrying';
+        order.updatedAt = new Date(now).toISOString();
+      }
+      orders.set(order.id, { ...order, events: [] });
+    });
+  const persist = () => saveApiOrders([...orders.values()].map(toOrderView), ordersPath);
+  persist();
+
+  const streams = new Set(); // { res, orderId } for every open event stream
+  let queue = Promise.resolve();
+
+  function publish(order, type, data = {}) {
+    const event = { type, orderId: order.id, status: order.status, at: new Date().toISOString(), ...data };
+    order.events.push(event);
+    const frame = `event: ${type}\ndata: ${JSON.stringify(event, jsonReplacer)}\n\n`;
+    streams.forEach(stream => {
+      if (!stream.orderId || stream.orderId === order.id) {
+        stream.res.write(frame);
+        if (stream.orderId && (type === 'completed' || type === 'failed')) {
+          stream.res.end();
+        }
+      }
+    });
+  }
+
+  function updateOrder(order, changes) {
+    Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+    persist();
+  }
+
+  async function executeOrder(order) {
+    updateOrder(order, { status: 'running' });
+    publish(order, 'started');
+    console.log(`API order ${order.id}: ${order.side} ${order.mint} from ${order.wallet}`);
+
+    const trade = order.side === 'buy' ? buyToken : sellToken;
+    let result;
+    try {
+      result = await trade(keypairs.get(order.wallet), order.mint, {
+        ...order.params,
+        walletName: order.wallet,
+        verbose: options.verbose,
+        onProgress: (progress) => publish(order, 'progress', progress)
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    updateOrder(order, {
+      status: result.success ? 'completed' : 'failed',
+      error: result.success ? undefined : result.error,
+      result
+    });
+    publish(order, result.success ? 'completed' : 'failed', { result });
+    console.log(`API order ${order.id} ${order.status}${result.txid ? ` (${result.txid})` : ''}`);
+  }
+
+  function submitOrder(side, req, body) {
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (!idempotencyKey || !/^[\w.:-]{1,128}$/.test(idempotencyKey)) {
+      throw httpError(400, 'An Idempotency-Key header (1-128 letters, digits, "_", "-", ".", ":") is required');
+    }
+
+    const request = validateTradeRequest(side, body, keypairs);
+    const fingerprint = fingerprintRequest(side, request);
+    const existing = [...orders.values()].find(order => order.idempotencyKey === idempotencyKey);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw httpError(422, `Idempotency-Key ${idempotencyKey} was already used for a different request`);
+      }
+      return { statusCode: 200, order: existing, replayed: true };
+    }
+
+    const createdAt = new Date().toISOString();
+    const order = {
+      id: crypto.randomBytes(6).toString('hex'),
+      idempotencyKey,
+      fingerprint,
+      side,
+      wallet: request.wallet,
+      mint: request.mint,
+      params: request.params,
+      status: 'queued',
+      createdAt,
+      updatedAt: createdAt,
+      events: []
+    };
+    orders.set(order.id, order);
+    persist();
+    publish(order, 'queued');
+
+    queue = queue.then(() => executeOrder(order)).catch(error => {
+      console.error(`API order ${order.id} could not be recorded: ${error.message}`);
+    });
+    return { statusCode: 202, order, replayed: false };
+  }
+
+  function openEventStream(req, res, orderId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const stream = { res, orderId };
+
+    // An order's stream replays what already happened, and ends with the order
+    if (orderId) {
+      const order = orders.get(orderId);
+      order.events.forEach(event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event, jsonReplacer)}\n\n`));
+      if (!['queued', 'running'].includes(order.status)) {
+        // Orders from a previous run have no recorded events - send their final state instead
+        if (order.events.length === 0) {
+          res.write(`event: ${order.status}\ndata: ${JSON.stringify(toOrderView(order), jsonReplacer)}\n\n`);
+        }
+        res.end();
+        return;
+      }
+    }
+
+    streams.add(stream);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      streams.delete(stream);
+    });
+  }
+
+  async function getStatus() {
+    const probes = await probeEndpoints();
+    return {
+      ok: probes.some(probe => !probe.error),
+      endpoints: getEndpointHealth().map(endpoint => ({
+        ...endpoint,
+        url: maskRpcUrl(endpoint.url),
+        slot: (probes.find(probe => probe.url === endpoint.url) || {}).slot || null
+      })),
+      wallets: [...keypairs.entries()].map(([name, keypair]) => ({ name, publicKey: keypair.publicKey.toString() })),
+      queuedOrders: [...orders.values()].filter(order => order.status === 'queued' || order.status === 'running').length
+    };
+  }
+
+  function getWalletKeypair(name) {
+    const wallet = name || keypairs.keys().next().value;
+    if (!keypairs.has(wallet)) {
+      throw httpError(400, `Wallet "${wallet}" is not loaded by this server`);
+    }
+    return keypairs.get(wallet);
+  }
+
+  async function route(req, res, url) {
+    const { pathname, searchParams } = url;
+    const orderMatch = pathname.match(/^\/orders\/([0-9a-f]+)(\/events)?$/);
+
+    if (req.method === 'POST' && (pathname === '/buy' || pathname === '/sell')) {
+      const body = await readJsonBody(req);
+      const { statusCode, order, replayed } = submitOrder(pathname.slice(1), req, body);
+      sendJson(res, statusCode, { order: toOrderView(order), events: `/orders/${order.id}/events` },
+        replayed ? { 'Idempotent-Replayed': 'true' } : {});
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      throw httpError(404, `No route for ${req.method} ${pathname}`);
+    }
+
+    if (pathname === '/status') {
+      sendJson(res, 200, await getStatus());
+    } else if (pathname === '/portfolio') {
+      const keypair = getWalletKeypair(searchParams.get('wallet'));
+      const minValue = parseFloat(searchParams.get('minValue') || '0');
+      sendJson(res, 200, await getPortfolio(getConnection(), keypair.publicKey, { minValue: isNaN(minValue) ? 0 : minValue }));
+    } else if (pathname === '/trades') {
+      const limit = parseInt(searchParams.get('limit') || '100', 10);
+      if (isNaN(limit) || limit < 1) {
+        throw httpError(400, '"limit" must be a positive whole number');
+      }
+      const trades = readTrades({
+        wallet: searchParams.get('wallet') || undefined,
+        mint: searchParams.get('mint') || undefined,
+        since: searchParams.get('since') || undefined
+      });
+      sendJson(res, 200, { trades: trades.slice(-limit) });
+    } else if (pathname === '/orders') {
+      sendJson(res, 200, { orders: [...orders.values()].map(toOrderView).reverse() });
+    } else if (pathname === '/events') {
+      openEventStream(req, res, null);
+    } else if (orderMatch && orders.has(orderMatch[1])) {
+      if (orderMatch[2]) {
+        openEventStream(req, res, orderMatch[1]);
+      } else {
+        sendJson(res, 200, { order: toOrderView(orders.get(orderMatch[1])) });
+      }
+    } else {
+      throw httpError(404, orderMatch ? `Order ${orderMatch[1]} not found` : `No route for GET ${pathname}`);
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!isAuthorized(req, url, apiConfig.apiKeys)) {
+        throw httpError(401, 'Missing or invalid API key');
+      }
+      await route(req, res, url);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(`API ${req.method} ${url.pathname} failed:`, error.message);
+      }
+      if (!res.headersSent) {
+        sendJson(res, statusCode, { error: error.message });
+      } else {
+        res.end();
+      }
+    }
+    if (options.verbose) {
+      console.log(`${req.method} ${url.pathname} ${res.statusCode} ${Date.now() - startedAt}ms`);
+    }
+  });
+
+  return {
+    server,
+    listen() {
+      const host = options.host || apiConfig.host;
+      const port = options.port !== undefined ? options.port : apiConfig.port;
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+    // Stop accepting requests, end event streams and let the running trade finish
+    async close() {
+      streams.forEach(stream => stream.res.end());
+      await new Promise(resolve => server.close(() => resolve()));
+      await queue;
+    }
+  };
+}
+
+/**
+ * Run the API server until Ctrl+C
+ * @param {Object} options See createApiServer
+ */
+async function runApiServer(options) {
+  const api = createApiServer(options);
+  const address = await api.listen();
+  console.log(`API listening on http://${address.address}:${address.port} with wallet(s) ${[...options.keypairs.keys()].join(', ')}`);
+  console.log('Endpoints: POST /buy, POST /sell, GET /portfolio, GET /status, GET /trades, GET /orders[/:id[/events]], GET /events');
+  console.log('Ctrl+C to stop...');
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => {
+      console.log('\nStopping API server (waiting for the running trade to finish)...');
+      resolve();
+    });
+  });
+  await api.close();
+}
+
+module.exports = {
+  DEFAULT_API_CONFIG,
+  getApiConfig,
+  validateTradeRequest,
+  createApiServer,
+  runApiServer
+};
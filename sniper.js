@@ -0,0 +1,430 @@
+// sniper.js - Detect newly created pools from program logs and buy them automatically
+const fs = require('fs');
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const { SOL_MINT } = require('./swapEngine');
+const { buyToken } = require('./buyToken');
+const { getConnection } = require('./connectionManager');
+const { getTokenMetadata } = require('./portfolio');
+
+const RAYDIUM_AMM_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const PUMPFUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Anchor event discriminator of pump.fun's CreateEvent
+const PUMPFUN_CREATE_EVENT = Buffer.from([27, 114, 169, 77, 222, 235, 99, 118]);
+
+const DEFAULT_SNIPER_CONFIG = {
+  sources: ['raydium-amm'],
+  amountSol: 0.05,
+  maxSessionSpendSol: 0.5,
+  minLiquiditySol: 10,
+  maxLiquiditySol: null,
+  creatorAllowlist: [],
+  creatorDenylist: [],
+  // Regular expressions matched (case-insensitive) against "<name> <symbol>"
+  namePatterns: [],
+  excludeNamePatterns: []
+};
+
+// Instructions of a program in a parsed transaction, including CPIs (e.g. pools created by a migration)
+function findInstructions(transaction, programId) {
+  const top = transaction.transaction.message.instructions;
+  const inner = ((transaction.meta && transaction.meta.innerInstructions) || []).flatMap(entry => entry.instructions);
+  return [...top, ...inner].filter(instruction => String(instruction.programId) === programId);
+}
+
+// Raydium AMM v4 initialize2: the mints come from the instruction accounts, the amounts from its log line
+function decodeRaydiumPool(event, transaction) {
+  if (!transaction) {
+    return null;
+  }
+  // initialize2 has 21 accounts: 4 amm, 8 coin mint, 9 pc mint, 17 creator wallet
+  const instruction = findInstructions(transaction, RAYDIUM_AMM_PROGRAM_ID).find(ix => ix.accounts && ix.accounts.length >= 18);
+  if (!instruction) {
+    return null;
+  }
+  const accounts = instruction.accounts.map(String);
+  const coinMint = accounts[8];
+  const pcMint = accounts[9];
+
+  const amounts = event.logs.join('\n').match(/init_pc_amount: (\d+), init_coin_amount: (\d+)/);
+  let liquiditySol = null;
+  if (amounts && pcMint === SOL_MINT) {
+    liquiditySol = parseInt(amounts[1], 10) / LAMPORTS_PER_SOL;
+  } else if (amounts && coinMint === SOL_MINT) {
+    liquiditySol = parseInt(amounts[2], 10) / LAMPORTS_PER_SOL;
+  }
+
+  return {
+    pool: accounts[4],
+    mint: coinMint === SOL_MINT ? pcMint : coinMint,
+    quoteMint: coinMint === SOL_MINT ? coinMint : pcMint,
+    creator: accounts[17],
+    liquiditySol,
+    name: null,
+    symbol: null
+  };
+}
+
+// Read a Borsh string (u32 length prefix)
+function readString(data, offset) {
+  const length = data.readUInt32LE(offset);
+  return { value: data.slice(offset + 4, offset + 4 + length).toString('utf8'), offset: offset + 4 + length };
+}
+
+// pump.fun token creation: everything needed is in the CreateEvent emitted as "Program data:"
+function decodePumpfunCreate(event) {
+  for (const line of event.logs) {
+    if (!line.startsWith('Program data: ')) continue;
+    const data = Buffer.from(line.slice('Program data: '.length), 'base64');
+    if (data.length < 8 || !data.slice(0, 8).equals(PUMPFUN_CREATE_EVENT)) continue;
+
+    try {
+      const name = readString(data, 8);
+      const symbol = readString(data, name.offset);
+      const uri = readString(data, symbol.offset);
+      const keyAt = (index) => bs58.encode(data.slice(uri.offset + index * 32, uri.offset + (index + 1) * 32));
+      return {
+        mint: keyAt(0),
+        pool: keyAt(1), // Bonding curve
+        creator: keyAt(2),
+        quoteMint: SOL_MINT,
+        // Tokens start on the bonding curve with no deposited liquidity
+        liquiditySol: null,
+        name: name.value,
+        symbol: symbol.value
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+const POOL_SOURCES = {
+  'raydium-amm': {
+    programId: RAYDIUM_AMM_PROGRAM_ID,
+    matches: logs => logs.some(line => line.includes('initialize2')),
+    needsTransaction: true,
+    decode: decodeRaydiumPool
+  },
+  pumpfun: {
+    programId: PUMPFUN_PROGRAM_ID,
+    matches: logs => logs.some(line => line.includes('Instruction: Create')),
+    needsTransaction: false,
+    decode: decodePumpfunCreate
+  }
+};
+
+/**
+ * Merge the sniper section of config.json with the defaults
+ * @param {Object} config Bot configuration
+ * @returns {Object} Sniper settings
+ */
+function getSniperConfig(config) {
+  const sniper = { ...DEFAULT_SNIPER_CONFIG, ...(config.sniper || {}) };
+  sniper.sources.forEach(source => {
+    if (!POOL_SOURCES[source]) {
+      throw new Error(`Unknown sniper source "${source}" - use ${Object.keys(POOL_SOURCES).join(', ')}`);
+    }
+  });
+  [...sniper.namePatterns, ...sniper.excludeNamePatterns].forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid sniper name pattern "${pattern}": ${error.message}`);
+    }
+  });
+  return sniper;
+}
+
+/**
+ * Decode a new pool from a program log event
+ * @param {Object} event Log event ({ source, signature, err, logs, transaction })
+ * @returns {Object|null} Pool ({ source, signature, pool, mint, quoteMint, creator, liquiditySol, name, symbol }), or null
+ */
+function detectPool(event) {
+  const source = POOL_SOURCES[event.source];
+  if (!source || event.err || !source.matches(event.logs)) {
+    return null;
+  }
+  const pool = source.decode(event, event.transaction);
+  if (!pool) {
+    return null;
+  }
+
+  const metadata = event.metadata || {};
+  return {
+    ...pool,
+    source: event.source,
+    signature: event.signature,
+    name: pool.name || metadata.name || null,
+    symbol: pool.symbol || metadata.symbol || null
+  };
+}
+
+/**
+ * Apply the sniper filters to a detected pool
+ * @param {Object} pool Pool from detectPool
+ * @param {Object} sniperConfig Settings from getSniperConfig
+ * @returns {{passed: boolean, reasons: Array<string>}} Reasons the pool was rejected
+ */
+function evaluatePool(pool, sniperConfig) {
+  const reasons = [];
+
+  if (pool.quoteMint !== SOL_MINT) {
+    reasons.push('Not paired with SOL');
+  }
+
+  if (sniperConfig.minLiquiditySol && pool.source !== 'pumpfun') {
+    if (pool.liquiditySol === null) {
+      reasons.push('Unknown initial liquidity');
+    } else if (pool.liquiditySol < sniperConfig.minLiquiditySol) {
+      reasons.push(`Liquidity ${pool.liquiditySol} SOL below ${sniperConfig.minLiquiditySol} SOL`);
+    }
+  }
+  if (sniperConfig.maxLiquiditySol && pool.liquiditySol !== null && pool.liquiditySol > sniperConfig.maxLiquiditySol) {
+    reasons.push(`Liquidity ${pool.liquiditySol} SOL above ${sniperConfig.maxLiquiditySol} SOL`);
+  }
+
+  if (sniperConfig.creatorAllowlist.length > 0 && !sniperConfig.creatorAllowlist.includes(pool.creator)) {
+    reasons.push(`Creator ${pool.creator} not in the allowlist`);
+  }
+  if (sniperConfig.creatorDenylist.includes(pool.creator)) {
+    reasons.push(`Creator ${pool.creator} is denylisted`);
+  }
+
+  const label = `${pool.name || ''} ${pool.symbol || ''}`.trim();
+  if (sniperConfig.namePatterns.length > 0) {
+    if (!label) {
+      reasons.push('Unknown token name');
+    } else if (!sniperConfig.namePatterns.some(pattern => new RegExp(pattern, 'i').test(label))) {
+      reasons.push(`Name "${label}" matches no name pattern`);
+    }
+  }
+  const excluded = sniperConfig.excludeNamePatterns.find(pattern => label && new RegExp(pattern, 'i').test(label));
+  if (excluded) {
+    reasons.push(`Name "${label}" matches excluded pattern ${excluded}`);
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+function describePool(pool) {
+  const name = pool.symbol ? `${pool.symbol} (${pool.mint})` : pool.mint;
+  const liquidity = pool.liquiditySol !== null ? `, ${pool.liquiditySol} SOL liquidity` : '';
+  return `${pool.source} pool for ${name}${liquidity}, creator ${pool.creator}`;
+}
+
+// Decide on a pool event and buy through the supplied function while the spend cap allows it
+async function handleEvent(event, session, buy) {
+  const pool = detectPool(event);
+  if (!pool) {
+    if (session.verbose && event.source && POOL_SOURCES[event.source] && POOL_SOURCES[event.source].matches(event.logs || [])) {
+      console.log(`Could not decode pool from ${event.signature}`);
+    }
+    return;
+  }
+  if (session.seenMints.has(pool.mint)) {
+    return;
+  }
+  session.seenMints.add(pool.mint);
+  session.detected++;
+
+  const verdict = evaluatePool(pool, session.sniperConfig);
+  if (!verdict.passed) {
+    console.log(`Skipped ${describePool(pool)}: ${verdict.reasons.join('; ')}`);
+    return;
+  }
+  session.passed++;
+
+  if (session.spentSol + session.amountSol > session.maxSpendSol + 1e-9) {
+    console.log(`Skipped ${describePool(pool)}: session spend cap of ${session.maxSpendSol} SOL reached`);
+    return;
+  }
+
+  console.log(`New ${describePool(pool)} - ${session.replay ? 'would buy' : 'buying'} ${session.amountSol} SOL`);
+  // Reserve the spend up front: a buy that was sent may still land even when it reports a failure
+  session.spentSol += session.amountSol;
+  let result;
+  try {
+    result = await buy(pool);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+  session.buys.push({ mint: pool.mint, signature: pool.signature, success: result.success, txid: result.txid || null, error: result.error || null });
+  if (!result.success && !result.txid) {
+    // Nothing was sent, so nothing can have been spent
+    session.spentSol -= session.amountSol;
+  }
+}
+
+function createSession(options) {
+  const sniperConfig = getSniperConfig(options.config || {});
+  if (options.sources) sniperConfig.sources = options.sources;
+  if (options.minLiquiditySol !== undefined) sniperConfig.minLiquiditySol = options.minLiquiditySol;
+
+  const session = {
+    sniperConfig: getSniperConfig({ sniper: sniperConfig }),
+    amountSol: options.amountSol !== undefined ? options.amountSol : sniperConfig.amountSol,
+    maxSpendSol: options.maxSpendSol !== undefined ? options.maxSpendSol : sniperConfig.maxSessionSpendSol,
+    spentSol: 0,
+    seenMints: new Set(),
+    detected: 0,
+    passed: 0,
+    buys: [],
+    replay: false,
+    verbose: options.verbose || false
+  };
+  if (!(session.amountSol > 0)) {
+    throw new Error('A positive buy size (--amount or sniper.amountSol) is required');
+  }
+  return session;
+}
+
+function summarize(session) {
+  return {
+    detected: session.detected,
+    passed: session.passed,
+    buys: session.buys,
+    spentSol: session.spentSol
+  };
+}
+
+async function fetchTransaction(connection, signature) {
+  // Logs arrive before the transaction is always queryable
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const transaction = await connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0
+    }).catch(() => null);
+    if (transaction) return transaction;
+    await new Promise(resolve => setTimeout(resolve, 400));
+  }
+  return null;
+}
+
+/**
+ * Subscribe to pool creation logs and buy pools that pass the filters until stopped or the
+ * session spend cap is used up. Rug checks are the buy's regular safety checks (config.safety).
+ * @param {Keypair} keypair Buying wallet
+ * @param {Object} options Sniper options
+ * @param {Object} options.config Bot configuration (sniper section)
+ * @param {number} options.amountSol SOL per buy (overrides sniper.amountSol)
+ * @param {number} options.maxSpendSol Session spend cap (overrides sniper.maxSessionSpendSol)
+ * @param {number} options.minLiquiditySol Minimum initial liquidity (overrides sniper.minLiquiditySol)
+ * @param {Array<string>} options.sources Pool sources to watch (overrides sniper.sources)
+ * @param {string} options.record Append every matching log event to this file for later replay
+ * @param {Object} options.buyOptions Extra buyToken options (feeType, dryRun, walletName, ...)
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} Session summary { detected, passed, buys, spentSol }
+ */
+async function runSniper(keypair, options = {}) {
+  const session = createSession(options);
+  const connection = getConnection(false, 'config.json', 'confirmed');
+  const seenSignatures = new Set();
+  let queue = Promise.resolve();
+  let stopped = false;
+  let finish;
+  const finished = new Promise(resolve => {
+    finish = () => {
+      stopped = true;
+      resolve();
+    };
+  });
+
+  const buy = (pool) => buyToken(keypair, pool.mint, {
+    ...(options.buyOptions || {}),
+    amount: session.amountSol,
+    verbose: session.verbose
+  });
+
+  const processEvent = async (event) => {
+    if (stopped) return;
+    const source = POOL_SOURCES[event.source];
+    if (source.needsTransaction) {
+      event.transaction = await fetchTransaction(connection, event.signature);
+    }
+    const pool = detectPool(event);
+    if (pool && !pool.name) {
+      const metadata = await getTokenMetadata(connection, [pool.mint]).catch(() => ({}));
+      event.metadata = metadata[pool.mint] || null;
+    }
+    if (options.record) {
+      fs.appendFileSync(options.record, `${JSON.stringify(event)}\n`);
+    }
+
+    await handleEvent(event, session, buy);
+    if (session.maxSpendSol - session.spentSol < session.amountSol - 1e-9) {
+      console.log(`Session spend cap of ${session.maxSpendSol} SOL reached.`);
+      finish();
+    }
+  };
+
+  const subscriptions = session.sniperConfig.sources.map(name => connection.onLogs(
+    new PublicKey(POOL_SOURCES[name].programId),
+    (logs, context) => {
+      if (logs.err || seenSignatures.has(logs.signature) || !POOL_SOURCES[name].matches(logs.logs)) {
+        return;
+      }
+      seenSignatures.add(logs.signature);
+      const event = { source: name, signature: logs.signature, slot: context.slot, err: null, logs: logs.logs, receivedAt: new Date().toISOString() };
+      // One pool at a time, so the spend cap holds
+      queue = queue.then(() => processEvent(event)).catch(error => console.error(`Error handling ${logs.signature}: ${error.message}`));
+    },
+    'confirmed'
+  ));
+
+  console.log(`Sniping ${session.sniperConfig.sources.join(', ')} pools: ${session.amountSol} SOL per buy, ` +
+    `session cap ${session.maxSpendSol} SOL (Ctrl+C to stop)...`);
+
+  const stop = () => {
+    console.log('\nStopping sniper...');
+    finish();
+  };
+  process.once('SIGINT', stop);
+
+  await finished;
+  process.removeListener('SIGINT', stop);
+  await Promise.all(subscriptions.map(id => connection.removeOnLogsListener(id).catch(() => {})));
+  await queue;
+  return summarize(session);
+}
+
+/**
+ * Run the detection and filters over a recorded log file without trading
+ * @param {string} file Recorded events, one JSON object per line (as written by runSniper's record option)
+ * @param {Object} options Same filter and cap options as runSniper
+ * @returns {Promise<Object>} Session summary; buys are the pools that would have been bought
+ */
+async function replaySniperLog(file, options = {}) {
+  const session = createSession(options);
+  session.replay = true;
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+
+  for (const [index, line] of lines.entries()) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      console.error(`Line ${index + 1}: invalid JSON, skipped`);
+      continue;
+    }
+    if (!session.sniperConfig.sources.includes(event.source)) {
+      continue;
+    }
+    await handleEvent(event, session, async () => ({ success: true }));
+  }
+  return summarize(session);
+}
+
+module.exports = {
+  DEFAULT_SNIPER_CONFIG,
+  POOL_SOURCES,
+  getSniperConfig,
+  detectPool,
+  evaluatePool,
+  runSniper,
+  replaySniperLog
+};
@@ -0,0 +1,808 @@
+// swapEngine.js - Shared quote -> build -> sign -> send -> confirm pipeline for Jupiter swaps
+const { Transaction, VersionedTransaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { createJupiterApiClient } = require('@jup-ag/api');
+
+// Import connection manager
+const { getConnection, broadcastTransaction, confirmTransaction } = require('./connectionManager');
+const {
+  getPriorityFeeMicroLamports,
+  getPriorityFeeLamports,
+  applyComputeBudgetToLegacy,
+  applyComputeBudgetToVersioned,
+  getPaidFeeLamports
+} = require('./computeBudget');
+const { getMintInfo } = require('./tokenPrograms');
+const {
+  getJitoConfig,
+  getTipLamports,
+  buildTipTransaction,
+  sendBundle,
+  waitForBundle,
+  getTransactionSignature
+} = require('./jito');
+const { computeFill } = require('./fills');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Most compute units a transaction can request
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+// Pipeline stages, in order. A failed result reports the stage it stopped at.
+// Dry runs stop after 'sign' with a 'simulate' stage instead of send/confirm.
+const STAGES = ['quote', 'build', 'sign', 'send', 'confirm'];
+
+// Call an optional hook; hooks may be async and may throw to abort the swap
+async function runHook(hooks, name, ...args) {
+  if (hooks && typeof hooks[name] === 'function') {
+    return hooks[name](...args);
+  }
+  return undefined;
+}
+
+/**
+ * Combine hook sets; for each hook name the sets' functions run in order
+ * @param {...Object} hookSets Hook objects (undefined entries are skipped)
+ * @returns {Object} Hooks for executeSwap / executeSwapWithRetry
+ */
+function mergeHooks(...hookSets) {
+  const merged = {};
+  hookSets.filter(Boolean).forEach(hooks => {
+    Object.keys(hooks).forEach(name => {
+      const previous = merged[name];
+      merged[name] = previous
+        ? async (...args) => { await previous(...args); return hooks[name](...args); }
+        : hooks[name];
+    });
+  });
+  return merged;
+}
+
+/**
+ * Check that the RPC endpoint responds
+ * @param {Connection} connection Connection to test
+ * @param {boolean} verbose Whether to log detailed information
+ * @returns {Promise<boolean>} Whether the endpoint responded
+ */
+async function checkRpcConnection(connection, verbose = false) {
+  try {
+    if (verbose) console.log('Checking RPC connection...');
+    const blockchainInfo = await connection.getVersion();
+    if (verbose) console.log('RPC Connection OK, Solana version:', blockchainInfo);
+    return true;
+  } catch (error) {
+    console.error('RPC Connection Test Failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Look up the decimals of a mint
+ * @param {Connection} connection Connection to use
+ * @param {string} mint Mint address
+ * @returns {Promise<number>} Mint decimals
+ */
+async function getMintDecimals(connection, mint) {
+  if (mint === SOL_MINT) {
+    return 9;
+  }
+  const mintInfo = await getMintInfo(connection, mint);
+  return mintInfo.decimals;
+}
+
+/**
+ * Resolve the compute unit limit for a fee level
+ * @param {Connection} connection Connection used to read recent prioritization fees
+ * @param {Object} config Bot configuration
+ * @param {string} feeType Fee level name (low, medium, high, urgent, custom)
+ * @param {boolean} verbose Whether to log detailed information
+ * @returns {Promise<number>} Compute unit limit (a fee boost only raises the price, see getPriorityFeeMicroLamports)
+ */
+async function resolveComputeLimit(connection, config, feeType, verbose = false) {
+  const feeLevels = config.feeLevels || {};
+  if (typeof feeLevels[feeType] !== 'number') {
+    // A missing level would otherwise make the compute limit NaN
+    throw new Error(`Unknown fee type "${feeType}" - use one of: ${Object.keys(feeLevels).join(', ')}`);
+  }
+  let computeLimit;
+
+  if (feeType === 'custom' && config.feeLevels.custom > 0) {
+    computeLimit = config.feeLevels.custom;
+  } else if (config.dynamicFee) {
+    // Use dynamic fee based on network conditions
+    const baseFee = config.feeLevels[feeType];
+
+    try {
+      const recentPrioritizationFeesResponse = await connection.getRecentPrioritizationFees();
+      if (recentPrioritizationFeesResponse && recentPrioritizationFeesResponse.length > 0) {
+        const recentFees = recentPrioritizationFeesResponse.slice(0, 5);
+        const avgPriorityMultiplier = recentFees.reduce((acc, fee) => acc + fee.prioritizationFee, 0) / recentFees.length;
+        const dynamicMultiplier = Math.max(1.0, avgPriorityMultiplier / 5000);
+        computeLimit = Math.floor(baseFee * Math.min(dynamicMultiplier, config.priorityFeeMultiplier));
+        if (verbose) console.log('Dynamic fee calculation:', { baseFee, avgPriorityMultiplier, dynamicMultiplier, computeLimit });
+      } else {
+        computeLimit = Math.floor(baseFee * config.priorityFeeMultiplier);
+        if (verbose) console.log('Using default fee multiplier:', { baseFee, multiplier: config.priorityFeeMultiplier, computeLimit });
+      }
+    } catch (error) {
+      computeLimit = Math.floor(baseFee * config.priorityFeeMultiplier);
+      if (verbose) console.log('Error getting prioritization fees, using default:', { baseFee, multiplier: config.priorityFeeMultiplier, computeLimit });
+    }
+  } else {
+    computeLimit = config.feeLevels[feeType];
+    if (verbose) console.log('Using static fee level:', computeLimit);
+  }
+
+  return Math.min(computeLimit, MAX_COMPUTE_UNIT_LIMIT);
+}
+
+// Request a quote from Jupiter and unwrap the best route
+async function requestQuote(jupiterApi, context) {
+  const params = {
+    inputMint: context.inputMint,
+    outputMint: context.outputMint,
+    amount: context.amount,
+    slippageBps: context.slippageBps
+  };
+  if (context.verbose) console.log('Requesting quote with params:', params);
+
+  const quoteResponse = await jupiterApi.quoteGet(params).catch(error => {
+    if (context.verbose) console.error('Error fetching quotes:', error.response ? JSON.stringify(error.response.data) : error.message);
+    return null;
+  });
+
+  if (context.verbose) {
+    console.log('Quote response received:', quoteResponse ? 'yes' : 'no');
+    if (quoteResponse) console.log('Quote response details:', JSON.stringify(quoteResponse, null, 2));
+  }
+
+  if (!quoteResponse) {
+    throw new Error('No quote response received from Jupiter');
+  }
+
+  // Jupiter API might return different response structures
+  const bestRoute = quoteResponse.data ? quoteResponse.data : quoteResponse;
+  if (!bestRoute || !bestRoute.outAmount) {
+    throw new Error('Invalid quote response from Jupiter');
+  }
+
+  if (context.verbose) console.log('Valid route found with outAmount:', bestRoute.outAmount);
+  return bestRoute;
+}
+
+/**
+ * Get a Jupiter quote without building a transaction (used for price checks)
+ * @param {Object} params Quote parameters
+ * @param {string} params.inputMint Input mint
+ * @param {string} params.outputMint Output mint
+ * @param {string|number} params.amount Input amount in raw (smallest unit) terms
+ * @param {number} params.slippageBps Slippage in basis points (default 100)
+ * @param {Object} options Options (jupiterApi, verbose)
+ * @returns {Promise<Object>} Best route returned by Jupiter
+ */
+async function getQuote(params, options = {}) {
+  const jupiterApi = options.jupiterApi || createJupiterApiClient();
+  return requestQuote(jupiterApi, {
+    inputMint: params.inputMint,
+    outputMint: params.outputMint,
+    amount: params.amount.toString(),
+    slippageBps: params.slippageBps !== undefined ? params.slippageBps : 100,
+    verbose: options.verbose || false
+  });
+}
+
+// Format a raw amount for limit errors, in UI units when the decimals are known
+function formatLimitAmount(raw, decimals) {
+  return decimals !== undefined && decimals !== null
+    ? `${parseFloat(raw) / Math.pow(10, decimals)}`
+    : `${raw} (raw)`;
+}
+
+/**
+ * Convert a decimal amount in UI units to raw units with integer math, rounding down
+ * @param {string|number} value Amount, e.g. "1.5" or 2e21 (exponent notation is accepted)
+ * @param {number} decimals Decimals of the token
+ * @returns {string} Raw amount
+ */
+function toRawAmount(value, decimals) {
+  const match = /^\+?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (match[1] + (match[2] || '')) === '') {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const fraction = match[2] || '';
+  const digits = match[1] + fraction;
+  // Where the decimal point lands, counted in digits from the right
+  const shift = decimals + Number(match[3] || 0) - fraction.length;
+  const raw = shift >= 0 ? digits + '0'.repeat(shift) : digits.slice(0, Math.max(0, digits.length + shift));
+  return BigInt(raw || '0').toString();
+}
+
+/**
+ * Resolve a trade limit from a per-command value (e.g. a CLI string) or the config default
+ * @param {string|number} value Per-command value
+ * @param {number} fallback Config value
+ * @returns {number|undefined} Limit, or undefined when neither is set
+ */
+function resolveLimit(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = parseFloat(value);
+  if (isNaN(number) || number < 0) {
+    throw new Error(`Invalid limit: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Check a quote against trade limits; throws before anything is signed
+ * @param {Object} quote Jupiter quote
+ * @param {Object} limits Limits (all optional)
+ * @param {number} limits.maxPriceImpactPct Maximum price impact, in percent
+ * @param {string|number} limits.minOutAmount Minimum guaranteed output (after slippage), raw units
+ * @param {string|number} limits.maxInAmount Maximum input, raw units
+ * @param {number} limits.inputDecimals Input decimals, for error messages
+ * @param {number} limits.outputDecimals Output decimals, for error messages
+ */
+function checkQuoteLimits(quote, limits = {}) {
+  const inAmount = formatLimitAmount(quote.inAmount, limits.inputDecimals);
+  const outAmount = formatLimitAmount(quote.outAmount, limits.outputDecimals);
+  const minOut = formatLimitAmount(quote.otherAmountThreshold || quote.outAmount, limits.outputDecimals);
+  const impactPct = parseFloat(quote.priceImpactPct || 0) * 100;
+  const quoteSummary = `quote: in ${inAmount}, out ${outAmount}, min out ${minOut}, price impact ${impactPct.toFixed(4)}%`;
+
+  if (limits.maxPriceImpactPct !== undefined && limits.maxPriceImpactPct !== null && impactPct > limits.maxPriceImpactPct) {
+    throw new Error(`Price impact ${impactPct.toFixed(2)}% exceeds the ${limits.maxPriceImpactPct}% limit (${quoteSummary})`);
+  }
+
+  // otherAmountThreshold is what the swap guarantees after slippage
+  if (limits.minOutAmount !== undefined && limits.minOutAmount !== null &&
+      BigInt(quote.otherAmountThreshold || quote.outAmount) < BigInt(limits.minOutAmount)) {
+    throw new Error(`Minimum output ${minOut} is below the required ${formatLimitAmount(limits.minOutAmount, limits.outputDecimals)} (${quoteSummary})`);
+  }
+
+  if (limits.maxInAmount !== undefined && limits.maxInAmount !== null && BigInt(quote.inAmount) > BigInt(limits.maxInAmount)) {
+    throw new Error(`Input ${inAmount} exceeds the ${formatLimitAmount(limits.maxInAmount, limits.inputDecimals)} limit (${quoteSummary})`);
+  }
+}
+
+// Request the swap transaction, trying the request formats of older Jupiter API versions in turn
+async function requestSwapTransaction(jupiterApi, quote, context) {
+  const userPublicKey = context.keypair.publicKey.toString();
+  const attempts = [
+    ['V6', { swapRequest: { quoteResponse: quote, userPublicKey, wrapAndUnwrapSol: true } }],
+    ['V5', { swapRequest: { quoteResponse: quote, userPublicKey, wrapUnwrapSOL: true } }],
+    ['V5 route', { swapRequest: { route: quote, userPublicKey, wrapUnwrapSOL: true } }]
+  ];
+
+  let swapResponse = null;
+  for (const [label, request] of attempts) {
+    if (context.verbose) console.log(`Attempting Jupiter ${label} swap request format`);
+    swapResponse = await jupiterApi.swapPost(request).catch(error => {
+      if (context.verbose) console.error(`${label} swap request failed:`, error);
+      return null;
+    });
+    if (swapResponse) break;
+  }
+
+  if (context.verbose) console.log('Swap response received:', swapResponse ? 'yes' : 'no');
+  if (context.verbose && swapResponse) console.log('Swap response:', JSON.stringify(swapResponse, null, 2));
+
+  if (!swapResponse) {
+    throw new Error('Failed to get swap transaction after multiple attempts');
+  }
+
+  // Needed to know when the transaction can no longer land
+  const lastValidBlockHeight = swapResponse.lastValidBlockHeight || (swapResponse.data && swapResponse.data.lastValidBlockHeight);
+  context.lastValidBlockHeight = lastValidBlockHeight ? Number(lastValidBlockHeight) : null;
+
+  // Extract the swap transaction data from the response
+  if (swapResponse.swapTransaction) {
+    return swapResponse.swapTransaction;
+  }
+  if (swapResponse.data && swapResponse.data.swapTransaction) {
+    return swapResponse.data.swapTransaction;
+  }
+
+  // Look deeper into the response to find the transaction
+  if (context.verbose) console.log('Searching deeper for transaction data in response');
+  if (swapResponse.data && typeof swapResponse.data === 'object') {
+    for (const key in swapResponse.data) {
+      if (typeof swapResponse.data[key] === 'string' && swapResponse.data[key].length > 100) {
+        if (context.verbose) console.log(`Found potential transaction data in field: ${key}`);
+        return swapResponse.data[key];
+      }
+    }
+  }
+
+  throw new Error('No swap transaction data found in response');
+}
+
+// Deserialize Jupiter's transaction and apply the selected compute budget
+async function buildTransaction(swapTransactionData, context) {
+  const swapTransactionBuf = Buffer.from(swapTransactionData, 'base64');
+
+  // Jupiter returns versioned transactions; legacy is only a fallback
+  let transaction;
+  try {
+    transaction = VersionedTransaction.deserialize(swapTransactionBuf);
+  } catch (error) {
+    if (context.verbose) console.log('Versioned transaction deserialization failed, falling back to legacy format:', error.message);
+    transaction = Transaction.from(swapTransactionBuf);
+    applyComputeBudgetToLegacy(transaction, context.computeLimit, context.priorityFeeMicroLamports);
+    if (context.verbose) console.log('Created legacy transaction with', transaction.instructions.length, 'instructions');
+    return { transaction, versioned: false, computeBudgetApplied: true };
+  }
+
+  if (context.verbose) console.log('Deserialized versioned transaction with', transaction.message.compiledInstructions.length, 'instructions');
+
+  // Replace Jupiter's compute budget with the selected fee level
+  try {
+    transaction = await applyComputeBudgetToVersioned(context.connection, transaction, context.computeLimit, context.priorityFeeMicroLamports);
+    return { transaction, versioned: true, computeBudgetApplied: true };
+  } catch (error) {
+    if (context.verbose) console.log('Could not apply compute budget, using Jupiter defaults:', error.message);
+    return { transaction, versioned: true, computeBudgetApplied: false };
+  }
+}
+
+function signTransaction(transaction, versioned, keypair) {
+  if (versioned) {
+    transaction.sign([keypair]);
+  } else {
+    transaction.sign(keypair);
+  }
+  return transaction;
+}
+
+function getSendOptions(config) {
+  return config.antiMEV ? {
+    skipPreflight: true,
+    preflightCommitment: 'processed',
+    maxRetries: 5
+  } : {
+    preflightCommitment: 'processed',
+    maxRetries: 5
+  };
+}
+
+// Submit the signed swap plus a tip transfer as a Jito bundle
+async function submitBundle(context, jitoConfig, feeType) {
+  const tipLamports = getTipLamports(jitoConfig, feeType);
+  // The tip shares the swap's blockhash so neither can land after the other expires
+  const recentBlockhash = context.versioned ? context.transaction.message.recentBlockhash : context.transaction.recentBlockhash;
+  const tipTransaction = buildTipTransaction(context.keypair, tipLamports, recentBlockhash, jitoConfig);
+
+  const bundle = { id: null, status: null, landedSlot: null, tipLamports, blockEngineUrl: jitoConfig.blockEngineUrl, error: null };
+  try {
+    bundle.id = await sendBundle(jitoConfig.blockEngineUrl, [context.transaction, tipTransaction]);
+    bundle.status = 'Pending';
+    if (context.verbose) console.log(`Submitted bundle ${bundle.id} with ${tipLamports} lamport tip`);
+  } catch (error) {
+    bundle.status = 'NotSent';
+    bundle.error = error.message;
+    if (context.verbose) console.log(`Bundle submission failed: ${error.message}`);
+  }
+  return bundle;
+}
+
+// Base fee plus priority fee for a transaction, as charged by the cluster
+async function estimateFeeLamports(connection, transaction, versioned, priorityFeeLamports) {
+  const message = versioned ? transaction.message : transaction.compileMessage();
+  try {
+    const response = await connection.getFeeForMessage(message, 'processed');
+    if (response && response.value !== null) {
+      return response.value;
+    }
+  } catch (error) {
+    // Fall back to the fixed signature fee below
+  }
+  return 5000 * message.header.numRequiredSignatures + (priorityFeeLamports || 0);
+}
+
+// Simulate the signed transaction instead of sending it
+async function simulateSwapTransaction(transaction, versioned, context) {
+  const simulationConnection = getConnection(false, 'config.json', 'processed');
+  // Replace the blockhash so a slow quote/build does not fail the simulation with BlockhashNotFound
+  const response = versioned
+    ? await simulationConnection.simulateTransaction(transaction, { sigVerify: false, replaceRecentBlockhash: true, commitment: 'processed' })
+    : await simulationConnection.simulateTransaction(transaction);
+  const value = response.value;
+  if (context.verbose) console.log('Simulation result:', JSON.stringify(value, null, 2));
+
+  return {
+    err: value.err || null,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed !== undefined ? value.unitsConsumed : null
+  };
+}
+
+/**
+ * Print the outcome of a dry-run swap
+ * @param {Object} swap Result of executeSwap with dryRun set
+ * @param {Object} options Display options
+ * @param {number} options.inputDecimals Decimals of the input mint
+ * @param {number} options.outputDecimals Decimals of the output mint
+ */
+function printSimulationReport(swap, options = {}) {
+  const inputDecimals = options.inputDecimals !== undefined ? options.inputDecimals : 9;
+  const outputDecimals = options.outputDecimals !== undefined ? options.outputDecimals : 9;
+  const simulation = swap.simulation || {};
+
+  console.log('\n=== Dry run (transaction was simulated, not sent) ===');
+  console.log(`Input: ${parseFloat(swap.inAmount) / Math.pow(10, inputDecimals)} (${swap.inputMint})`);
+  if (swap.outAmount) {
+    console.log(`Expected output: ${parseFloat(swap.outAmount) / Math.pow(10, outputDecimals)} (${swap.outputMint})`);
+  }
+  if (swap.quote && swap.quote.otherAmountThreshold) {
+    console.log(`Minimum output after ${swap.slippageBps / 100}% slippage: ${parseFloat(swap.quote.otherAmountThreshold) / Math.pow(10, outputDecimals)}`);
+  }
+  if (swap.priceImpactPct !== null && swap.priceImpactPct !== undefined) {
+    console.log(`Price impact: ${(parseFloat(swap.priceImpactPct) * 100).toFixed(4)}%`);
+  }
+  if (swap.routeLabels && swap.routeLabels.length > 0) {
+    console.log(`Route: ${swap.routeLabels.join(' -> ')}`);
+  }
+  if (simulation.unitsConsumed !== null && simulation.unitsConsumed !== undefined) {
+    const limit = swap.fee && swap.fee.computeUnitLimit ? ` of ${swap.fee.computeUnitLimit} limit` : '';
+    console.log(`Compute units consumed: ${simulation.unitsConsumed}${limit}`);
+  }
+  if (swap.fee) {
+    if (swap.fee.computeUnitPriceMicroLamports) {
+      console.log(`Priority fee: ${swap.fee.computeUnitPriceMicroLamports} microLamports/CU (${(swap.fee.priorityFeeLamports / LAMPORTS_PER_SOL).toFixed(9)} SOL max)`);
+    }
+    if (swap.fee.estimatedLamports !== null && swap.fee.estimatedLamports !== undefined) {
+      console.log(`Estimated network fee: ${(swap.fee.estimatedLamports / LAMPORTS_PER_SOL).toFixed(9)} SOL`);
+    }
+  }
+  if (simulation.logs && simulation.logs.length > 0) {
+    console.log('Program logs:');
+    simulation.logs.forEach(line => console.log(`  ${line}`));
+  }
+  console.log(simulation.err ? `Simulation error: ${JSON.stringify(simulation.err)}` : 'Simulation succeeded');
+}
+
+/**
+ * Swap any token pair through Jupiter
+ * @param {Keypair} keypair Wallet keypair that signs and pays
+ * @param {Object} params Swap parameters
+ * @param {string} params.inputMint Mint to sell
+ * @param {string} params.outputMint Mint to buy
+ * @param {string|number} params.amount Input amount in raw (smallest unit) terms
+ * @param {Object} options Swap options
+ * @param {Object} options.config Bot configuration
+ * @param {string} options.feeType Fee level name
+ * @param {number} options.feeBoost Extra fee multiplier (default 1)
+ * @param {number} options.slippageBps Slippage in basis points (defaults to config.slippage)
+ * @param {Object} options.hooks Optional hooks: onQuote, onBuild, onSigned, onSimulated, onSent, onConfirmed, onFailed
+ * @param {boolean} options.dryRun Simulate the signed transaction instead of sending it
+ * @param {string} options.commitment Confirmation target (processed, confirmed, finalized; default config.confirmCommitment)
+ * @param {boolean} options.jito Submit as a Jito bundle (defaults to config.jito.enabled)
+ * @param {Object} options.limits Quote limits checked before signing (see checkQuoteLimits)
+ * @param {boolean} options.verbose Whether to log detailed information
+ * @returns {Promise<Object>} Structured swap result
+ */
+async function executeSwap(keypair, params, options = {}) {
+  const config = options.config;
+  const verbose = options.verbose || false;
+  const hooks = options.hooks || {};
+
+  const context = {
+    keypair,
+    config,
+    verbose,
+    inputMint: params.inputMint,
+    outputMint: params.outputMint,
+    amount: params.amount.toString(),
+    slippageBps: options.slippageBps !== undefined ? options.slippageBps : config.slippage * 100,
+    // Use confirmed commitment for quotes, lookups and setup
+    connection: getConnection(false, 'config.json', 'confirmed'),
+    stage: null
+  };
+
+  const result = {
+    success: false,
+    status: 'not_sent',
+    stage: null,
+    error: null,
+    txid: null,
+    inputMint: context.inputMint,
+    outputMint: context.outputMint,
+    inAmount: context.amount,
+    outAmount: null,
+    slippageBps: context.slippageBps,
+    priceImpactPct: null,
+    routeLabels: [],
+    quote: null,
+    fee: null,
+    fill: null,
+    bundle: null,
+    dryRun: Boolean(options.dryRun)
+  };
+  // Set once onFailed has run, so an onFailed hook that throws is not called again from the catch below
+  let failureReported = false;
+
+  try {
+    // Quote
+    context.stage = STAGES[0];
+    const feeType = options.feeType || config.defaultFee;
+    if (verbose) console.log('Selected fee type:', feeType);
+    context.computeLimit = await resolveComputeLimit(context.connection, config, feeType, verbose);
+    context.priorityFeeMicroLamports = getPriorityFeeMicroLamports(context.computeLimit, config, options.feeBoost || 1);
+
+    const jupiterApi = options.jupiterApi || createJupiterApiClient();
+    context.quote = await requestQuote(jupiterApi, context);
+    result.quote = context.quote;
+    result.inAmount = context.quote.inAmount || context.amount;
+    result.outAmount = context.quote.outAmount;
+    result.priceImpactPct = context.quote.priceImpactPct !== undefined ? context.quote.priceImpactPct : null;
+    result.routeLabels = (context.quote.routePlan || [])
+      .map(step => step.swapInfo && step.swapInfo.label)
+      .filter(Boolean);
+    checkQuoteLimits(context.quote, options.limits);
+    await runHook(hooks, 'onQuote', context.quote, context);
+
+    // Build
+    context.stage = STAGES[1];
+    const swapTransactionData = await requestSwapTransaction(jupiterApi, context.quote, context);
+    const built = await buildTransaction(swapTransactionData, context);
+    context.transaction = built.transaction;
+    context.versioned = built.versioned;
+
+    // Without a price of our own, Jupiter's is kept and not known here
+    const appliedPriorityFee = built.computeBudgetApplied && context.priorityFeeMicroLamports ? context.priorityFeeMicroLamports : null;
+    result.fee = {
+      computeUnitLimit: built.computeBudgetApplied ? context.computeLimit : null,
+      computeUnitPriceMicroLamports: appliedPriorityFee,
+      priorityFeeLamports: appliedPriorityFee === null ? null : getPriorityFeeLamports(context.computeLimit, appliedPriorityFee),
+      paidLamports: null,
+      estimatedLamports: null
+    };
+    await runHook(hooks, 'onBuild', context.transaction, context);
+
+    // Sign
+    context.stage = STAGES[2];
+    signTransaction(context.transaction, context.versioned, keypair);
+    await runHook(hooks, 'onSigned', context.transaction, context);
+
+    if (options.dryRun) {
+      context.stage = 'simulate';
+      result.simulation = await simulateSwapTransaction(context.transaction, context.versioned, context);
+      result.fee.estimatedLamports = await estimateFeeLamports(
+        context.connection, context.transaction, context.versioned, result.fee.priorityFeeLamports
+      );
+      result.status = 'simulated';
+      result.success = !result.simulation.err;
+      if (!result.success) {
+        result.stage = context.stage;
+        result.error = `Simulation failed: ${JSON.stringify(result.simulation.err)}`;
+      }
+      await runHook(hooks, 'onSimulated', result, context);
+      return result;
+    }
+
+    // Send - use processed commitment for faster submission, to several pool endpoints if configured
+    context.stage = STAGES[3];
+    const txOptions = getSendOptions(config);
+    if (verbose) console.log('Transaction options:', txOptions);
+    const rawTransaction = context.transaction.serialize();
+    const jitoConfig = getJitoConfig(config);
+    const useJito = options.jito !== undefined ? options.jito : jitoConfig.enabled;
+
+    let bundleLanded = false;
+    if (useJito) {
+      result.bundle = await submitBundle(context, jitoConfig, feeType);
+      if (result.bundle.id) {
+        context.txid = getTransactionSignature(context.transaction);
+        result.txid = context.txid;
+        result.status = 'sent';
+        await runHook(hooks, 'onSent', context.txid, context);
+
+        const bundleStatus = await waitForBundle(jitoConfig.blockEngineUrl, result.bundle.id, jitoConfig, verbose);
+        result.bundle.status = bundleStatus.status;
+        result.bundle.landedSlot = bundleStatus.landedSlot;
+        bundleLanded = bundleStatus.status === 'Landed';
+      }
+      result.fee.tipLamports = bundleLanded ? result.bundle.tipLamports : 0;
+      // Same signed transaction, so a late-landing bundle cannot execute the swap twice
+      result.bundle.fallback = !bundleLanded;
+      if (!bundleLanded && verbose) console.log(`Bundle ${result.bundle.status}, falling back to normal send`);
+    }
+
+    if (!bundleLanded) {
+      context.txid = await broadcastTransaction(rawTransaction, txOptions, { verbose });
+      if (verbose) console.log('Transaction sent with ID:', context.txid);
+      if (result.status !== 'sent') {
+        result.txid = context.txid;
+        result.status = 'sent';
+        await runHook(hooks, 'onSent', context.txid, context);
+      }
+    }
+
+    // Confirm - a landed bundle needs no rebroadcast
+    context.stage = STAGES[4];
+    const verificationResult = await confirmTransaction(context.txid, {
+      rawTransaction: bundleLanded ? null : rawTransaction,
+      lastValidBlockHeight: context.lastValidBlockHeight,
+      commitment: options.commitment,
+      verbose
+    });
+    result.status = verificationResult.status;
+    result.transaction = verificationResult.transaction || null;
+
+    if (!verificationResult.success) {
+      result.stage = context.stage;
+      result.error = verificationResult.error;
+      failureReported = true;
+      await runHook(hooks, 'onFailed', result, context);
+      return result;
+    }
+
+    result.success = true;
+    result.fee.paidLamports = getPaidFeeLamports(verificationResult.transaction);
+    // What actually moved, from the wallet's balance changes; null if the transaction could not be fetched
+    result.fill = computeFill(verificationResult.transaction, keypair.publicKey.toString(), context.quote);
+    await runHook(hooks, 'onConfirmed', result, context);
+    return result;
+  } catch (error) {
+    if (failureReported) {
+      if (verbose) console.error('onFailed hook failed:', error);
+      return result;
+    }
+    if (verbose) console.error(`Swap failed during ${context.stage}:`, error);
+    result.stage = context.stage;
+    result.error = error.message;
+    await runHook(hooks, 'onFailed', result, context).catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * Print the attempts of a retried swap (nothing for a single attempt)
+ * @param {Array<Object>} attempts Attempts from executeSwapWithRetry
+ */
+function printSwapAttempts(attempts) {
+  if (!attempts || attempts.length <= 1) {
+    return;
+  }
+  console.log(`Attempts (${attempts.length}):`);
+  attempts.forEach(attempt => {
+    const outcome = attempt.success ? 'ok' : `${attempt.failure || 'failed'} at ${attempt.stage}`;
+    console.log(`  #${attempt.attempt}: ${outcome}, slippage ${attempt.slippageBps / 100}%, fee boost ${attempt.feeBoost}x${attempt.txid ? `, tx ${attempt.txid}` : ''}`);
+  });
+}
+
+const DEFAULT_RETRY_CONFIG = {
+  maxAttempts: 3,
+  stepSlippage: true,
+  stepFee: true,
+  feeBoostStep: 0.5,
+  maxFeeBoost: 3
+};
+
+/**
+ * Decode why a swap attempt failed
+ * @param {Object} result Result of executeSwap
+ * @returns {string|null} 'slippage' (Jupiter 0x1771), 'blockhash' (expired before landing) or null if not retryable
+ */
+function classifySwapFailure(result) {
+  if (result.success) {
+    return null;
+  }
+  const error = typeof result.error === 'string' ? result.error : JSON.stringify(result.error || '');
+  if (/"Custom":6001\b|0x1771/.test(error)) {
+    return 'slippage';
+  }
+  if (result.status === 'expired' || /blockhash not found|BlockhashNotFound|block height exceeded/i.test(error)) {
+    return 'blockhash';
+  }
+  return null;
+}
+
+// Commitment a sent transaction reached, looked up in the full signature history; null if it never landed
+// (or failed on chain). A transaction reported as expired may still have landed, and sending a new one would
+// trade twice.
+async function findLandedStatus(txid) {
+  const connection = getConnection(false, 'config.json', 'confirmed');
+  const response = await connection.getSignatureStatuses([txid], { searchTransactionHistory: true });
+  const status = response && response.value[0];
+  return status && !status.err ? status.confirmationStatus || 'processed' : null;
+}
+
+/**
+ * Execute a swap with the retry policy: re-quote after slippage or expired-blockhash failures,
+ * stepping up slippage and priority fee within their ceilings
+ * @param {Keypair} keypair Wallet keypair that signs and pays
+ * @param {Object} params Swap parameters (see executeSwap)
+ * @param {Object} options Swap options (see executeSwap), plus:
+ * @param {number} options.maxSlippageBps Slippage ceiling (defaults to config.maxSlippage, else no widening)
+ * @param {number} options.maxAttempts Attempts including the first (defaults to config.retry.maxAttempts)
+ * @returns {Promise<Object>} Result of the last attempt, with every attempt listed in `attempts`
+ */
+async function executeSwapWithRetry(keypair, params, options = {}) {
+  const config = options.config;
+  const retryConfig = { ...DEFAULT_RETRY_CONFIG, ...(config.retry || {}) };
+  const maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : retryConfig.maxAttempts;
+
+  let slippageBps = options.slippageBps !== undefined ? options.slippageBps : config.slippage * 100;
+  const maxSlippageBps = options.maxSlippageBps !== undefined
+    ? options.maxSlippageBps
+    : (config.maxSlippage !== undefined ? config.maxSlippage * 100 : slippageBps);
+  const slippageStepBps = config.slippageStep !== undefined ? config.slippageStep * 100 : 50;
+  let feeBoost = options.feeBoost || 1;
+  const maxFeeBoost = Math.max(feeBoost, retryConfig.maxFeeBoost);
+
+  const attempts = [];
+  for (let attempt = 1; ; attempt++) {
+    const result = await executeSwap(keypair, params, { ...options, slippageBps, feeBoost });
+    const failure = classifySwapFailure(result);
+    attempts.push({
+      attempt,
+      at: new Date().toISOString(),
+      slippageBps,
+      feeBoost,
+      success: result.success,
+      status: result.status,
+      stage: result.stage,
+      failure,
+      error: result.error,
+      txid: result.txid
+    });
+    result.attempts = attempts;
+
+    if (result.success || options.dryRun || !failure || attempt >= maxAttempts) {
+      return result;
+    }
+
+    // Never resend after a blockhash failure unless the previous transaction is known not to have landed
+    if (failure === 'blockhash' && result.txid) {
+      let landedStatus;
+      try {
+        landedStatus = await findLandedStatus(result.txid);
+      } catch (error) {
+        result.error = `${result.error} - could not check whether ${result.txid} landed (${error.message}), not resending`;
+        return result;
+      }
+      if (landedStatus) {
+        result.status = 'landed';
+        result.error = `Transaction ${result.txid} landed (${landedStatus}) after its blockhash expired - not resending`;
+        Object.assign(attempts[attempts.length - 1], { status: result.status, failure: null, error: result.error });
+        return result;
+      }
+    }
+
+    // Widening slippage only helps slippage failures; stop once the ceiling is reached
+    if (failure === 'slippage') {
+      if (!retryConfig.stepSlippage || slippageBps >= maxSlippageBps) {
+        if (options.verbose) console.log(`Slippage exceeded at the ${maxSlippageBps / 100}% ceiling, not retrying`);
+        return result;
+      }
+      slippageBps = Math.min(maxSlippageBps, slippageBps + slippageStepBps);
+    }
+    if (retryConfig.stepFee) {
+      feeBoost = Math.min(maxFeeBoost, feeBoost + retryConfig.feeBoostStep);
+    }
+
+    if (options.verbose) {
+      console.log(`Attempt ${attempt} failed (${failure}), retrying with ${slippageBps / 100}% slippage and ${feeBoost}x fee boost`);
+    }
+    await runHook(options.hooks, 'onRetry', { reason: failure, attempt: attempt + 1, maxAttempts, slippageBps, feeBoost, previous: result });
+  }
+}
+
+module.exports = {
+  SOL_MINT,
+  STAGES,
+  executeSwap,
+  executeSwapWithRetry,
+  mergeHooks,
+  classifySwapFailure,
+  printSwapAttempts,
+  checkQuoteLimits,
+  resolveLimit,
+  toRawAmount,
+  getQuote,
+  printSimulationReport,
+  checkRpcConnection,
+  getMintDecimals,
+  resolveComputeLimit
+};
@@ -0,0 +1,200 @@
+// swapToken.js - Swap between any two tokens through the shared swap engine
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const ora = require('ora');
+
+const { loadConfig } = require('./config');
+
+// Import connection manager and swap engine
+const { getConnection } = require('./connectionManager');
+const { SOL_MINT, executeSwapWithRetry, mergeHooks, checkRpcConnection, resolveLimit, toRawAmount, printSwapAttempts, getMintDecimals, printSimulationReport } = require('./swapEngine');
+const { recordTrade } = require('./journal');
+const { printFillReport } = require('./fills');
+
+// Swap token function - amount is given in input token units
+async function swapToken(keypair, inputMint, outputMint, options = {}) {
+  const verbose = options.verbose || false;
+
+  const spinner = ora({ text: 'Processing transaction...', isSilent: Boolean(options.silent) }).start();
+
+  // Progress updates go to the spinner and to options.onProgress ({ stage, message }) when given
+  const progress = (stage, message) => {
+    spinner.text = message;
+    if (options.onProgress) options.onProgress({ stage, message });
+  };
+  // Library callers (options.silent) only get the result and hooks - no spinner or console output
+  const log = options.silent ? () => {} : console.log;
+
+  try {
+    // Validate mint addresses
+    new PublicKey(inputMint);
+    new PublicKey(outputMint);
+
+    const amount = parseFloat(options.amount);
+    if (isNaN(amount) || amount <= 0) {
+      spinner.fail('A positive --amount is required');
+      return { success: false, error: 'Invalid amount' };
+    }
+
+    // Load config
+    const config = options.config || loadConfig();
+
+    const connection = getConnection(false, 'config.json', 'confirmed');
+    if (!await checkRpcConnection(connection, verbose)) {
+      spinner.fail('RPC endpoint is not responding correctly. Please check your configuration.');
+      return { success: false, error: 'RPC connection failed' };
+    }
+
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      getMintDecimals(connection, inputMint),
+      getMintDecimals(connection, outputMint)
+    ]);
+
+    // Swaps with a SOL side are journaled as buys and sells so they count in pnl; token-to-token ones as swaps
+    const side = inputMint === SOL_MINT ? 'buy' : outputMint === SOL_MINT ? 'sell' : 'swap';
+
+    // Quote limits: per-command options override config; checked before anything is signed.
+    // Amounts are converted from the option as written, so no digits are lost to floats
+    const minOut = resolveLimit(options.minOut, undefined);
+    const limits = {
+      maxPriceImpactPct: resolveLimit(options.maxPriceImpact, config.maxPriceImpact),
+      minOutAmount: minOut !== undefined ? toRawAmount(options.minOut, outputDecimals) : undefined,
+      inputDecimals,
+      outputDecimals
+    };
+    const maxSlippage = resolveLimit(options.maxSlippage, undefined);
+
+    const swap = await executeSwapWithRetry(keypair, {
+      inputMint,
+      outputMint,
+      amount: toRawAmount(options.amount, inputDecimals)
+    }, {
+      config,
+      limits,
+      maxSlippageBps: maxSlippage !== undefined ? maxSlippage * 100 : undefined,
+      maxAttempts: options.maxAttempts !== undefined ? parseInt(options.maxAttempts, 10) : undefined,
+      feeType: options.feeType,
+      dryRun: options.dryRun,
+      commitment: options.commitment,
+      jito: options.jito,
+      verbose,
+      // Spinner updates first, then any hooks passed by the caller
+      hooks: mergeHooks({
+        onSigned: () => {
+          if (options.dryRun) progress('simulate', 'Simulating transaction...');
+        },
+        onRetry: (retry) => {
+          const reason = retry.reason === 'slippage' ? 'Slippage exceeded' : 'Blockhash expired';
+          progress('retry', `${reason}, attempt ${retry.attempt}/${retry.maxAttempts} with ${retry.slippageBps / 100}% slippage...`);
+        },
+        onSent: () => {
+          progress('sent', 'Waiting for transaction confirmation...');
+        }
+      }, options.hooks)
+    });
+
+    // Dry run: report the simulation; nothing was sent, so nothing is journaled
+    if (swap.dryRun && swap.simulation) {
+      if (swap.success) {
+        spinner.succeed('Dry run: simulation succeeded');
+      } else {
+        spinner.fail(`Dry run: ${swap.error}`);
+      }
+      if (!options.silent) printSimulationReport(swap, { inputDecimals, outputDecimals });
+
+      return {
+        success: swap.success,
+        dryRun: true,
+        error: swap.error || undefined,
+        inputMint,
+        outputMint,
+        inputAmount: amount,
+        outputAmount: parseFloat(swap.outAmount) / Math.pow(10, outputDecimals),
+        priceImpactPct: swap.priceImpactPct,
+        routeLabels: swap.routeLabels,
+        simulation: swap.simulation,
+        fee: swap.fee,
+        status: swap.status
+      };
+    }
+
+    if (!swap.success) {
+      spinner.fail(swap.stage === 'confirm' ? `Transaction failed: ${swap.error}` : swap.error);
+      if (!options.silent) printSwapAttempts(swap.attempts);
+      return {
+        success: false,
+        error: swap.error,
+        txid: swap.txid || undefined,
+        attempts: swap.attempts,
+        status: swap.status
+      };
+    }
+
+    // Swapped amounts from the wallet's balance changes, falling back to the quote
+    const inputRaw = swap.fill ? swap.fill.inRaw : String(swap.inAmount);
+    const outputRaw = swap.fill ? swap.fill.outRaw : String(swap.outAmount);
+    const inputAmount = swap.fill ? swap.fill.inAmount : amount;
+    const outputAmount = swap.fill ? swap.fill.outAmount : parseFloat(swap.outAmount) / Math.pow(10, outputDecimals);
+
+    spinner.succeed(`Successfully swapped ${inputAmount.toLocaleString()} for ${swap.fill ? '' : 'approximately '}${outputAmount.toLocaleString()} tokens!`);
+    if (swap.fill) {
+      if (!options.silent) printFillReport(swap.fill, side);
+    } else {
+      log('Amounts are estimated from the quote - the transaction could not be fetched');
+      if (swap.fee.paidLamports !== null) {
+        log(`Network Fee Paid: ${swap.fee.paidLamports / LAMPORTS_PER_SOL} SOL`);
+      }
+    }
+    log(`Transaction ID: ${swap.txid}`);
+    if (swap.fee.computeUnitPriceMicroLamports) {
+      log(`Priority Fee: ${swap.fee.computeUnitPriceMicroLamports} microLamports`);
+    }
+    if (swap.bundle) {
+      log(swap.bundle.fallback
+        ? `Jito bundle ${swap.bundle.status.toLowerCase()} - sent through RPC instead`
+        : `Landed via Jito bundle (tip ${swap.bundle.tipLamports / LAMPORTS_PER_SOL} SOL)`);
+    }
+    if (!options.silent) printSwapAttempts(swap.attempts);
+
+    if (options.journal !== false) {
+      // The token side of a buy or sell; a token-to-token swap is recorded by what it received
+      const selling = side === 'sell';
+      recordTrade({
+        side,
+        wallet: options.walletName || keypair.publicKey.toString(),
+        walletPublicKey: keypair.publicKey.toString(),
+        mint: selling ? inputMint : outputMint,
+        solAmount: side === 'buy' ? inputAmount : selling ? outputAmount : 0,
+        tokenAmount: selling ? inputAmount : outputAmount,
+        rawTokenAmount: selling ? inputRaw : outputRaw,
+        decimals: selling ? inputDecimals : outputDecimals,
+        ...(side === 'swap' ? { inputMint, inputAmount, rawInputAmount: inputRaw } : {}),
+        feeLamports: swap.fee.paidLamports,
+        priorityFeeLamports: swap.fill ? swap.fill.priorityFeeLamports : swap.fee.priorityFeeLamports,
+        slippageBps: swap.slippageBps,
+        txid: swap.txid,
+        status: swap.status
+      });
+    }
+
+    return {
+      success: true,
+      txid: swap.txid,
+      inputMint,
+      outputMint,
+      inputAmount,
+      outputAmount,
+      fee: swap.fee,
+      fill: swap.fill,
+      attempts: swap.attempts,
+      status: swap.status
+    };
+  } catch (error) {
+    spinner.fail(`Error swapping tokens: ${error.message}`);
+    if (!options.silent) console.error('Full error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  swapToken
+};
@@ -0,0 +1,162 @@
+// test/chatBot.test.js - Chat commands over the mock transport: whitelist, confirm buttons, expiry and notifications
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+
+const { TOKEN_MINT, stubModule } = require('./helpers');
+
+// Trades the bot submitted, and what they return
+const trades = [];
+let tradeResult;
+stubModule('./buyToken', {
+  buyToken: async (keypair, mint, options) => {
+    trades.push({ side: 'buy', mint, ...options });
+    return tradeResult;
+  }
+});
+stubModule('./sellToken', {
+  sellToken: async (keypair, mint, options) => {
+    trades.push({ side: 'sell', mint, ...options });
+    return tradeResult;
+  }
+});
+
+const { createChatBot, createMockTransport } = require('../chatBot');
+
+const OWNER = '111';
+const config = {
+  chatBot: { allowedUserIds: [OWNER, 222], notifyChatIds: ['-100'], confirmTimeoutSeconds: 60, maxBuySol: 1 }
+};
+
+let transport;
+let answers;
+let bot;
+
+function setup() {
+  transport = createMockTransport();
+  answers = [];
+  transport.answerCallback = async (callbackId, text) => {
+    answers.push(text);
+  };
+  bot = createChatBot({
+    transport,
+    keypair: Keypair.generate(),
+    walletName: 'chat',
+    config,
+    tradeOptions: { feeType: 'high' }
+  });
+  bot.start();
+}
+
+const lastText = () => transport.sent[transport.sent.length - 1].text;
+const buttonData = (label) => {
+  const message = [...transport.sent].reverse().find(m => m.buttons);
+  return message.buttons.find(button => button.text === label).data;
+};
+
+describe('chat bot', () => {
+  beforeEach(() => {
+    trades.length = 0;
+    tradeResult = { success: true, txid: 'tx-1', status: 'confirmed', amount: 1500, amountSol: 0.5 };
+    setup();
+  });
+
+  test('refuses to start without a whitelist', () => {
+    assert.throws(
+      () => createChatBot({ transport: createMockTransport(), keypair: Keypair.generate(), config: {} }),
+      /set chatBot.allowedUserIds/
+    );
+  });
+
+  test('confirmed buys are submitted and the result goes to the chat and the notify chats', async () => {
+    await transport.sendText(OWNER, `/buy ${TOKEN_MINT} 0.5`);
+    assert.strictEqual(lastText(), `Confirm: buy ${TOKEN_MINT} for 0.5 SOL?`);
+    assert.deepStrictEqual(transport.sent[0].buttons.map(button => button.text), ['Confirm', 'Cancel']);
+    assert.strictEqual(trades.length, 0, 'nothing trades before confirmation');
+
+    await transport.press(OWNER, buttonData('Confirm'));
+    await bot.idle();
+
+    assert.deepStrictEqual(answers, ['Submitting...']);
+    assert.strictEqual(transport.sent[0].buttons, null, 'buttons are removed once pressed');
+    assert.strictEqual(trades.length, 1);
+    assert.deepStrictEqual(
+      { side: trades[0].side, mint: trades[0].mint, amount: trades[0].amount, feeType: trades[0].feeType, walletName: trades[0].walletName },
+      { side: 'buy', mint: TOKEN_MINT, amount: 0.5, feeType: 'high', walletName: 'chat' }
+    );
+
+    const results = transport.sent.filter(message => message.text.startsWith('Trade confirmed'));
+    assert.deepStrictEqual(results.map(message => message.chatId), [OWNER, '-100']);
+    assert.match(results[0].text, /Bought 1,500 tokens for 0.5 SOL\nhttps:\/\/solscan.io\/tx\/tx-1/);
+  });
+
+  test('failed trades are reported with their transaction', async () => {
+    tradeResult = { success: false, error: 'Slippage exceeded', txid: 'tx-9' };
+    await transport.sendText(222, `/sell ${TOKEN_MINT} 50%`);
+    await transport.press(222, buttonData('Confirm'));
+    await bot.idle();
+
+    assert.strictEqual(trades[0].percentage, 50);
+    const failures = transport.sent.filter(message => message.text.startsWith('Trade failed'));
+    assert.deepStrictEqual(failures.map(message => message.chatId), ['222', '-100']);
+    assert.strictEqual(failures[0].text, `Trade failed: sell 50% of ${TOKEN_MINT}\nError: Slippage exceeded\nTransaction: tx-9`);
+  });
+
+  test('cancelled trades are dropped', async () => {
+    await transport.sendText(OWNER, `/buy ${TOKEN_MINT} 0.5`);
+    const confirm = buttonData('Confirm');
+    await transport.press(OWNER, buttonData('Cancel'));
+    assert.strictEqual(lastText(), `Cancelled: buy ${TOKEN_MINT} for 0.5 SOL`);
+
+    // The confirmation cannot be used afterwards
+    await transport.press(OWNER, confirm);
+    await bot.idle();
+    assert.deepStrictEqual(answers, ['Cancelled', 'This confirmation is no longer valid']);
+    assert.strictEqual(trades.length, 0);
+  });
+
+  test('confirmations expire', async (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    await transport.sendText(OWNER, `/buy ${TOKEN_MINT} 0.5`);
+
+    Date.now.mock.mockImplementation(() => now + 61000);
+    await transport.press(OWNER, buttonData('Confirm'));
+    await bot.idle();
+
+    assert.deepStrictEqual(answers, ['This confirmation is no longer valid']);
+    assert.strictEqual(trades.length, 0);
+  });
+
+  test('only whitelisted users can command the bot or press its buttons', async () => {
+    await transport.sendText('999', `/buy ${TOKEN_MINT} 0.5`);
+    assert.strictEqual(lastText(), 'You are not authorized to use this bot.');
+    assert.strictEqual(transport.sent.some(message => message.buttons), false);
+
+    // Another user in a group chat cannot confirm the owner's trade, whitelisted or not
+    await transport.sendText(OWNER, `/buy ${TOKEN_MINT} 0.5`, '-100');
+    await transport.press('999', buttonData('Confirm'), '-100');
+    await transport.press(222, buttonData('Confirm'), '-100');
+    await bot.idle();
+
+    assert.deepStrictEqual(answers, ['Not authorized', 'This confirmation is no longer valid']);
+    assert.strictEqual(trades.length, 0);
+
+    // The owner still can
+    await transport.press(OWNER, buttonData('Confirm'), '-100');
+    await bot.idle();
+    assert.strictEqual(trades.length, 1);
+  });
+
+  test('rejects buys above chatBot.maxBuySol and malformed commands', async () => {
+    await transport.sendText(OWNER, `/buy ${TOKEN_MINT} 5`);
+    assert.strictEqual(lastText(), 'Error: Buys from chat are limited to 1 SOL (chatBot.maxBuySol)');
+    await transport.sendText(OWNER, `/sell ${TOKEN_MINT} 150%`);
+    assert.strictEqual(lastText(), 'Error: Percentage must be between 0 and 100');
+    await transport.sendText(OWNER, '/buy not-a-mint 0.5');
+    assert.strictEqual(lastText(), 'Error: Invalid token address: not-a-mint');
+    await transport.sendText(OWNER, '/buy@SolBot');
+    assert.strictEqual(lastText(), 'Error: Usage: /buy <mint> <sol>');
+    assert.strictEqual(transport.sent.some(message => message.buttons), false);
+  });
+});
@@ -0,0 +1,112 @@
+// test/helpers.js - Fakes shared by the tests: Jupiter client, RPC connection and stubbed modules
+const path = require('path');
+const {
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Settings in the config.json format, without the network-facing extras
+function testConfig(overrides = {}) {
+  return {
+    rpcUrl: 'http://127.0.0.1:1',
+    defaultBuyAmount: 0.1,
+    defaultFee: 'medium',
+    slippage: 1,
+    maxSlippage: 5,
+    slippageStep: 0.5,
+    retry: { maxAttempts: 3, stepSlippage: true, stepFee: true, feeBoostStep: 0.5, maxFeeBoost: 3 },
+    antiMEV: true,
+    confirmCommitment: 'confirmed',
+    jito: { enabled: false },
+    dynamicFee: false,
+    priorityFeeMultiplier: 2,
+    feeLevels: { low: 200000, medium: 400000, high: 800000, urgent: 1200000, custom: 0 },
+    ...overrides
+  };
+}
+
+/**
+ * Replace exports of a repo module. Must run before the modules that destructure them are required.
+ * @param {string} name Module path relative to the repo root, e.g. './connectionManager'
+ * @param {Object} overrides Exports to replace
+ * @returns {Object} The module's exports
+ */
+function stubModule(name, overrides) {
+  const exports = require(path.join(__dirname, '..', name));
+  Object.assign(exports, overrides);
+  return exports;
+}
+
+// Unsigned v0 transaction paying 1 lamport from the wallet to itself, as Jupiter's swapPost returns it
+function buildSwapTransaction(keypair) {
+  const message = new TransactionMessage({
+    payerKey: keypair.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: keypair.publicKey, lamports: 1 })]
+  }).compileToV0Message();
+  return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+/**
+ * Fake Jupiter API client
+ * @param {Keypair} keypair Wallet the swap transactions are built for
+ * @param {Object} quote Quote fields to override
+ * @returns {Object} Client with quoteGet/swapPost and the requests they received
+ */
+function createFakeJupiter(keypair, quote = {}) {
+  const client = {
+    quotes: [],
+    swaps: [],
+    async quoteGet(params) {
+      client.quotes.push(params);
+      return {
+        inputMint: params.inputMint,
+        outputMint: params.outputMint,
+        inAmount: params.amount,
+        outAmount: '1000000',
+        otherAmountThreshold: '990000',
+        slippageBps: params.slippageBps,
+        priceImpactPct: '0.001',
+        routePlan: [{ swapInfo: { label: 'Fake AMM' } }],
+        ...quote
+      };
+    },
+    async swapPost(request) {
+      client.swaps.push(request);
+      return { swapTransaction: buildSwapTransaction(keypair), lastValidBlockHeight: 1000 };
+    }
+  };
+  return client;
+}
+
+/**
+ * Fake RPC connection for the swap pipeline
+ * @param {Object} overrides Methods to replace
+ * @returns {Object} Connection
+ */
+function createFakeConnection(overrides = {}) {
+  return {
+    rpcEndpoint: 'http://fake',
+    async getRecentPrioritizationFees() { return []; },
+    async getFeeForMessage() { return { value: 5000 }; },
+    async getSignatureStatuses(signatures) { return { value: signatures.map(() => null) }; },
+    async getTransaction() { return null; },
+    async getBlockHeight() { return 1; },
+    ...overrides
+  };
+}
+
+module.exports = {
+  SOL_MINT,
+  TOKEN_MINT,
+  testConfig,
+  stubModule,
+  buildSwapTransaction,
+  createFakeJupiter,
+  createFakeConnection
+};
@@ -0,0 +1,132 @@
+// test/jito.test.js - Jito bundle submission, status tracking and fallback against the mock block engine
+const { test, describe, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Keypair, VersionedTransaction } = require('@solana/web3.js');
+
+const { SOL_MINT, TOKEN_MINT, testConfig, stubModule, createFakeJupiter, createFakeConnection } = require('./helpers');
+const { startMockBlockEngine } = require('./mockBlockEngine');
+
+// The swap engine sends and confirms through these
+const sent = [];
+const confirmations = [];
+stubModule('./connectionManager', {
+  getConnection: () => createFakeConnection(),
+  broadcastTransaction: async (rawTransaction) => {
+    sent.push(Buffer.from(rawTransaction).toString('base64'));
+    return 'broadcast-signature';
+  },
+  confirmTransaction: async (signature, options) => {
+    confirmations.push({ signature, ...options });
+    return { success: true, status: 'confirmed', transaction: null };
+  }
+});
+
+const { sendBundle, getBundleStatus, waitForBundle, getJitoConfig, getTransactionSignature } = require('../jito');
+const { executeSwap } = require('../swapEngine');
+
+const keypair = Keypair.generate();
+
+function swap(blockEngineUrl, jito = {}) {
+  return executeSwap(keypair, { inputMint: SOL_MINT, outputMint: TOKEN_MINT, amount: 100000000 }, {
+    config: testConfig({ jito: { enabled: true, blockEngineUrl, statusPollMs: 10, bundleTimeoutMs: 500, ...jito } }),
+    jupiterApi: createFakeJupiter(keypair)
+  });
+}
+
+describe('block engine client', () => {
+  let engine;
+  after(() => engine && engine.close());
+
+  test('submits a bundle and polls its status until it lands', async () => {
+    engine = await startMockBlockEngine({ statuses: ['Pending', 'Pending', 'Landed'] });
+    const tx = { serialize: () => Buffer.from('signed') };
+    const bundleId = await sendBundle(engine.url, [tx, tx]);
+
+    assert.strictEqual(bundleId, 'bundle-1');
+    assert.deepStrictEqual(engine.bundles[0], [Buffer.from('signed').toString('base64'), Buffer.from('signed').toString('base64')]);
+
+    const jitoConfig = getJitoConfig({ jito: { statusPollMs: 10, bundleTimeoutMs: 1000 } });
+    const status = await waitForBundle(engine.url, bundleId, jitoConfig);
+    assert.deepStrictEqual(status, { status: 'Landed', landedSlot: 123 });
+    assert.strictEqual(engine.statusRequests, 3);
+  });
+
+  test('reports a bundle that never settles as Timeout', async () => {
+    await engine.close();
+    engine = await startMockBlockEngine({ statuses: ['Pending'] });
+    const jitoConfig = getJitoConfig({ jito: { statusPollMs: 10, bundleTimeoutMs: 100 } });
+    const status = await waitForBundle(engine.url, 'bundle-1', jitoConfig);
+    assert.strictEqual(status.status, 'Timeout');
+  });
+
+  test('surfaces block engine errors', async () => {
+    await engine.close();
+    engine = await startMockBlockEngine({ rejectBundles: 'bundle contains an expired blockhash' });
+    await assert.rejects(sendBundle(engine.url, []), /sendBundle failed: bundle contains an expired blockhash/);
+    await assert.rejects(getBundleStatus(`${engine.url}/missing`, 'bundle-1'), /HTTP 404/);
+  });
+});
+
+describe('swap with jito enabled', () => {
+  let engine;
+  beforeEach(() => {
+    sent.length = 0;
+    confirmations.length = 0;
+  });
+  after(() => engine && engine.close());
+
+  test('a landed bundle is not broadcast again and pays the tip', async () => {
+    engine = await startMockBlockEngine({ statuses: ['Pending', 'Landed'] });
+    const result = await swap(engine.url);
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(engine.bundles.length, 1);
+    assert.strictEqual(engine.bundles[0].length, 2, 'swap plus tip transaction');
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual(result.bundle.status, 'Landed');
+    assert.strictEqual(result.bundle.fallback, false);
+    assert.strictEqual(result.fee.tipLamports, 10000);
+    // Confirmed without rebroadcasting
+    assert.strictEqual(confirmations.length, 1);
+    assert.strictEqual(confirmations[0].rawTransaction, null);
+    assert.strictEqual(confirmations[0].signature, result.txid);
+  });
+
+  test('a failed bundle falls back to a normal send of the same signed swap', async () => {
+    await engine.close();
+    engine = await startMockBlockEngine({ statuses: ['Failed'] });
+    const result = await swap(engine.url);
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.bundle.status, 'Failed');
+    assert.strictEqual(result.bundle.fallback, true);
+    assert.strictEqual(result.fee.tipLamports, 0);
+    assert.deepStrictEqual(sent, [engine.bundles[0][0]]);
+    assert.ok(confirmations[0].rawTransaction, 'the fallback send is rebroadcast while confirming');
+    // Same signature as the bundled swap, so a late-landing bundle cannot execute twice
+    const bundled = VersionedTransaction.deserialize(Buffer.from(engine.bundles[0][0], 'base64'));
+    assert.strictEqual(result.txid, getTransactionSignature(bundled));
+  });
+
+  test('a pending bundle falls back once the bundle timeout passes', async () => {
+    await engine.close();
+    engine = await startMockBlockEngine({ statuses: ['Pending'] });
+    const result = await swap(engine.url, { bundleTimeoutMs: 100 });
+
+    assert.strictEqual(result.bundle.status, 'Timeout');
+    assert.strictEqual(result.bundle.fallback, true);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  test('a rejected bundle falls back without waiting', async () => {
+    await engine.close();
+    engine = await startMockBlockEngine({ rejectBundles: 'rate limited' });
+    const result = await swap(engine.url);
+
+    assert.strictEqual(result.bundle.status, 'NotSent');
+    assert.match(result.bundle.error, /rate limited/);
+    assert.strictEqual(engine.statusRequests, 0);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(result.txid, 'broadcast-signature');
+  });
+});
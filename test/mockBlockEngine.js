@@ -0,0 +1,55 @@
+// test/mockBlockEngine.js - Local stand-in for a Jito block engine (point jito.blockEngineUrl at it)
+const http = require('http');
+
+/**
+ * Start a mock block engine on a free local port
+ * @param {Object} options Behaviour
+ * @param {Array<string>} options.statuses Bundle statuses returned by successive status polls; the last one repeats
+ * @param {string} options.rejectBundles Error message returned to sendBundle instead of a bundle ID
+ * @returns {Promise<Object>} { url, bundles, statusRequests, close }; bundles holds the submitted base64 transactions
+ */
+async function startMockBlockEngine(options = {}) {
+  const statuses = options.statuses || ['Landed'];
+  const engine = { url: null, bundles: [], statusRequests: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body || '{}');
+      const reply = (payload) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...payload }));
+      };
+
+      if (req.url === '/api/v1/bundles' && request.method === 'sendBundle') {
+        if (options.rejectBundles) {
+          reply({ error: { code: -32602, message: options.rejectBundles } });
+          return;
+        }
+        engine.bundles.push(request.params[0]);
+        reply({ result: `bundle-${engine.bundles.length}` });
+      } else if (req.url === '/api/v1/getInflightBundleStatuses' && request.method === 'getInflightBundleStatuses') {
+        const status = statuses[Math.min(engine.statusRequests, statuses.length - 1)];
+        engine.statusRequests++;
+        reply({
+          result: {
+            value: request.params[0].map(bundleId => ({ bundle_id: bundleId, status, landed_slot: status === 'Landed' ? 123 : null }))
+          }
+        });
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  engine.url = `http://127.0.0.1:${server.address().port}`;
+  engine.close = () => new Promise(resolve => server.close(resolve));
+  return engine;
+}
+
+module.exports = {
+  startMockBlockEngine
+};
@@ -0,0 +1,162 @@
+// test/sniper.test.js - Pool detection, filters and the session spend cap over recorded log events
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+
+const { SOL_MINT, stubModule } = require('./helpers');
+
+// Recorded by runSniper's record option: Raydium pools (with their parsed transaction) and pump.fun creations
+const FIXTURE = path.join(__dirname, 'fixtures', 'sniper-events.jsonl');
+const events = fs.readFileSync(FIXTURE, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+  try {
+    return [JSON.parse(line)];
+  } catch (error) {
+    return [];
+  }
+});
+const [dogePool, smallPool, usdcPool, pepeCreate, rugCreate, dogeAgain, failedPool, catCreate] = events;
+const RUG_CREATOR = '8EYKVyNCsDFHkxos7V4kr8bMouYU2nPJ1QXk2ET8FBc7';
+
+// The live sniper subscribes through this connection and buys through this function
+const subscriptions = [];
+const buys = [];
+let buyResults = [];
+stubModule('./connectionManager', {
+  getConnection: () => ({
+    onLogs: (programId, callback) => subscriptions.push(callback) - 1,
+    removeOnLogsListener: async () => {}
+  })
+});
+stubModule('./buyToken', {
+  buyToken: async (keypair, mint, options) => {
+    buys.push({ mint, amount: options.amount });
+    const result = buyResults.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  }
+});
+
+const { detectPool, evaluatePool, getSniperConfig, replaySniperLog, runSniper } = require('../sniper');
+
+const quiet = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+describe('detectPool', () => {
+  test('decodes a Raydium pool from its initialize2 instruction and log line', () => {
+    const pool = detectPool(dogePool);
+    assert.strictEqual(pool.source, 'raydium-amm');
+    assert.strictEqual(pool.mint, 'EvFUfisEScFuZSqDXagC17m3bpP32B74dseMHtzQ5TNb');
+    assert.strictEqual(pool.quoteMint, SOL_MINT);
+    assert.strictEqual(pool.creator, 'EoEYzKp2BrTDFyXnyhy1pDdZhg8P9Wuu6L5fJHmand9G');
+    assert.strictEqual(pool.liquiditySol, 50);
+    assert.strictEqual(pool.symbol, 'DMOON', 'name from the recorded metadata');
+    assert.strictEqual(pool.signature, dogePool.signature);
+  });
+
+  test('decodes a pump.fun CreateEvent', () => {
+    const pool = detectPool(pepeCreate);
+    assert.deepStrictEqual(
+      { mint: pool.mint, creator: pool.creator, name: pool.name, symbol: pool.symbol, liquiditySol: pool.liquiditySol },
+      { mint: 'GRk8QpY5MRkQTRX7H2eTZVrAgxa33gXG5NRsrdBEx9VC', creator: 'DBJxWBVqKFAxQ2bi3xAJ2rE8PBvREuesiXJ8iKB28aQX', name: 'Pepe Classic', symbol: 'PEPEC', liquiditySol: null }
+    );
+  });
+
+  test('ignores failed transactions and unrelated logs', () => {
+    assert.strictEqual(detectPool(failedPool), null);
+    assert.strictEqual(detectPool({ ...pepeCreate, logs: ['Program log: Instruction: Buy'] }), null);
+    assert.strictEqual(detectPool({ ...dogePool, transaction: null }), null);
+  });
+});
+
+describe('evaluatePool', () => {
+  const sniperConfig = getSniperConfig({ sniper: { creatorDenylist: [RUG_CREATOR] } });
+
+  test('passes a SOL pool above the minimum liquidity', () => {
+    assert.deepStrictEqual(evaluatePool(detectPool(dogePool), sniperConfig), { passed: true, reasons: [] });
+  });
+
+  test('reports every reason a pool is rejected', () => {
+    assert.deepStrictEqual(evaluatePool(detectPool(smallPool), sniperConfig).reasons, ['Liquidity 2 SOL below 10 SOL']);
+    assert.deepStrictEqual(evaluatePool(detectPool(usdcPool), sniperConfig).reasons, ['Not paired with SOL', 'Unknown initial liquidity']);
+    assert.deepStrictEqual(evaluatePool(detectPool(rugCreate), sniperConfig).reasons, [`Creator ${RUG_CREATOR} is denylisted`]);
+  });
+
+  test('matches name patterns against name and symbol', () => {
+    const patterns = getSniperConfig({ sniper: { minLiquiditySol: 0, namePatterns: ['pepe|cat'], excludeNamePatterns: ['classic'] } });
+    assert.deepStrictEqual(evaluatePool(detectPool(catCreate), patterns), { passed: true, reasons: [] });
+    assert.deepStrictEqual(evaluatePool(detectPool(pepeCreate), patterns).reasons, ['Name "Pepe Classic PEPEC" matches excluded pattern classic']);
+    assert.deepStrictEqual(evaluatePool(detectPool(smallPool), patterns).reasons, ['Unknown token name']);
+  });
+
+  test('rejects unknown sources and invalid patterns up front', () => {
+    assert.throws(() => getSniperConfig({ sniper: { sources: ['orca'] } }), /Unknown sniper source "orca"/);
+    assert.throws(() => getSniperConfig({ sniper: { namePatterns: ['('] } }), /Invalid sniper name pattern/);
+  });
+});
+
+describe('replaySniperLog', () => {
+  const config = { sniper: { sources: ['raydium-amm', 'pumpfun'], creatorDenylist: [RUG_CREATOR] } };
+
+  test('buys each new mint that passes the filters once', async () => {
+    const summary = await quiet(() => replaySniperLog(FIXTURE, { config, amountSol: 0.1, maxSpendSol: 1 }));
+
+    // dogeAgain repeats a seen mint and failedPool carries an error
+    assert.strictEqual(summary.detected, 6);
+    assert.strictEqual(summary.passed, 3);
+    assert.deepStrictEqual(summary.buys.map(buy => buy.signature), [dogePool.signature, pepeCreate.signature, catCreate.signature]);
+    assert.ok(!summary.buys.some(buy => buy.signature === dogeAgain.signature));
+    assert.ok(Math.abs(summary.spentSol - 0.3) < 1e-9, `spent ${summary.spentSol}`);
+  });
+
+  test('stops buying at the session spend cap', async () => {
+    const summary = await quiet(() => replaySniperLog(FIXTURE, { config, amountSol: 0.1, maxSpendSol: 0.2 }));
+
+    assert.strictEqual(summary.passed, 3);
+    assert.deepStrictEqual(summary.buys.map(buy => buy.signature), [dogePool.signature, pepeCreate.signature]);
+    assert.strictEqual(summary.spentSol, 0.2);
+  });
+
+  test('only replays the configured sources', async () => {
+    const summary = await quiet(() => replaySniperLog(FIXTURE, { config, sources: ['pumpfun'], amountSol: 0.1 }));
+    assert.strictEqual(summary.detected, 3);
+    assert.deepStrictEqual(summary.buys.map(buy => buy.signature), [pepeCreate.signature, catCreate.signature]);
+  });
+});
+
+describe('runSniper spend cap', () => {
+  test('counts buys that were sent against the cap even when they report a failure', async () => {
+    buyResults = [
+      new Error('Quote failed'),
+      { success: false, txid: 'tx-2', status: 'landed', error: 'Transaction landed but did not reach confirmed' },
+      { success: true, txid: 'tx-3' }
+    ];
+
+    const summary = await quiet(async () => {
+      const running = runSniper(Keypair.generate(), {
+        config: { sniper: { sources: ['pumpfun'], amountSol: 0.1, maxSessionSpendSol: 0.2 } }
+      });
+      [pepeCreate, rugCreate, catCreate].forEach(event => {
+        subscriptions[0]({ signature: event.signature, err: null, logs: event.logs }, { slot: event.slot });
+      });
+      return running;
+    });
+
+    assert.strictEqual(buys.length, 3);
+    assert.deepStrictEqual(summary.buys.map(buy => [buy.success, buy.txid, buy.error]), [
+      [false, null, 'Quote failed'],
+      [false, 'tx-2', 'Transaction landed but did not reach confirmed'],
+      [true, 'tx-3', null]
+    ]);
+    // The failure with nothing sent is released; the landed one stays reserved and the cap ends the session
+    assert.strictEqual(summary.spentSol, 0.2);
+  });
+});
@@ -0,0 +1,107 @@
+// test/swapRetry.test.js - Retry policy: re-quote after failures, but never resend a swap that already landed
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+
+const { SOL_MINT, TOKEN_MINT, testConfig, stubModule, createFakeJupiter, createFakeConnection } = require('./helpers');
+
+// Per test: confirmation results in send order, and what the signature history says about a signature
+let scenario;
+const historyLookups = [];
+const connection = createFakeConnection({
+  async getSignatureStatuses(signatures, options) {
+    historyLookups.push({ signature: signatures[0], ...options });
+    if (scenario.lookupError) {
+      throw new Error(scenario.lookupError);
+    }
+    return { value: signatures.map(signature => scenario.history[signature] || null) };
+  }
+});
+
+stubModule('./connectionManager', {
+  getConnection: () => connection,
+  broadcastTransaction: async () => `sig-${++scenario.sends}`,
+  confirmTransaction: async (signature) => scenario.confirmations[signature] || { success: true, status: 'confirmed', transaction: null }
+});
+
+const { executeSwapWithRetry } = require('../swapEngine');
+
+const keypair = Keypair.generate();
+const expired = { success: false, status: 'expired', error: 'Blockhash expired before the transaction reached confirmed' };
+
+function swap(jupiterApi = createFakeJupiter(keypair)) {
+  return executeSwapWithRetry(keypair, { inputMint: SOL_MINT, outputMint: TOKEN_MINT, amount: 100000000 }, {
+    config: testConfig(),
+    jupiterApi
+  });
+}
+
+describe('executeSwapWithRetry', () => {
+  beforeEach(() => {
+    scenario = { sends: 0, confirmations: {}, history: {} };
+    historyLookups.length = 0;
+  });
+
+  test('does not resend an expired swap that landed', async () => {
+    scenario.confirmations['sig-1'] = expired;
+    scenario.history['sig-1'] = { err: null, confirmationStatus: 'confirmed' };
+    const jupiter = createFakeJupiter(keypair);
+
+    const result = await swap(jupiter);
+
+    assert.strictEqual(scenario.sends, 1);
+    assert.strictEqual(jupiter.quotes.length, 1, 'no re-quote');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 'landed');
+    assert.match(result.error, /sig-1 landed \(confirmed\).*not resending/);
+    assert.deepStrictEqual(historyLookups, [{ signature: 'sig-1', searchTransactionHistory: true }]);
+    assert.strictEqual(result.attempts.length, 1);
+    assert.strictEqual(result.attempts[0].failure, null);
+  });
+
+  test('re-quotes and resends an expired swap that never landed', async () => {
+    scenario.confirmations['sig-1'] = expired;
+    const jupiter = createFakeJupiter(keypair);
+
+    const result = await swap(jupiter);
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(scenario.sends, 2);
+    assert.strictEqual(jupiter.quotes.length, 2);
+    assert.strictEqual(result.txid, 'sig-2');
+    assert.deepStrictEqual(result.attempts.map(attempt => attempt.failure), ['blockhash', null]);
+    assert.deepStrictEqual(result.attempts.map(attempt => attempt.feeBoost), [1, 1.5]);
+  });
+
+  test('resends when the expired swap failed on chain', async () => {
+    scenario.confirmations['sig-1'] = expired;
+    scenario.history['sig-1'] = { err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'confirmed' };
+
+    const result = await swap();
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(scenario.sends, 2);
+  });
+
+  test('does not resend when the history lookup fails', async () => {
+    scenario.confirmations['sig-1'] = expired;
+    scenario.lookupError = 'RPC unavailable';
+
+    const result = await swap();
+
+    assert.strictEqual(scenario.sends, 1);
+    assert.strictEqual(result.status, 'expired');
+    assert.match(result.error, /could not check whether sig-1 landed \(RPC unavailable\), not resending/);
+  });
+
+  test('widens slippage after a slippage failure without a history lookup', async () => {
+    scenario.confirmations['sig-1'] = { success: false, status: 'failed', error: { InstructionError: [3, { Custom: 6001 }] } };
+
+    const result = await swap();
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(scenario.sends, 2);
+    assert.strictEqual(historyLookups.length, 0);
+    assert.deepStrictEqual(result.attempts.map(attempt => attempt.slippageBps), [100, 150]);
+  });
+});
@@ -0,0 +1,131 @@
+// tokenPrograms.js - Helpers covering both the SPL Token and Token-2022 programs
+const { PublicKey, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { Token } = require('@solana/spl-token');
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+/**
+ * Get all parsed token accounts of a wallet across both token programs
+ * @param {Connection} connection Connection to use
+ * @param {PublicKey} owner Wallet public key
+ * @returns {Promise<Array<Object>>} Parsed accounts ({ pubkey, account, programId })
+ */
+async function getParsedTokenAccounts(connection, owner) {
+  const responses = await Promise.all(TOKEN_PROGRAM_IDS.map(programId =>
+    connection.getParsedTokenAccountsByOwner(owner, { programId })
+  ));
+
+  return responses.flatMap((response, index) =>
+    response.value.map(account => ({ ...account, programId: TOKEN_PROGRAM_IDS[index] }))
+  );
+}
+
+// Pick the transfer fee that applies in the given epoch
+function getActiveTransferFee(transferFeeConfig, epoch) {
+  const newer = transferFeeConfig.newerTransferFee;
+  const older = transferFeeConfig.olderTransferFee;
+  const active = newer && epoch >= newer.epoch ? newer : older;
+  if (!active) {
+    return null;
+  }
+  return {
+    basisPoints: active.transferFeeBasisPoints,
+    maximumFee: BigInt(active.maximumFee)
+  };
+}
+
+/**
+ * Load a mint's decimals, owning program and Token-2022 extensions
+ * @param {Connection} connection Connection to use
+ * @param {string} mint Mint address
+ * @returns {Promise<Object>} { mint, decimals, supply, programId, isToken2022, mintAuthority, freezeAuthority, extensions, transferFee }
+ */
+async function getMintInfo(connection, mint) {
+  const accountInfo = await connection.getParsedAccountInfo(new PublicKey(mint));
+  const value = accountInfo && accountInfo.value;
+  const parsed = value && value.data && value.data.parsed;
+  if (!parsed || parsed.type !== 'mint') {
+    throw new Error(`Account ${mint} is not a token mint`);
+  }
+
+  const programId = value.owner;
+  const extensions = parsed.info.extensions || [];
+  const transferFeeExtension = extensions.find(extension => extension.extension === 'transferFeeConfig');
+
+  let transferFee = null;
+  if (transferFeeExtension) {
+    const { epoch } = await connection.getEpochInfo();
+    transferFee = getActiveTransferFee(transferFeeExtension.state, epoch);
+  }
+
+  return {
+    mint,
+    decimals: parsed.info.decimals,
+    supply: parsed.info.supply,
+    programId,
+    isToken2022: programId.equals(TOKEN_2022_PROGRAM_ID),
+    mintAuthority: parsed.info.mintAuthority || null,
+    freezeAuthority: parsed.info.freezeAuthority || null,
+    extensions,
+    transferFee
+  };
+}
+
+/**
+ * Transfer fee withheld when moving an amount of a Token-2022 token
+ * @param {Object} mintInfo Mint info from getMintInfo
+ * @param {string|number|bigint} rawAmount Amount in raw units
+ * @returns {bigint} Fee in raw units (0n for mints without a transfer fee)
+ */
+function calculateTransferFee(mintInfo, rawAmount) {
+  if (!mintInfo || !mintInfo.transferFee || !mintInfo.transferFee.basisPoints) {
+    return 0n;
+  }
+  const amount = BigInt(rawAmount);
+  const fee = (amount * BigInt(mintInfo.transferFee.basisPoints) + 9999n) / 10000n;
+  return fee > mintInfo.transferFee.maximumFee ? mintInfo.transferFee.maximumFee : fee;
+}
+
+/**
+ * Close an empty token account and return its rent to the owner
+ * @param {Connection} connection Connection used to send the transaction
+ * @param {Keypair} keypair Account owner
+ * @param {string|PublicKey} tokenAccount Token account to close
+ * @param {PublicKey} programId Token program owning the account
+ * @returns {Promise<{txid: string, rentSol: number}>} Close transaction and reclaimed rent
+ */
+async function closeTokenAccount(connection, keypair, tokenAccount, programId) {
+  const accountPublicKey = new PublicKey(tokenAccount);
+  const accountInfo = await connection.getAccountInfo(accountPublicKey);
+  if (!accountInfo) {
+    throw new Error(`Token account ${accountPublicKey.toString()} does not exist`);
+  }
+
+  const transaction = new Transaction().add(
+    Token.createCloseAccountInstruction(programId, accountPublicKey, keypair.publicKey, keypair.publicKey, [])
+  );
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = keypair.publicKey;
+  transaction.sign(keypair);
+
+  const txid = await connection.sendRawTransaction(transaction.serialize());
+  const confirmation = await connection.confirmTransaction({ signature: txid, blockhash, lastValidBlockHeight });
+  if (confirmation.value.err) {
+    throw new Error(`Close account transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+  }
+
+  return { txid, rentSol: accountInfo.lamports / LAMPORTS_PER_SOL };
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_IDS,
+  getParsedTokenAccounts,
+  getMintInfo,
+  calculateTransferFee,
+  closeTokenAccount
+};
@@ -1,52 +1,207 @@
 // wallet.js
-const { Keypair } = require('@solana/web3.js');
+const { Keypair, PublicKey } = require('@solana/web3.js');
 const fs = require('fs');
 const path = require('path');
 const bs58 = require('bs58');
 const prompt = require('prompt-sync')({ sigint: true });
 const crypto = require('crypto');
 
+const { inputRequiredError } = require('./cli');
+
+// Current wallet file format. Version 1 (no version field) used AES-256-CBC
+// with a hardcoded password and a fixed salt.
+const WALLET_FORMAT_VERSION = 2;
+const WALLET_CIPHER = 'aes-256-gcm';
+
+// scrypt cost parameters written into every new wallet file
+const DEFAULT_KDF_PARAMS = {
+  N: 32768,
+  r: 8,
+  p: 1,
+  dklen: 32
+};
+
+// Only used to read (and migrate) wallet files written by older versions
+const LEGACY_PASSWORD = 'solana-meme-trader-password';
+
+// Environment variables that can supply passphrases without a prompt
+const PASSPHRASE_ENV = 'SOLBOT_WALLET_PASSPHRASE';
+const NEW_PASSPHRASE_ENV = 'SOLBOT_WALLET_NEW_PASSPHRASE';
+
+const MAX_PROMPT_ATTEMPTS = 3;
+
+// Passphrases read from file descriptors, keyed by fd (a descriptor can only be read once)
+const fdPassphrases = {};
+
+/**
+ * Read a passphrase from an open file descriptor (e.g. --passphrase-fd 3)
+ * @param {number|string} fd File descriptor number
+ * @param {boolean} unreadLine Require a line that has not been read yet instead of reusing the last one
+ * @returns {string} Passphrase without the trailing newline
+ */
+function readPassphraseFromFd(fd, unreadLine = false) {
+  const fdNumber = parseInt(fd, 10);
+  if (isNaN(fdNumber) || fdNumber < 0) {
+    throw new Error(`Invalid passphrase file descriptor: ${fd}`);
+  }
+
+  if (fdPassphrases[fdNumber] === undefined) {
+    const content = fs.readFileSync(fdNumber, 'utf8');
+    // A single descriptor may carry the current and the new passphrase on separate lines
+    const lines = content.split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    fdPassphrases[fdNumber] = { lines, next: 0 };
+  }
+
+  const { lines, next } = fdPassphrases[fdNumber];
+  if (next < lines.length) {
+    fdPassphrases[fdNumber].next++;
+    return lines[next];
+  }
+  if (unreadLine) {
+    throw new Error(`No new passphrase on file descriptor ${fdNumber} - give the current and the new passphrase on separate lines`);
+  }
+  // The last line is reused, so one passphrase can unlock several wallets
+  return lines[lines.length - 1];
+}
+
+/**
+ * Resolve a wallet passphrase from options, file descriptor, environment or prompt
+ * @param {Object} options Passphrase options
+ * @param {string} options.passphrase Passphrase passed in directly
+ * @param {number|string} options.passphraseFd File descriptor to read the passphrase from
+ * @param {string} options.envVar Environment variable to read the passphrase from
+ * @param {string} options.message Prompt message
+ * @param {boolean} options.confirm Ask twice when prompting (for new passphrases)
+ * @param {boolean} options.unreadFdLine Fail rather than reuse a passphrase already read from the descriptor
+ * @param {boolean} options.nonInteractive Throw instead of prompting
+ * @returns {{ passphrase: string, interactive: boolean }} Passphrase and whether it was prompted for
+ */
+function getPassphrase(options = {}) {
+  const envVar = options.envVar || PASSPHRASE_ENV;
+
+  if (options.passphrase) {
+    return { passphrase: options.passphrase, interactive: false };
+  }
+
+  if (options.passphraseFd !== undefined && options.passphraseFd !== null) {
+    return { passphrase: readPassphraseFromFd(options.passphraseFd, options.unreadFdLine), interactive: false };
+  }
+
+  if (process.env[envVar]) {
+    return { passphrase: process.env[envVar], interactive: false };
+  }
+
+  if (options.nonInteractive) {
+    throw inputRequiredError('Wallet passphrase', `set ${envVar} or use --passphrase-fd`);
+  }
+
+  const message = options.message || 'Enter wallet passphrase: ';
+  const passphrase = prompt.hide(message);
+  if (passphrase === null) {
+    throw new Error('Passphrase entry cancelled');
+  }
+
+  if (options.confirm) {
+    if (passphrase.length === 0) {
+      throw new Error('Passphrase cannot be empty');
+    }
+    const confirmation = prompt.hide('Confirm passphrase: ');
+    if (confirmation !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return { passphrase, interactive: true };
+}
+
+// Resolve the passphrase used to encrypt a new or re-encrypted wallet file. With replacesPassphrase, a
+// passphrase descriptor must carry a separate line for it, so the current passphrase is never silently reused.
+function getNewPassphrase(options = {}, message = 'Enter new wallet passphrase: ', envVar = PASSPHRASE_ENV, replacesPassphrase = false) {
+  const { passphrase } = getPassphrase({
+    passphrase: options.newPassphrase,
+    passphraseFd: options.newPassphraseFd !== undefined ? options.newPassphraseFd : options.passphraseFd,
+    unreadFdLine: replacesPassphrase,
+    envVar,
+    message,
+    confirm: true,
+    nonInteractive: options.nonInteractive
+  });
+
+  if (!passphrase) {
+    throw new Error('Passphrase cannot be empty');
+  }
+  return passphrase;
+}
+
+// Write a wallet file atomically and readable only by the owner
+function writeWalletFile(walletPath, walletFile) {
+  const dir = path.dirname(path.resolve(walletPath));
+  const tmpPath = path.join(dir, `.${path.basename(walletPath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, JSON.stringify(walletFile, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, walletPath);
+}
+
+// Ask before replacing an existing wallet file; never implied by --yes, since it destroys a key
+function confirmOverwrite(walletPath, action, options = {}) {
+  if (!fs.existsSync(walletPath)) {
+    return true;
+  }
+  if (options.nonInteractive) {
+    throw inputRequiredError(`Confirmation to overwrite ${walletPath}`, 'move the existing wallet away first');
+  }
+  console.log(`Wallet already exists at ${walletPath}`);
+  const overwrite = prompt('Do you want to overwrite it? (y/n): ').toLowerCase();
+  if (overwrite !== 'y') {
+    console.log(`Wallet ${action} cancelled.`);
+    return false;
+  }
+  return true;
+}
+
+// Encrypt a keypair with a passphrase and save it
+function saveKeypair(keypair, walletPath, passphrase) {
+  const walletData = {
+    publicKey: keypair.publicKey.toString(),
+    secretKey: bs58.encode(keypair.secretKey),
+  };
+
+  const encryptedWallet = encryptWallet(walletData, passphrase);
+  writeWalletFile(walletPath, encryptedWallet);
+  return walletData;
+}
+
 // Function to create a new wallet
-function createWallet(walletPath = 'wallet.json', withPassword = true) {
+function createWallet(walletPath = 'wallet.json', options = {}) {
   try {
     // Check if wallet already exists
-    if (fs.existsSync(walletPath)) {
-      console.log(`Wallet already exists at ${walletPath}`);
-      const overwrite = prompt('Do you want to overwrite it? (y/n): ').toLowerCase();
-      if (overwrite !== 'y') {
-        console.log('Wallet creation cancelled.');
-        return null;
-      }
+    if (!confirmOverwrite(walletPath, 'creation', options)) {
+      return null;
     }
 
     // Generate a new keypair
     const keypair = Keypair.generate();
-    
-    // Convert to storable format
-    const walletData = {
-      publicKey: keypair.publicKey.toString(),
-      secretKey: bs58.encode(keypair.secretKey),
-    };
-
-    // Use a hardcoded default password instead of prompting
-    const defaultPassword = "solana-meme-trader-password";
-    const encryptedWallet = encryptWallet(walletData, defaultPassword);
-    fs.writeFileSync(walletPath, JSON.stringify(encryptedWallet, null, 2));
+
+    const passphrase = getNewPassphrase(options, 'Choose a wallet passphrase: ');
+    const walletData = saveKeypair(keypair, walletPath, passphrase);
     console.log(`\nWallet created successfully at ${walletPath}`);
     console.log(`Your public key: ${walletData.publicKey}`);
-    
+
     return keypair;
   } catch (error) {
+    if (error.exitCode) throw error;
     console.error('Error creating wallet:', error.message);
     return null;
   }
 }
 
 // Function to import a wallet from private key
-function importWallet(privateKeyString, walletPath = 'wallet.json', withPassword = true) {
+function importWallet(privateKeyString, walletPath = 'wallet.json', options = {}) {
   try {
     let secretKey;
-    
+
     // Handle different private key formats
     if (privateKeyString.startsWith('[') && privateKeyString.endsWith(']')) {
       // Handle array format [1,2,3,...]
@@ -65,115 +220,226 @@ function importWallet(privateKeyString, walletPath = 'wallet.json', withPassword
         return null;
       }
     }
-    
+
     // Validate key length
     if (secretKey.length !== 64) {
       console.error('Invalid private key. Expected 64 bytes.');
       return null;
     }
-    
+
     // Create keypair
     const keypair = Keypair.fromSecretKey(secretKey);
-    
-    // Convert to storable format
-    const walletData = {
-      publicKey: keypair.publicKey.toString(),
-      secretKey: bs58.encode(keypair.secretKey),
-    };
-    
+
     // Check if wallet already exists
-    if (fs.existsSync(walletPath)) {
-      console.log(`Wallet already exists at ${walletPath}`);
-      const overwrite = prompt('Do you want to overwrite it? (y/n): ').toLowerCase();
-      if (overwrite !== 'y') {
-        console.log('Wallet import cancelled.');
-        return null;
-      }
+    if (!confirmOverwrite(walletPath, 'import', options)) {
+      return null;
     }
 
-    // Use a hardcoded default password instead of prompting
-    const defaultPassword = "solana-meme-trader-password";
-    const encryptedWallet = encryptWallet(walletData, defaultPassword);
-    fs.writeFileSync(walletPath, JSON.stringify(encryptedWallet, null, 2));
+    const passphrase = getNewPassphrase(options, 'Choose a wallet passphrase: ');
+    const walletData = saveKeypair(keypair, walletPath, passphrase);
     console.log(`\nWallet imported successfully at ${walletPath}`);
     console.log(`Your public key: ${walletData.publicKey}`);
-    
+
     return keypair;
   } catch (error) {
+    if (error.exitCode) throw error;
     console.error('Error importing wallet:', error.message);
     return null;
   }
 }
 
+// Check whether a wallet file was written by an older version of the bot
+function isLegacyWallet(walletData) {
+  return !walletData.version || walletData.version < WALLET_FORMAT_VERSION;
+}
+
+// Decrypt a current-format wallet file, retrying when the passphrase was typed in
+function unlockWallet(walletData, options = {}) {
+  let attempts = 0;
+
+  while (true) {
+    attempts++;
+    const { passphrase, interactive } = getPassphrase(options);
+
+    try {
+      return decryptWallet(walletData, passphrase);
+    } catch (error) {
+      if (!interactive || attempts >= MAX_PROMPT_ATTEMPTS) {
+        throw new Error('Incorrect passphrase or corrupted wallet file');
+      }
+      console.error('Incorrect passphrase, please try again.');
+    }
+  }
+}
+
+// Re-encrypt a legacy wallet file with a user passphrase
+function migrateLegacyWallet(walletPath, walletData, options = {}) {
+  let decryptedWallet;
+
+  if (walletData.iv && walletData.encrypted) {
+    decryptedWallet = decryptWallet(walletData, LEGACY_PASSWORD);
+  } else if (walletData.secretKey) {
+    decryptedWallet = walletData;
+  } else {
+    throw new Error('Invalid wallet format');
+  }
+
+  const keypair = Keypair.fromSecretKey(bs58.decode(decryptedWallet.secretKey));
+
+  console.log(`Wallet at ${walletPath} uses an outdated, insecure format and will be re-encrypted.`);
+  const passphrase = getNewPassphrase(options, 'Choose a wallet passphrase: ');
+  saveKeypair(keypair, walletPath, passphrase);
+  console.log(`Wallet at ${walletPath} migrated to format version ${WALLET_FORMAT_VERSION}.`);
+
+  return keypair;
+}
+
 // Function to load a wallet with password verification
-function loadWallet(walletPath = 'wallet.json') {
+function loadWallet(walletPath = 'wallet.json', options = {}) {
   try {
     if (!fs.existsSync(walletPath)) {
       console.log(`Wallet not found at ${walletPath}`);
+      if (options.nonInteractive) {
+        return null;
+      }
       const createNew = prompt('Do you want to create a new wallet? (y/n): ').toLowerCase();
       if (createNew === 'y') {
-        return createWallet(walletPath);
+        return createWallet(walletPath, options);
       } else {
         console.log('Wallet loading cancelled.');
         return null;
       }
     }
-    
+
     const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-    
-    // Check if wallet is encrypted
-    if (walletData.iv && walletData.encrypted) {
-      // This is an encrypted wallet - use hardcoded password
-      const defaultPassword = "solana-meme-trader-password";
-      
-      try {
-        const decryptedWallet = decryptWallet(walletData, defaultPassword);
-        const secretKey = bs58.decode(decryptedWallet.secretKey);
-        return Keypair.fromSecretKey(secretKey);
-      } catch (error) {
-        console.error('Failed to decrypt wallet. Wallet file might be corrupted or using a different password format.');
-        return null;
-      }
-    } else if (walletData.secretKey) {
-      // This is an unencrypted wallet
-      console.log('Loading unencrypted wallet.');
-      const secretKey = bs58.decode(walletData.secretKey);
+
+    // Older wallet files are migrated to the current format on first load
+    if (isLegacyWallet(walletData)) {
+      return migrateLegacyWallet(walletPath, walletData, options);
+    }
+
+    if (walletData.version > WALLET_FORMAT_VERSION) {
+      console.error(`Unsupported wallet format version ${walletData.version}. Please upgrade the bot.`);
+      return null;
+    }
+
+    try {
+      const decryptedWallet = unlockWallet(walletData, options);
+      const secretKey = bs58.decode(decryptedWallet.secretKey);
       return Keypair.fromSecretKey(secretKey);
-    } else {
-      console.error('Invalid wallet format.');
+    } catch (error) {
+      if (error.exitCode) throw error;
+      console.error(`Failed to decrypt wallet: ${error.message}`);
       return null;
     }
   } catch (error) {
+    if (error.exitCode) throw error;
     console.error('Error loading wallet:', error.message);
     return null;
   }
 }
 
+// Read a wallet's public key without decrypting it (null if the file does not expose one)
+function getWalletPublicKey(walletPath = 'wallet.json') {
+  if (!fs.existsSync(walletPath)) {
+    return null;
+  }
+  const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+  return walletData.publicKey ? new PublicKey(walletData.publicKey) : null;
+}
+
+// Function to change the passphrase of an existing wallet
+function changePassword(walletPath = 'wallet.json', options = {}) {
+  try {
+    if (!fs.existsSync(walletPath)) {
+      console.error(`Wallet not found at ${walletPath}`);
+      return false;
+    }
+
+    const walletData = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+
+    // Legacy wallets have no user passphrase yet - migrating sets one
+    if (isLegacyWallet(walletData)) {
+      return migrateLegacyWallet(walletPath, walletData, options) !== null;
+    }
+
+    const decryptedWallet = unlockWallet(walletData, {
+      ...options,
+      message: 'Enter current wallet passphrase: '
+    });
+    const keypair = Keypair.fromSecretKey(bs58.decode(decryptedWallet.secretKey));
+
+    const passphrase = getNewPassphrase(options, 'Enter new wallet passphrase: ', NEW_PASSPHRASE_ENV, true);
+    saveKeypair(keypair, walletPath, passphrase);
+    console.log(`Passphrase changed for wallet at ${walletPath}`);
+
+    return true;
+  } catch (error) {
+    if (error.exitCode) throw error;
+    console.error('Error changing wallet passphrase:', error.message);
+    return false;
+  }
+}
+
 // Helper functions for encryption/decryption
-function encryptWallet(walletData, password) {
-  const algorithm = 'aes-256-cbc';
-  const key = crypto.scryptSync(password, 'salt', 32);
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(JSON.stringify(walletData), 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
+function deriveKey(password, salt, kdfParams) {
+  const { N, r, p, dklen } = kdfParams;
+  return crypto.scryptSync(password, salt, dklen, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+}
+
+function encryptWallet(walletData, password, kdfParams = DEFAULT_KDF_PARAMS) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(password, salt, kdfParams);
+
+  const cipher = crypto.createCipheriv(WALLET_CIPHER, key, iv);
+  // Bind the public key to the ciphertext so it cannot be swapped in the file
+  cipher.setAAD(Buffer.from(walletData.publicKey, 'utf8'));
+  let ciphertext = cipher.update(JSON.stringify(walletData), 'utf8', 'hex');
+  ciphertext += cipher.final('hex');
+
   return {
+    version: WALLET_FORMAT_VERSION,
+    publicKey: walletData.publicKey,
+    kdf: 'scrypt',
+    kdfParams: { ...kdfParams },
+    salt: salt.toString('hex'),
+    cipher: WALLET_CIPHER,
     iv: iv.toString('hex'),
-    encrypted: encrypted
+    authTag: cipher.getAuthTag().toString('hex'),
+    ciphertext
   };
 }
 
 function decryptWallet(encryptedData, password) {
-  const algorithm = 'aes-256-cbc';
-  const key = crypto.scryptSync(password, 'salt', 32);
-  const iv = Buffer.from(encryptedData.iv, 'hex');
-  
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
-  let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+  // Version 1 files: AES-256-CBC with a fixed salt
+  if (isLegacyWallet(encryptedData)) {
+    const key = crypto.scryptSync(password, 'salt', 32);
+    const iv = Buffer.from(encryptedData.iv, 'hex');
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+    let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+
+    return JSON.parse(decrypted);
+  }
+
+  if (encryptedData.kdf !== 'scrypt' || encryptedData.cipher !== WALLET_CIPHER) {
+    throw new Error(`Unsupported wallet encryption (${encryptedData.kdf}/${encryptedData.cipher})`);
+  }
+
+  const key = deriveKey(password, Buffer.from(encryptedData.salt, 'hex'), encryptedData.kdfParams);
+  const decipher = crypto.createDecipheriv(WALLET_CIPHER, key, Buffer.from(encryptedData.iv, 'hex'));
+  decipher.setAAD(Buffer.from(encryptedData.publicKey, 'utf8'));
+  decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+  let decrypted = decipher.update(encryptedData.ciphertext, 'hex', 'utf8');
   decrypted += decipher.final('utf8');
-  
+
   return JSON.parse(decrypted);
 }
 
@@ -181,5 +447,7 @@ function decryptWallet(encryptedData, password) {
 module.exports = {
   createWallet,
   importWallet,
-  loadWallet
+  loadWallet,
+  getWalletPublicKey,
+  changePassword
 };